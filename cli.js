@@ -1,49 +1,69 @@
 #!/usr/bin/env node
 require('dotenv').config({ override: true, path: ['.env.local', '.env'] });
-const { convertToSvg } = require('./lib/core/svg');
-const { 
+const { getExportFormat, exportDiagram } = require('./lib/core/export');
+const {
   generateArchitectureDiagram,
-  generateArchitectureDiagramFromTemplate
+  generateArchitectureDiagramFromTemplate,
+  renderFromDSL,
+  registerTemplates,
+  registerIcons
 } = require('./lib/main');
+const { classifyNodeTypes } = require('./lib/workflow/nodes');
+const { templateRegistry } = require('./lib/templates/registry');
+const { getFormat } = require('./lib/formats');
 const fs = require('fs');
+const path = require('path');
 /**
  * Main CLI function
  */
 async function main() {
   // Get command line arguments
   const args = process.argv.slice(2);
-  
+
   // Check for help flag
   if (args.includes('--help') || args.includes('-h')) {
     showHelp();
     return;
   }
 
-  
+  // Render a semantic DSL file without calling the LLM
+  if (args[0] === 'render') {
+    await renderCommand(args.slice(1));
+    return;
+  }
+
+  // Generate from a built-in or registered template
+  if (args[0] === 'template') {
+    await templateCommand(args.slice(1));
+    return;
+  }
+
+  // Convert a semantic DSL file to another diagram format
+  if (args[0] === 'export') {
+    await exportCommand(args.slice(1));
+    return;
+  }
+
+  // Convert diagrams of another format to semantic DSL, or render them directly
+  if (args[0] === 'import') {
+    await importCommand(args.slice(1));
+    return;
+  }
+
   // Default: natural language generation using agent
   const description = args[0];
   const outputFile = args[1] || 'architecture-diagram.svg';
-  
+
   if (!description) {
     showHelp();
     return;
   }
-  
+
   try {
     console.log('Using ReAct Agent approach (with semantic tools)...');
     const excalidrawData = await generateArchitectureDiagram(description);
-    
-    // Save excalidraw file
-    const excalidrawFile = outputFile.replace(/\.[^.]+$/, '.excalidraw');
-    fs.writeFileSync(excalidrawFile, JSON.stringify(excalidrawData, null, 2));
-    console.log(`✓ Excalidraw file saved: ${excalidrawFile}`);
-    
-    // Convert to SVG
-    console.log('Converting to SVG...');
-    const svgData = await convertToSvg(excalidrawData);
-    fs.writeFileSync(outputFile, svgData);
-    console.log(`✓ SVG file saved: ${outputFile}`);
-    
+    await saveDiagram(excalidrawData, outputFile);
+
     console.log('\n🎉 Diagram generated successfully!');
   } catch (error) {
     console.error('❌ Error generating diagram:', error.message);
@@ -51,6 +71,363 @@ async function main() {
   }
 }
 
+/**
+ * Render command: DSL JSON file -> .excalidraw + .svg/.png/.pdf, or a .drawio file
+ * Several DSL files can be rendered into one PDF or .drawio file, one page each
+ */
+async function renderCommand(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseOptions(args));
+    loadIconDirectories(options);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+
+  if (positional.length === 0) {
+    showHelp();
+    process.exit(1);
+  }
+  const multiPage = positional.length > 2 && ['.pdf', '.drawio'].includes(path.extname(positional[positional.length - 1]).toLowerCase());
+  if (positional.length > 2 && !multiPage) {
+    console.error('❌ Error: several DSL files can only be rendered into a .pdf or .drawio output file');
+    process.exit(1);
+  }
+  const inputFiles = multiPage ? positional.slice(0, -1) : [positional[0]];
+  const outputFile = multiPage || positional.length > 1
+    ? positional[positional.length - 1]
+    : positional[0].replace(/(\.[^./\\]+)?$/, '.svg');
+
+  let inputFile;
+  try {
+    const diagrams = [];
+    for (inputFile of inputFiles) {
+      diagrams.push(renderFromDSL(readDSLFile(inputFile), renderOptions(options, outputFile)));
+    }
+    await saveDiagram(diagrams, outputFile, exportOptions(options));
+
+    console.log('\n🎉 Diagram rendered successfully!');
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      console.error(`❌ Invalid DSL in ${inputFile}:`);
+      error.issues.forEach(issue => {
+        console.error(`  - ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+      });
+    } else {
+      console.error('❌ Error rendering diagram:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Read and parse a DSL JSON file
+ */
+function readDSLFile(inputFile) {
+  try {
+    return JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read DSL file ${inputFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Template command: template name + parameters -> .excalidraw + .svg/.png/.pdf
+ */
+async function templateCommand(args) {
+  try {
+    const { positional, options } = parseOptions(args);
+
+    if (options.templates) {
+      options.templates.forEach(directory => {
+        const names = registerTemplates(directory);
+        console.log(`✓ Registered ${names.length} template(s) from ${directory}`);
+      });
+    }
+    loadIconDirectories(options);
+
+    const templateName = positional[0];
+    if (options.list || !templateName) {
+      listTemplates();
+      return;
+    }
+
+    const params = {};
+    (options.set || []).forEach(assignment => {
+      const separator = assignment.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid --set value "${assignment}", expected key=value`);
+      }
+      params[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    });
+
+    const dsl = templateRegistry.instantiate(templateName, params);
+    if (options.dsl) {
+      options.dsl.forEach(dslFile => {
+        fs.writeFileSync(dslFile, JSON.stringify(dsl, null, 2));
+        console.log(`✓ DSL file saved: ${dslFile}`);
+      });
+    }
+
+    const outputFile = positional[1] || `${templateName}.svg`;
+    const diagram = renderFromDSL(dsl, renderOptions(options, outputFile));
+    await saveDiagram(diagram, outputFile, exportOptions(options));
+
+    console.log('\n🎉 Diagram generated from template successfully!');
+  } catch (error) {
+    console.error('❌ Error generating from template:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Export command: format + DSL JSON file -> diagram source text (stdout without an output file)
+ */
+async function exportCommand(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseOptions(args));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+
+  const [formatName, inputFile, outputFile] = positional;
+  if (!formatName || !inputFile) {
+    showHelp();
+    process.exit(1);
+  }
+
+  try {
+    const format = getFormat(formatName);
+    if (!format.export) {
+      throw new Error(`Exporting ${formatName} is not supported`);
+    }
+    const source = format.export(readDSLFile(inputFile), {
+      fence: Boolean(outputFile) && path.extname(outputFile).toLowerCase() === '.md',
+      positions: Boolean(options.positions)
+    });
+
+    if (!outputFile) {
+      process.stdout.write(source);
+      return;
+    }
+    const outputDir = path.dirname(outputFile);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    fs.writeFileSync(outputFile, source);
+    console.log(`✓ ${formatName} file saved: ${outputFile}`);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      console.error(`❌ Invalid DSL in ${inputFile}:`);
+      error.issues.forEach(issue => {
+        console.error(`  - ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+      });
+    } else {
+      console.error('❌ Error exporting diagram:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Import command: format + diagram file -> DSL JSON, or a rendered diagram when the output is .svg/.png/.pdf/.excalidraw/.drawio
+ * A file holding several diagrams (e.g. Markdown with several mermaid blocks) gives numbered output files,
+ * or one JSON array on stdout; progress goes to stderr so stdout stays valid JSON
+ */
+async function importCommand(args) {
+  try {
+    const { positional, options } = parseOptions(args);
+    const [formatName, inputFile, outputFile] = positional;
+    if (!formatName || !inputFile) {
+      showHelp();
+      process.exit(1);
+    }
+    loadIconDirectories(options);
+
+    const format = getFormat(formatName);
+    if (!format.import) {
+      throw new Error(`Importing ${formatName} is not supported`);
+    }
+    const sources = format.extract ? format.extract(fs.readFileSync(inputFile, 'utf8')) : [fs.readFileSync(inputFile, 'utf8')];
+
+    const imported = [];
+    for (const [index, source] of sources.entries()) {
+      const label = sources.length > 1 ? `${inputFile} (diagram ${index + 1})` : inputFile;
+      let dsl;
+      try {
+        dsl = format.import(source);
+      } catch (error) {
+        if (sources.length === 1) throw error;
+        console.warn(`⚠️ Skipping ${label}: ${error.message}`);
+        continue;
+      }
+      if (options.llm) {
+        dsl = await classifyNodeTypes(dsl);
+      }
+      imported.push(dsl);
+
+      const target = outputFile && sources.length > 1 ? outputFile.replace(/(\.[^./\\]+)?$/, `-${index + 1}$1`) : outputFile;
+      if (!target) continue;
+      if (path.extname(target).toLowerCase() === '.json') {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(dsl, null, 2));
+        console.log(`✓ DSL file saved: ${target}`);
+      } else {
+        await saveDiagram(renderFromDSL(dsl, renderOptions(options, target)), target, exportOptions(options));
+      }
+    }
+
+    if (imported.length === 0) {
+      throw new Error(`No ${formatName} diagram could be imported from ${inputFile}`);
+    }
+    if (outputFile) {
+      console.log(`\n🎉 Imported ${imported.length} diagram(s) from ${inputFile}`);
+    } else {
+      const result = sources.length > 1 ? imported : imported[0];
+      process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    }
+  } catch (error) {
+    console.error('❌ Error importing diagram:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Register the icons of every --icons directory
+ * Reported on stderr, since import and export may write their result to stdout
+ */
+function loadIconDirectories(options) {
+  (options.icons || []).forEach(directory => {
+    const names = registerIcons(directory);
+    console.error(`✓ Registered ${names.length} icon(s) from ${directory}`);
+  });
+}
+
+/**
+ * Options for renderFromDSL from the command line; the last --theme wins
+ * A .drawio output file is rendered by the draw.io renderer instead of the Excalidraw one
+ */
+function renderOptions(options, outputFile) {
+  const renderOptions = {};
+  if (getExportFormat(outputFile) === 'drawio') renderOptions.renderer = 'drawio';
+  if (options.theme) renderOptions.theme = options.theme[options.theme.length - 1];
+  if (options.legend) renderOptions.legend = true;
+  if (options.timestamp) {
+    const value = options.timestamp[options.timestamp.length - 1];
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`Invalid --timestamp value "${value}", expected milliseconds or an ISO date`);
+    }
+    renderOptions.timestamp = timestamp;
+  }
+  return renderOptions;
+}
+
+/**
+ * Options for exportDiagram from the command line; the last value of each option wins
+ */
+function exportOptions(options) {
+  const last = name => options[name] && options[name][options[name].length - 1];
+  const number = name => {
+    const value = last(name);
+    if (value === undefined) return undefined;
+    const parsed = Number(value);
+    if (!(parsed > 0)) {
+      throw new Error(`Invalid --${name} value "${value}", expected a positive number`);
+    }
+    return parsed;
+  };
+
+  const exportOptions = {};
+  if (options.scale) exportOptions.scale = number('scale');
+  if (options.dpi) exportOptions.dpi = number('dpi');
+  if (options.background) exportOptions.background = last('background');
+  if (options['page-size']) exportOptions.pageSize = last('page-size');
+  return exportOptions;
+}
+
+/**
+ * Print all registered templates with their parameters
+ */
+function listTemplates() {
+  console.log('Available templates:');
+  templateRegistry.list().forEach(template => {
+    console.log('');
+    console.log(`  ${template.name} - ${template.description}`);
+    Object.entries(template.parameters).forEach(([key, definition]) => {
+      const defaultValue = [].concat(definition.default ?? []).join(', ');
+      console.log(`    --set ${key}=...`.padEnd(28) + `${definition.description || ''} (default: ${defaultValue || 'required'})`);
+    });
+  });
+}
+
+/**
+ * Split arguments into positional values and repeatable --name value options
+ */
+function parseOptions(args) {
+  const booleanFlags = ['list', 'legend', 'llm', 'positions'];
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    if (booleanFlags.includes(name)) {
+      options[name] = true;
+    } else {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[name] = [...(options[name] || []), args[++i]];
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Save Excalidraw data next to the output file and export it in the format of the output extension
+ * Several diagrams (PDF only) are saved as numbered .excalidraw files; draw.io pages go straight into the .drawio file
+ */
+async function saveDiagram(diagrams, outputFile, options = {}) {
+  const list = [].concat(diagrams);
+  const format = getExportFormat(outputFile);
+  const outputDir = path.dirname(outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  if (format === 'drawio') {
+    fs.writeFileSync(outputFile, await exportDiagram(list, format, options));
+    console.log(`✓ draw.io file saved: ${outputFile}${list.length > 1 ? ` (${list.length} pages)` : ''}`);
+    return;
+  }
+
+  // Save excalidraw file(s)
+  list.forEach((excalidrawData, index) => {
+    const suffix = list.length > 1 ? `-${index + 1}` : '';
+    const excalidrawFile = outputFile.replace(/\.[^.]+$/, `${suffix}.excalidraw`);
+    fs.writeFileSync(excalidrawFile, JSON.stringify(excalidrawData, null, 2));
+    console.log(`✓ Excalidraw file saved: ${excalidrawFile}`);
+  });
+  if (format === 'excalidraw') {
+    return;
+  }
+
+  console.log(`Converting to ${format.toUpperCase()}...`);
+  const data = await exportDiagram(list, format, options);
+  fs.writeFileSync(outputFile, data);
+  console.log(`✓ ${format.toUpperCase()} file saved: ${outputFile}${list.length > 1 ? ` (${list.length} pages)` : ''}`);
+}
+
 /**
  * Show help information
  */
@@ -59,10 +436,43 @@ function showHelp() {
   console.log('');
   console.log('Usage:');
   console.log('  node cli.js "<description>" [output-file]     Generate from natural language');
+  console.log('  node cli.js render <dsl.json> [output-file]   Render a semantic DSL file (no LLM)');
+  console.log('  node cli.js render <a.json> <b.json> <out.pdf> Render several DSL files into a multi-page PDF (or .drawio)');
+  console.log('      The output extension chooses the format: .svg, .png, .pdf, .excalidraw or .drawio (also for template)');
+  console.log('      --scale <n> | --dpi <n>                  PNG resolution, e.g. --scale 2 or --dpi 300');
+  console.log('      --background <color|transparent>         Background of SVG/PNG/PDF output, the theme background by default');
+  console.log('      --page-size <auto|a4|a3|letter>          PDF page size, auto fits each page to its diagram');
+  console.log('      --icons <dir>                            Register SVG icons from a directory (also for template)');
+  console.log('      --theme <name|file.json>                 default, dark, monochrome, high-contrast, clean or a theme file (also for template)');
+  console.log('      --legend                                 Add a legend of the node and connection types (also for template)');
+  console.log('      --timestamp <ms|ISO date>                Time written to elements, 0 by default for reproducible files');
+  console.log('  node cli.js template <name> [output-file]     Generate from a template (no LLM)');
+  console.log('      --set key=value                          Set a template parameter (repeatable)');
+  console.log('      --templates <dir>                        Register templates from a directory');
+  console.log('      --dsl <file>                             Also save the generated DSL');
+  console.log('  node cli.js template --list                  List available templates');
+  console.log('  node cli.js export mermaid <dsl.json> [file]  Convert a DSL file to Mermaid (.mmd, or fenced in .md; stdout without file)');
+  console.log('  node cli.js export plantuml <dsl.json> [file] Convert a DSL file to C4-PlantUML (.puml)');
+  console.log('  node cli.js export dot <dsl.json> [file]      Convert a DSL file to Graphviz DOT (.dot, .gv)');
+  console.log('      --positions                              Pin nodes at the LayoutEngine positions (render with neato -n2)');
+  console.log('  node cli.js import mermaid <file> [output]    Convert Mermaid flowcharts (.mmd or .md) to DSL .json, or render to .svg/.png/.pdf/.drawio');
+  console.log('                                               Without output the DSL goes to stdout, several diagrams as one JSON array');
+  console.log('  node cli.js import plantuml <file> [output]   Convert C4-PlantUML or PlantUML component diagrams, like import mermaid');
+  console.log('  node cli.js import dot <file> [output]        Convert Graphviz DOT, with clusters as groups, like import mermaid');
+  console.log('  node cli.js import excalidraw <file> [output] Read an .excalidraw file back into DSL, keeping node positions pinned');
+  console.log('      --llm                                    Let the LLM refine the node types guessed from shapes and labels');
   console.log('  node cli.js --help                           Show this help');
   console.log('');
   console.log('Examples:');
   console.log('  node cli.js "Create a web app with React and Node.js"');
+  console.log('  node cli.js render docs/architecture.json output/architecture.svg');
+  console.log('  node cli.js render docs/architecture.json output/architecture.png --dpi 300 --background transparent');
+  console.log('  node cli.js render docs/architecture.json output/architecture.drawio');
+  console.log('  node cli.js template microservices --set frontend="React App" --set services="Users, Orders"');
+  console.log('  node cli.js export mermaid docs/architecture.json docs/architecture.md');
+  console.log('  node cli.js import mermaid docs/flow.mmd output/flow.svg --theme clean');
+  console.log('  node cli.js export dot docs/architecture.json output/architecture.dot --positions');
+  console.log('  node cli.js import excalidraw output/architecture.excalidraw docs/architecture.json');
 }
 
 // Run the CLI if this file is executed directly
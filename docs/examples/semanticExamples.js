@@ -1,4 +1,4 @@
-const { SemanticArchitectureGenerator } = require('../src/semanticArchitectureGenerator');
+const { SemanticArchitectureGenerator } = require('../../lib/semantic/generator');
 
 /**
  * Examples demonstrating the new semantic architecture generation approach
@@ -42,7 +42,7 @@ async function runExamples() {
   try {
     const result2 = await generator.generateFromTemplate('microservices', {
       frontend: 'React App',
-      backend: 'Node.js Services',
+      services: 'User Service, Catalog Service, Order Service',
       database: 'MongoDB'
     });
     console.log(`✓ Generated microservices template with ${result2.elements.length} elements\n`);
@@ -5,23 +5,55 @@
 const { 
   generateArchitectureDiagram,
   generateArchitectureDiagramSemantic,
-  generateArchitectureDiagramFromTemplate
+  generateArchitectureDiagramFromTemplate,
+  renderFromDSL,
+  registerTemplates,
+  registerIcons,
+  registerTheme,
+  importDiagram,
+  importMermaid
 } = require('./lib/main');
 
 const { SemanticArchitectureGenerator } = require('./lib/semantic/generator');
+const { TemplateRegistry, templateRegistry } = require('./lib/templates/registry');
 const { ArchitectureSchema } = require('./lib/core/schema');
 const { convertToSvg } = require('./lib/core/svg');
+const { exportDiagram, svgToPng, svgToPdf } = require('./lib/core/export');
+const { toMermaid, fromMermaid } = require('./lib/formats/mermaid');
+const { toC4PlantUML, fromPlantUML } = require('./lib/formats/plantuml');
+const { toDot, fromDot } = require('./lib/formats/dot');
+const { fromExcalidraw } = require('./lib/formats/excalidraw');
+const { registerFont } = require('./lib/core/text');
 
 module.exports = {
   // Main generation functions
   generateArchitectureDiagram,
   generateArchitectureDiagramSemantic,
   generateArchitectureDiagramFromTemplate,
+  renderFromDSL,
+  registerTemplates,
+  registerIcons,
+  registerTheme,
+  importDiagram,
+  importMermaid,
   
   // Core classes for advanced usage
   SemanticArchitectureGenerator,
+  TemplateRegistry,
+  templateRegistry,
   ArchitectureSchema,
   
   // Utilities
-  convertToSvg
+  convertToSvg,
+  exportDiagram,
+  svgToPng,
+  svgToPdf,
+  toMermaid,
+  fromMermaid,
+  toC4PlantUML,
+  fromPlantUML,
+  toDot,
+  fromDot,
+  fromExcalidraw,
+  registerFont
 };
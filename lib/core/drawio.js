@@ -0,0 +1,475 @@
+const { NODE_STYLES } = require('./schema');
+const { layoutText } = require('./text');
+const { getTextArea } = require('./shapes');
+const { getLegendEntries, getTypeLabel } = require('./renderer');
+const { themeRegistry } = require('../themes/registry');
+
+// draw.io fonts standing in for the Excalidraw ones (1 Virgil, 2 Helvetica, 3 Cascadia)
+const DRAWIO_FONTS = {
+  1: 'Comic Sans MS',
+  2: 'Helvetica',
+  3: 'Courier New'
+};
+
+// draw.io style of each DSL shape; geometry and colours are added per node
+const SHAPE_STYLES = {
+  rectangle: { whiteSpace: 'wrap', html: 1 },
+  ellipse: { ellipse: null, whiteSpace: 'wrap', html: 1 },
+  diamond: { rhombus: null, whiteSpace: 'wrap', html: 1 },
+  cylinder: { shape: 'cylinder3', boundedLbl: 1, backgroundOutline: 1, size: 8, whiteSpace: 'wrap', html: 1 },
+  pipe: { shape: 'cylinder3', direction: 'south', boundedLbl: 1, backgroundOutline: 1, size: 8, whiteSpace: 'wrap', html: 1 },
+  person: { shape: 'umlActor', verticalLabelPosition: 'bottom', verticalAlign: 'top', outlineConnect: 0, html: 1 },
+  cloud: { ellipse: null, shape: 'cloud', whiteSpace: 'wrap', html: 1 }
+};
+
+// Width of the stick figure drawn above an actor label
+const FIGURE_WIDTH = 30;
+
+// Legend block to the right of the diagram, as in the Excalidraw renderer
+const LEGEND_MARGIN = 40;
+const LEGEND_PADDING = 16;
+const LEGEND_SAMPLE = { width: 48, height: 28 };
+const LEGEND_ROW_HEIGHT = 40;
+
+/**
+ * Escape text for an XML attribute
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#xa;');
+}
+
+/**
+ * Label text as draw.io HTML: markup escaped, line breaks as <br>
+ */
+function htmlLabel(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+/**
+ * draw.io style string from an object; a null value writes the key alone (e.g. "ellipse;")
+ */
+function styleString(style) {
+  return Object.entries(style)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => (value === null ? `${key};` : `${key}=${value};`))
+    .join('');
+}
+
+/**
+ * draw.io colour, with 'none' for transparent
+ */
+function color(value) {
+  return !value || value === 'transparent' ? 'none' : value;
+}
+
+/**
+ * Wrap one or more rendered pages into a .drawio file, one diagram tab per page
+ * @param {string|string[]} pages - mxGraphModel XML from DrawioRenderer.render
+ * @returns {string} .drawio file contents
+ */
+function toDrawioFile(pages) {
+  const list = [].concat(pages);
+  const diagrams = list.map((page, index) =>
+    `  <diagram id="page-${index + 1}" name="Page-${index + 1}">\n${page.replace(/^/gm, '    ')}\n  </diagram>`
+  );
+  return `<mxfile host="draw-arch" type="device">\n${diagrams.join('\n')}\n</mxfile>\n`;
+}
+
+/**
+ * draw.io Renderer - Converts positioned layout to mxGraph XML (.drawio)
+ * Alternative final step of the pipeline: DSL -> Layout -> draw.io cells.
+ * Groups and nodes with sub-components are container cells holding their members,
+ * connections are edges bound to their source and target cells and keep the routed waypoints.
+ * Cell ids come from DSL ids, so the same DSL always gives the same file.
+ */
+class DrawioRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.theme] - Complete theme from the theme registry, the default theme if omitted
+   * @param {boolean} [options.legend] - Add a legend of the node and connection types in use
+   */
+  constructor(options = {}) {
+    this.theme = options.theme || themeRegistry.get('default');
+    this.legend = options.legend || false;
+    this.usedIds = new Set();
+  }
+
+  /**
+   * Cell id built from a DSL key, suffixed when repeated
+   */
+  generateId(prefix, key) {
+    const base = `${prefix}_${String(key).replace(/[^\w-]+/g, '_')}`;
+    let id = base;
+    for (let i = 2; this.usedIds.has(id); i++) id = `${base}_${i}`;
+    this.usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Render a layout to one draw.io page
+   * @param {Object} layout - Positioned layout from LayoutEngine
+   * @returns {string} mxGraphModel XML, see toDrawioFile for a complete file
+   */
+  render(layout) {
+    this.usedIds = new Set();
+    const cells = [];
+    // Cell ids and absolute origins: member geometry is relative to its container
+    const cellIds = new Map();
+    const origins = new Map([['1', { x: 0, y: 0 }]]);
+    const nodeGroup = {};
+
+    // Outer groups first, so containers precede their members and are drawn behind them
+    (layout.groups || []).forEach(group => {
+      const id = this.generateId('group', group.id);
+      const parent = group.parentId !== null && group.parentId !== undefined ? cellIds.get(`group:${group.parentId}`) : '1';
+      cellIds.set(`group:${group.id}`, id);
+      (group.nodeIds || []).forEach(nodeId => {
+        nodeGroup[nodeId] = id;
+      });
+      origins.set(id, { x: group.x, y: group.y });
+      cells.push(this.renderGroup(group, id, parent || '1', origins.get(parent || '1')));
+    });
+
+    const renderNodes = (nodes, parentOf) => nodes.forEach(node => {
+      const id = this.generateId('node', node.id);
+      const parent = parentOf(node);
+      cellIds.set(node.id, id);
+      origins.set(id, { x: node.x, y: node.y });
+      cells.push(this.renderNode(node, id, parent, origins.get(parent)));
+      if (node.nodes && node.nodes.length > 0) {
+        renderNodes(node.nodes, () => id);
+      }
+    });
+    renderNodes(layout.nodes, node => nodeGroup[node.id] || '1');
+
+    const nodeBoxes = new Map();
+    const collect = node => {
+      nodeBoxes.set(node.id, node);
+      (node.nodes || []).forEach(collect);
+    };
+    layout.nodes.forEach(collect);
+
+    layout.connections.forEach(connection => {
+      cells.push(this.renderConnection(connection, cellIds, nodeBoxes));
+    });
+
+    if (this.legend) {
+      cells.push(...this.renderLegend(layout));
+    }
+
+    const { width, height } = layout.canvas || {};
+    const model = [
+      `<mxGraphModel grid="1" gridSize="20" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="0" pageScale="1" pageWidth="${width || 850}" pageHeight="${height || 1100}" background="${escapeXml(color(this.theme.background))}" math="0" shadow="0">`,
+      '  <root>',
+      '    <mxCell id="0" />',
+      '    <mxCell id="1" parent="0" />',
+      ...cells.map(cell => cell.replace(/^/gm, '    ')),
+      '  </root>',
+      '</mxGraphModel>'
+    ];
+    return model.join('\n');
+  }
+
+  /**
+   * Vertex cell; a tooltip wraps the cell in a UserObject, which is where draw.io keeps it
+   * @param {Object} cell - { id, value, style, parent, x, y, width, height, tooltip? }
+   */
+  createVertex({ id, value, style, parent, x, y, width, height, tooltip }) {
+    const geometry = `<mxGeometry x="${Math.round(x)}" y="${Math.round(y)}" width="${Math.round(width)}" height="${Math.round(height)}" as="geometry" />`;
+    const attributes = `style="${escapeXml(styleString(style))}" vertex="1" parent="${escapeXml(parent)}"`;
+    if (tooltip) {
+      return [
+        `<UserObject label="${escapeXml(value)}" tooltip="${escapeXml(tooltip)}" id="${escapeXml(id)}">`,
+        `  <mxCell ${attributes}>`,
+        `    ${geometry}`,
+        '  </mxCell>',
+        '</UserObject>'
+      ].join('\n');
+    }
+    return `<mxCell id="${escapeXml(id)}" value="${escapeXml(value)}" ${attributes}>\n  ${geometry}\n</mxCell>`;
+  }
+
+  /**
+   * Style shared by every cell: font, sketchy lines for rough themes
+   */
+  baseStyle(fontSize) {
+    const { theme } = this;
+    return {
+      fontFamily: DRAWIO_FONTS[theme.fontFamily] || DRAWIO_FONTS[2],
+      fontSize,
+      sketch: theme.roughness > 0 ? 1 : undefined
+    };
+  }
+
+  /**
+   * Render a node to a vertex cell; nodes with sub-components become containers
+   * Technologies are written under the label, the description becomes the tooltip
+   * @param {Object} node - Positioned node
+   * @param {string} id - Cell id
+   * @param {string} parent - Cell id of the container
+   * @param {{x, y}} origin - Absolute position of the container
+   */
+  renderNode(node, id, parent, origin) {
+    const { theme } = this;
+    const hasChildren = node.nodes && node.nodes.length > 0;
+    // A container cell is the box its members are placed in, so an actor with sub-components keeps its whole box
+    const nodeShape = (node.style || NODE_STYLES[node.type] || NODE_STYLES.service).shape;
+    const shape = hasChildren && nodeShape === 'person' ? 'rectangle' : nodeShape;
+    const colors = { textColor: theme.text.color, ...theme.nodes.service, ...theme.nodes[node.type] };
+
+    let value = htmlLabel(node.label);
+    if (node.badgeLayout && node.technologies?.length) {
+      value += `<br><font style="font-size: 11px" color="${colors.strokeColor}">${htmlLabel(node.technologies.join(', '))}</font>`;
+    }
+
+    // The stick figure fills the part above the label, which is drawn below it
+    let box = node;
+    if (shape === 'person') {
+      const area = getTextArea(shape, node);
+      box = { x: node.x + (node.width - FIGURE_WIDTH) / 2, y: node.y + 4, width: FIGURE_WIDTH, height: area.y - node.y - 8 };
+    }
+
+    const style = {
+      ...SHAPE_STYLES[shape] || SHAPE_STYLES.rectangle,
+      rounded: shape === 'rectangle' && theme.strokeSharpness === 'round' ? 1 : undefined,
+      fillColor: color(colors.fillColor),
+      strokeColor: color(colors.strokeColor),
+      fontColor: colors.textColor,
+      strokeWidth: theme.strokeWidth,
+      ...this.baseStyle(16),
+      ...(hasChildren ? { container: 1, collapsible: 0, verticalAlign: 'top', spacingTop: 6 } : {})
+    };
+
+    return this.createVertex({
+      id,
+      value,
+      style,
+      parent,
+      x: box.x - origin.x,
+      y: box.y - origin.y,
+      width: box.width,
+      height: box.height,
+      tooltip: node.description
+    });
+  }
+
+  /**
+   * Render a group to a container cell with its label in the top-left corner
+   * @param {Object} group - Positioned group
+   * @param {string} id - Cell id
+   * @param {string} parent - Cell id of the enclosing group, or the default layer
+   * @param {{x, y}} origin - Absolute position of the enclosing group
+   */
+  renderGroup(group, id, parent, origin) {
+    const style = this.theme.groups;
+    return this.createVertex({
+      id,
+      value: htmlLabel(group.label),
+      style: {
+        rounded: 0,
+        whiteSpace: 'wrap',
+        html: 1,
+        container: 1,
+        collapsible: 0,
+        fillColor: color(style.backgroundColor),
+        strokeColor: color(style.strokeColor),
+        strokeWidth: style.strokeWidth,
+        dashed: style.strokeStyle !== 'solid' ? 1 : undefined,
+        dashPattern: style.strokeStyle === 'dotted' ? '1 4' : undefined,
+        opacity: style.opacity < 100 ? style.opacity : undefined,
+        fontColor: style.labelColor,
+        align: 'left',
+        verticalAlign: 'top',
+        spacingLeft: 10,
+        spacingTop: 4,
+        ...this.baseStyle(14)
+      },
+      parent,
+      x: group.x - origin.x,
+      y: group.y - origin.y,
+      width: group.width,
+      height: group.height
+    });
+  }
+
+  /**
+   * Render a connection to an edge bound to its end cells
+   * The routed path is kept: its ends become exit/entry points on the shapes, its bends waypoints
+   * @param {Object} connection - Routed connection
+   * @param {Map} cellIds - DSL node id -> cell id
+   * @param {Map} nodeBoxes - DSL node id -> positioned node
+   */
+  renderConnection(connection, cellIds, nodeBoxes) {
+    const { theme } = this;
+    const lineStyle = { ...theme.connections.none, ...theme.connections[connection.type] };
+    const path = connection.path && connection.path.length >= 2
+      ? connection.path
+      : [connection.fromPoint, connection.toPoint];
+    const source = cellIds.get(connection.from);
+    const target = cellIds.get(connection.to);
+
+    // Relative position of a path end on its node box; actors draw a smaller figure, so they keep the perimeter
+    const anchor = (nodeId, point, prefix) => {
+      const box = nodeBoxes.get(nodeId);
+      if (!box || !point || box.style?.shape === 'person' || box.width === 0 || box.height === 0) return {};
+      const clamp = value => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+      return {
+        [`${prefix}X`]: clamp((point.x - box.x) / box.width),
+        [`${prefix}Y`]: clamp((point.y - box.y) / box.height),
+        [`${prefix}Dx`]: 0,
+        [`${prefix}Dy`]: 0,
+        [`${prefix}Perimeter`]: 0
+      };
+    };
+
+    const style = {
+      edgeStyle: 'none',
+      curved: connection.curved ? 1 : undefined,
+      rounded: 0,
+      html: 1,
+      endArrow: 'classic',
+      startArrow: connection.bidirectional ? 'classic' : 'none',
+      strokeColor: color(lineStyle.strokeColor),
+      strokeWidth: theme.strokeWidth,
+      dashed: lineStyle.strokeStyle && lineStyle.strokeStyle !== 'solid' ? 1 : undefined,
+      dashPattern: lineStyle.strokeStyle === 'dotted' ? '1 4' : undefined,
+      fontColor: theme.connectionLabels.color,
+      labelBackgroundColor: color(theme.connectionLabels.backgroundColor),
+      ...this.baseStyle(12),
+      ...(source ? anchor(connection.from, path[0], 'exit') : {}),
+      ...(target ? anchor(connection.to, path[path.length - 1], 'entry') : {})
+    };
+
+    const connectionKey = String(connection.id || `${connection.from}_${connection.to}`).replace(/^conn_/, '');
+    const id = this.generateId('edge', connectionKey);
+    const ends = `${source ? ` source="${escapeXml(source)}"` : ''}${target ? ` target="${escapeXml(target)}"` : ''}`;
+    const point = ({ x, y }, as) => `<mxPoint x="${Math.round(x)}" y="${Math.round(y)}"${as ? ` as="${as}"` : ''} />`;
+    const waypoints = path.slice(1, -1);
+
+    const geometry = [
+      '  <mxGeometry relative="1" as="geometry">',
+      // Loose ends need their points, bound ends follow their cells
+      ...(!source ? [`    ${point(path[0], 'sourcePoint')}`] : []),
+      ...(!target ? [`    ${point(path[path.length - 1], 'targetPoint')}`] : []),
+      ...(waypoints.length > 0 ? ['    <Array as="points">', ...waypoints.map(waypoint => `      ${point(waypoint)}`), '    </Array>'] : []),
+      '  </mxGeometry>'
+    ];
+    return [
+      `<mxCell id="${escapeXml(id)}" value="${escapeXml(connection.label ? htmlLabel(connection.label) : '')}" style="${escapeXml(styleString(style))}" edge="1" parent="1"${ends}>`,
+      ...geometry,
+      '</mxCell>'
+    ].join('\n');
+  }
+
+  /**
+   * Render a legend container to the right of the layout bounds, with a sample shape for every node type
+   * and a sample line for every connection type used in the diagram
+   */
+  renderLegend(layout) {
+    const { nodeTypes, connectionTypes } = getLegendEntries(layout);
+    if (nodeTypes.length === 0 && connectionTypes.length === 0) return [];
+
+    const { theme } = this;
+    const legendId = this.generateId('legend', 'box');
+    const textLeft = LEGEND_PADDING + LEGEND_SAMPLE.width + 12;
+    const cells = [];
+    let y = LEGEND_PADDING + LEGEND_ROW_HEIGHT;
+    let width = 0;
+
+    const addText = (text, fontSize) => {
+      const label = layoutText(text, { fontSize, fontFamily: theme.fontFamily });
+      width = Math.max(width, textLeft + label.width);
+      cells.push(this.createVertex({
+        id: this.generateId('legend', text),
+        value: htmlLabel(text),
+        style: { text: null, html: 1, align: 'left', verticalAlign: 'middle', fontColor: theme.text.color, ...this.baseStyle(fontSize) },
+        parent: legendId,
+        x: textLeft,
+        y: y + (LEGEND_ROW_HEIGHT - label.height) / 2,
+        width: label.width + 8,
+        height: label.height
+      }));
+    };
+
+    nodeTypes.forEach(type => {
+      const colors = { ...theme.nodes.service, ...theme.nodes[type] };
+      const shape = NODE_STYLES[type].shape;
+      cells.push(this.createVertex({
+        id: this.generateId('legend', `${type}_sample`),
+        value: '',
+        style: {
+          ...SHAPE_STYLES[shape],
+          fillColor: color(colors.fillColor),
+          strokeColor: color(colors.strokeColor),
+          strokeWidth: theme.strokeWidth,
+          ...this.baseStyle(12)
+        },
+        parent: legendId,
+        x: LEGEND_PADDING + (shape === 'person' ? (LEGEND_SAMPLE.width - LEGEND_SAMPLE.height / 2) / 2 : 0),
+        y: y + (LEGEND_ROW_HEIGHT - LEGEND_SAMPLE.height) / 2,
+        width: shape === 'person' ? LEGEND_SAMPLE.height / 2 : LEGEND_SAMPLE.width,
+        height: LEGEND_SAMPLE.height
+      }));
+      addText(getTypeLabel(type), 14);
+      y += LEGEND_ROW_HEIGHT;
+    });
+
+    connectionTypes.forEach(type => {
+      const lineStyle = { ...theme.connections.none, ...theme.connections[type] };
+      const lineY = Math.round(y + LEGEND_ROW_HEIGHT / 2);
+      cells.push([
+        `<mxCell id="${this.generateId('legend', `${type}_sample`)}" value="" style="${escapeXml(styleString({
+          endArrow: 'classic',
+          html: 1,
+          strokeColor: color(lineStyle.strokeColor),
+          strokeWidth: theme.strokeWidth,
+          dashed: lineStyle.strokeStyle && lineStyle.strokeStyle !== 'solid' ? 1 : undefined,
+          dashPattern: lineStyle.strokeStyle === 'dotted' ? '1 4' : undefined,
+          ...this.baseStyle(12)
+        }))}" edge="1" parent="${legendId}">`,
+        '  <mxGeometry relative="1" as="geometry">',
+        `    <mxPoint x="${LEGEND_PADDING}" y="${lineY}" as="sourcePoint" />`,
+        `    <mxPoint x="${LEGEND_PADDING + LEGEND_SAMPLE.width}" y="${lineY}" as="targetPoint" />`,
+        '  </mxGeometry>',
+        '</mxCell>'
+      ].join('\n'));
+      addText(getTypeLabel(type), 14);
+      y += LEGEND_ROW_HEIGHT;
+    });
+
+    // Frame with its title, ahead of the entries it contains
+    y += LEGEND_PADDING;
+    cells.unshift(this.createVertex({
+      id: legendId,
+      value: 'Legend',
+      style: {
+        rounded: 0,
+        html: 1,
+        container: 1,
+        collapsible: 0,
+        fillColor: color(theme.background),
+        strokeColor: color(theme.groups.strokeColor),
+        fontColor: theme.text.color,
+        align: 'left',
+        verticalAlign: 'top',
+        spacingLeft: LEGEND_PADDING,
+        spacingTop: LEGEND_PADDING,
+        ...this.baseStyle(16)
+      },
+      parent: '1',
+      x: layout.bounds.maxX + LEGEND_MARGIN,
+      y: layout.bounds.minY,
+      width: width + LEGEND_PADDING,
+      height: y
+    }));
+
+    return cells;
+  }
+}
+
+module.exports = { DrawioRenderer, toDrawioFile };
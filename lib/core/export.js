@@ -0,0 +1,223 @@
+const path = require('path');
+const { convertToSvg } = require('./svg');
+const { toDrawioFile } = require('./drawio');
+
+/**
+ * Export - Turns Excalidraw diagrams into SVG, PNG or PDF files, and draw.io pages into .drawio files
+ * PNG and PDF are drawn from the SVG with the canvas package, so they look exactly like the SVG
+ */
+
+// CSS pixels per inch; a DPI of 192 is a scale of 2
+const CSS_DPI = 96;
+
+// Page sizes in PDF points (1/72 inch), portrait
+const PAGE_SIZES = {
+  a4: { width: 595, height: 842 },
+  a3: { width: 842, height: 1191 },
+  letter: { width: 612, height: 792 }
+};
+
+const EXPORT_FORMATS = {
+  '.svg': 'svg',
+  '.png': 'png',
+  '.pdf': 'pdf',
+  '.excalidraw': 'excalidraw',
+  '.drawio': 'drawio'
+};
+
+/**
+ * Output format for a file name, from its extension
+ * @returns {string} 'svg', 'png', 'pdf', 'excalidraw' or 'drawio'
+ * @throws {Error} For extensions without an exporter
+ */
+function getExportFormat(file) {
+  const extension = path.extname(file).toLowerCase();
+  const format = EXPORT_FORMATS[extension];
+  if (!format) {
+    throw new Error(`Unsupported output format "${extension || file}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * canvas is loaded on first use so SVG-only users do not need its native binding
+ */
+function loadCanvas() {
+  try {
+    return require('canvas');
+  } catch (error) {
+    throw new Error(`PNG and PDF export need the canvas package with its native binding: ${error.message}`);
+  }
+}
+
+/**
+ * Width and height of an SVG document, from its width/height attributes or its viewBox
+ */
+function getSvgSize(svg) {
+  const root = (svg.match(/<svg\b[^>]*>/) || [''])[0];
+  const attribute = name => {
+    const match = root.match(new RegExp(`\\s${name}="([\\d.]+)(px)?"`));
+    return match ? Number(match[1]) : undefined;
+  };
+
+  let width = attribute('width');
+  let height = attribute('height');
+  if (width === undefined || height === undefined) {
+    const viewBox = root.match(/viewBox="[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/);
+    if (!viewBox) throw new Error('Cannot determine the SVG size: no width/height or viewBox');
+    width = Number(viewBox[1]);
+    height = Number(viewBox[2]);
+  }
+  return { width, height };
+}
+
+/**
+ * Render a diagram to SVG with the requested background
+ * @param {Object} excalidrawData - Excalidraw diagram data
+ * @param {Object} [options]
+ * @param {string} [options.background] - 'transparent' or a CSS colour, the diagram background by default
+ * @returns {Promise<string>} SVG markup
+ */
+async function exportSvg(excalidrawData, options = {}) {
+  const { background } = options;
+  if (background === undefined) {
+    return convertToSvg(excalidrawData);
+  }
+
+  const appState = background === 'transparent'
+    ? { ...excalidrawData.appState, exportBackground: false }
+    : { ...excalidrawData.appState, exportBackground: true, viewBackgroundColor: background };
+  return convertToSvg({ ...excalidrawData, appState });
+}
+
+/**
+ * Rasterize SVG markup to a PNG image
+ * @param {string} svg - SVG markup
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - Output pixels per SVG pixel
+ * @param {number} [options.dpi] - Resolution; sets the scale (dpi / 96) and is stored in the PNG
+ * @param {string} [options.background] - Colour painted under the drawing; transparent if omitted
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function svgToPng(svg, options = {}) {
+  const { createCanvas, loadImage } = loadCanvas();
+  const { width, height } = getSvgSize(svg);
+  const scale = options.dpi ? options.dpi / CSS_DPI : (options.scale || 1);
+  if (!(scale > 0)) {
+    throw new Error(`Invalid export scale: ${options.dpi ? `dpi ${options.dpi}` : options.scale}`);
+  }
+
+  const image = await loadImage(Buffer.from(svg));
+  const canvas = createCanvas(Math.ceil(width * scale), Math.ceil(height * scale));
+  const context = canvas.getContext('2d');
+  if (options.background && options.background !== 'transparent') {
+    context.fillStyle = options.background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toBuffer('image/png', options.dpi ? { resolution: options.dpi } : {});
+}
+
+/**
+ * Draw one or more SVG documents into a PDF, one page each
+ * Pages match the diagram size, or a paper size with the diagram scaled down to fit inside the margin
+ * @param {string|string[]} svgs - SVG markup, one per page
+ * @param {Object} [options]
+ * @param {string} [options.pageSize='auto'] - 'auto', 'a4', 'a3' or 'letter'; paper turns landscape for wide diagrams
+ * @param {number} [options.margin=36] - Page margin in points
+ * @param {string} [options.title] - PDF document title
+ * @returns {Promise<Buffer>} PDF data
+ */
+async function svgToPdf(svgs, options = {}) {
+  const { createCanvas, loadImage } = loadCanvas();
+  const pages = [].concat(svgs);
+  if (pages.length === 0) {
+    throw new Error('PDF export needs at least one diagram');
+  }
+  const pageSize = (options.pageSize || 'auto').toLowerCase();
+  if (pageSize !== 'auto' && !PAGE_SIZES[pageSize]) {
+    throw new Error(`Unknown page size "${options.pageSize}". Use auto, ${Object.keys(PAGE_SIZES).join(', ')}`);
+  }
+  const margin = options.margin ?? 36;
+
+  // Page geometry: SVG pixels are drawn as PDF points
+  const layouts = pages.map(svg => {
+    const size = getSvgSize(svg);
+    if (pageSize === 'auto') {
+      return { svg, page: { width: size.width + 2 * margin, height: size.height + 2 * margin }, scale: 1, size };
+    }
+    const paper = PAGE_SIZES[pageSize];
+    const landscape = size.width > size.height;
+    const page = landscape ? { width: paper.height, height: paper.width } : { ...paper };
+    const scale = Math.min(1, (page.width - 2 * margin) / size.width, (page.height - 2 * margin) / size.height);
+    return { svg, page, scale, size };
+  });
+
+  const first = layouts[0].page;
+  const canvas = createCanvas(first.width, first.height, 'pdf');
+  const context = canvas.getContext('2d');
+
+  for (const [index, layout] of layouts.entries()) {
+    if (index > 0) {
+      context.addPage(layout.page.width, layout.page.height);
+    }
+    const image = await loadImage(Buffer.from(layout.svg));
+    const width = layout.size.width * layout.scale;
+    const height = layout.size.height * layout.scale;
+    context.drawImage(image, (layout.page.width - width) / 2, (layout.page.height - height) / 2, width, height);
+  }
+
+  return canvas.toBuffer('application/pdf', options.title ? { title: options.title } : {});
+}
+
+/**
+ * Export one or more diagrams to a format
+ * @param {Object|Object[]} diagrams - Excalidraw diagram data, or draw.io pages for 'drawio';
+ *   several diagrams are only allowed for PDF and draw.io, which give one page each
+ * @param {string} format - 'svg', 'png', 'pdf', 'excalidraw' or 'drawio'
+ * @param {Object} [options] - Background, scale/dpi (PNG) and page options (PDF)
+ * @returns {Promise<string|Buffer>} File contents
+ */
+async function exportDiagram(diagrams, format, options = {}) {
+  const list = [].concat(diagrams);
+  if (list.length !== 1 && format !== 'pdf' && format !== 'drawio') {
+    throw new Error(`Only PDF and draw.io export can hold several diagrams, got ${list.length} for ${format}`);
+  }
+  // draw.io files are rendered from the layout, not converted from Excalidraw data
+  if (format === 'drawio' && !list.every(diagram => typeof diagram === 'string')) {
+    throw new Error('draw.io export needs pages rendered with renderFromDSL(dsl, { renderer: \'drawio\' })');
+  }
+
+  switch (format) {
+    case 'excalidraw':
+      return JSON.stringify(list[0], null, 2);
+    case 'drawio':
+      return toDrawioFile(list);
+    case 'svg':
+      return exportSvg(list[0], options);
+    case 'png':
+      // The background is part of the SVG, so the PNG only needs its own fill when none is drawn
+      return svgToPng(await exportSvg(list[0], options), options);
+    case 'pdf': {
+      const svgs = [];
+      for (const diagram of list) {
+        svgs.push(await exportSvg(diagram, options));
+      }
+      return svgToPdf(svgs, options);
+    }
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  PAGE_SIZES,
+  getExportFormat,
+  getSvgSize,
+  exportSvg,
+  svgToPng,
+  svgToPdf,
+  exportDiagram
+};
@@ -0,0 +1,150 @@
+/**
+ * Group hierarchy helpers
+ * Groups reference their members by id in `contains`: node ids, or group ids for nested groups.
+ * The older `nodes` field is still accepted and may hold node ids or full node objects.
+ */
+
+/**
+ * Ids referenced by a group, from `contains` and the legacy `nodes` field
+ */
+function getGroupReferences(group) {
+  const legacy = (group.nodes || []).map(member => (typeof member === 'string' ? member : member.id));
+  return [...new Set([...(group.contains || []), ...legacy])];
+}
+
+/**
+ * Structural problems that make the group hierarchy ambiguous
+ * Duplicate ids, group ids shared with nodes, groups nested in several parents and nesting cycles
+ * @returns {Array<{ path: Array, message: string }>} Issues in Zod issue shape
+ */
+function findGroupIssues(groups = [], nodes = []) {
+  const issues = [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const groupIndex = {};
+
+  groups.forEach((group, index) => {
+    if (groupIndex[group.id] !== undefined) {
+      issues.push({ path: ['groups', index, 'id'], message: `Duplicate group id "${group.id}"` });
+    } else if (nodeIds.has(group.id)) {
+      issues.push({ path: ['groups', index, 'id'], message: `Group id "${group.id}" is already used by a node` });
+    } else {
+      groupIndex[group.id] = index;
+    }
+  });
+
+  const parentOf = {};
+  groups.forEach((group, index) => {
+    if (groupIndex[group.id] !== index) return;
+    getGroupReferences(group)
+      .filter(ref => groupIndex[ref] !== undefined)
+      .forEach(ref => {
+        if (ref === group.id) {
+          issues.push({ path: ['groups', index, 'contains'], message: `Group "${group.id}" contains itself` });
+        } else if (parentOf[ref] !== undefined) {
+          issues.push({
+            path: ['groups', index, 'contains'],
+            message: `Group "${ref}" is nested in both "${parentOf[ref]}" and "${group.id}"`
+          });
+        } else {
+          parentOf[ref] = group.id;
+        }
+      });
+  });
+
+  // Walk up from every group; meeting the start again means a cycle
+  Object.keys(parentOf).forEach(groupId => {
+    const seen = new Set([groupId]);
+    for (let current = parentOf[groupId]; current !== undefined; current = parentOf[current]) {
+      if (current === groupId) {
+        issues.push({ path: ['groups', groupIndex[groupId], 'contains'], message: `Group "${groupId}" is nested inside itself` });
+        break;
+      }
+      if (seen.has(current)) break;
+      seen.add(current);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Resolve groups into a tree
+ * Every node belongs to at most one group, the innermost one that lists it
+ * @param {Array} groups - Groups from a validated DSL
+ * @param {Array} nodes - Top-level nodes
+ * @returns {{ groups: Array, nodeGroup: Object }}
+ *   groups carry parentId, depth, childGroupIds, nodeIds (direct members) and memberIds
+ *   (all nested nodes, sub-components included);
+ *   nodeGroup maps node id to the id of its innermost group
+ */
+function buildGroupTree(groups = [], nodes = []) {
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const groupMap = {};
+  groups.forEach(group => {
+    if (!groupMap[group.id] && !nodeIds.has(group.id)) groupMap[group.id] = group;
+  });
+  const uniqueGroups = Object.values(groupMap);
+
+  const parentOf = {};
+  const isAncestor = (ancestorId, groupId) => {
+    for (let current = parentOf[groupId]; current !== undefined; current = parentOf[current]) {
+      if (current === ancestorId) return true;
+    }
+    return false;
+  };
+
+  uniqueGroups.forEach(group => {
+    getGroupReferences(group).forEach(ref => {
+      if (!groupMap[ref] && !nodeIds.has(ref)) {
+        console.warn(`Group ${group.id} references missing node or group: ${ref}`);
+      }
+      if (groupMap[ref] && ref !== group.id && parentOf[ref] === undefined && !isAncestor(ref, group.id)) {
+        parentOf[ref] = group.id;
+      }
+    });
+  });
+
+  const nodeGroup = {};
+  uniqueGroups.forEach(group => {
+    getGroupReferences(group).filter(ref => nodeIds.has(ref)).forEach(nodeId => {
+      const current = nodeGroup[nodeId];
+      if (current === undefined || isAncestor(current, group.id)) {
+        nodeGroup[nodeId] = group.id;
+      } else if (current !== group.id && !isAncestor(group.id, current)) {
+        console.warn(`Node ${nodeId} is in unrelated groups ${current} and ${group.id}, keeping ${current}`);
+      }
+    });
+  });
+
+  const depthOf = groupId => (parentOf[groupId] === undefined ? 0 : depthOf(parentOf[groupId]) + 1);
+  const childGroupIds = groupId => uniqueGroups.filter(group => parentOf[group.id] === groupId).map(group => group.id);
+  const directNodeIds = groupId => nodes.filter(node => nodeGroup[node.id] === groupId).map(node => node.id);
+  const withSubComponents = node => [node.id, ...(node.nodes || []).flatMap(withSubComponents)];
+  const nodeMap = {};
+  nodes.forEach(node => {
+    nodeMap[node.id] = node;
+  });
+  const memberIdsOf = groupId => [
+    ...directNodeIds(groupId).flatMap(nodeId => withSubComponents(nodeMap[nodeId])),
+    ...childGroupIds(groupId).flatMap(memberIdsOf)
+  ];
+
+  return {
+    groups: uniqueGroups.map(group => ({
+      ...group,
+      contains: getGroupReferences(group).filter(ref => groupMap[ref] || nodeIds.has(ref)),
+      parentId: parentOf[group.id] ?? null,
+      depth: depthOf(group.id),
+      childGroupIds: childGroupIds(group.id),
+      nodeIds: directNodeIds(group.id),
+      memberIds: memberIdsOf(group.id)
+    })),
+    nodeGroup
+  };
+}
+
+module.exports = {
+  getGroupReferences,
+  findGroupIssues,
+  buildGroupTree
+};
@@ -1,4 +1,43 @@
 const { NODE_STYLES } = require('./schema');
+const { EdgeRouter } = require('./router');
+const { buildGroupTree, getGroupReferences } = require('./groups');
+const { layoutText, measureText, getLineHeight } = require('./text');
+const { sizeForContent } = require('./shapes');
+const { iconRegistry } = require('../icons/registry');
+
+const DEFAULT_FORCE_SEED = 1;
+const FORCE_ITERATIONS = 300;
+const ORDERING_ITERATIONS = 24;
+const ALIGNMENT_ITERATIONS = 8;
+const DUMMY_NODE_SIZE = 10;
+const GROUP_PADDING = 20;
+const GROUP_HEADER = 40; // Top padding, leaves room for the group label
+const CHILD_PADDING = { top: 40, bottom: 20, left: 20, right: 20 }; // Top padding for the parent label
+const CHILD_SPACING = 40; // Leaves routing room between sub-components
+const SELF_LOOP_SIZE = 30;
+const LABEL_FONT_SIZE = 16;
+const LABEL_MAX_WIDTH = 200; // Longer labels wrap onto several lines
+const LABEL_PADDING = 12;
+const BADGE_FONT_SIZE = 12;
+const BADGE_PADDING = { x: 6, y: 3 };
+const BADGE_SPACING = 6; // Between badges, between badge rows and between the label and the badges
+const ICON_SIZE = 24;
+const ICON_SPACING = 8; // Between the icon and the label beside it
+const PARALLEL_CONNECTION_SPACING = 30;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so force layouts are reproducible
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
 /**
  * Layout Engine - Converts semantic architecture to positioned layout
@@ -6,12 +45,19 @@ const { NODE_STYLES } = require('./schema');
  */
 
 class LayoutEngine {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {IconRegistry} [options.icons] - Icons matched against node technologies, defaults to the shared registry
+   * @param {number} [options.fontFamily] - Excalidraw font labels are measured in, 1 (Virgil) by default
+   */
+  constructor(options = {}) {
+    // Canvas width and height are derived from the content, see createLayoutResult
     this.canvas = {
-      width: 1200,
-      height: 800,
       padding: 50
     };
+    this.router = new EdgeRouter();
+    this.icons = options.icons || iconRegistry;
+    this.fontFamily = options.fontFamily || 1;
   }
 
   /**
@@ -20,88 +66,248 @@ class LayoutEngine {
    * @returns {Object} Layout with positioned nodes and connections
    */
   generateLayout(architecture) {
-    const { nodes, connections, groups, layout = {} } = architecture;
-    const layoutType = layout.type || 'hierarchical';
+    const { nodes, connections, groups = [], layout = {} } = architecture;
 
     // First, calculate the size of all nodes recursively
-    this._calculateAllNodeSizes(nodes);
-    
-    switch (layoutType) {
-      case 'hierarchical':
-        return this.generateHierarchicalLayout(nodes, connections, groups, layout);
+    this._calculateAllNodeSizes(nodes, { detail: layout.detail || 'detailed', fontFamily: this.fontFamily });
+
+    // Connections to sub-components take part in placement through their top-level node
+    const ownerOf = {};
+    nodes.forEach(node => this.flattenNodes([node]).forEach(member => {
+      ownerOf[member.id] = node.id;
+    }));
+    const placementConnections = connections.map(conn => ({
+      ...conn,
+      from: ownerOf[conn.from] ?? conn.from,
+      to: ownerOf[conn.to] ?? conn.to
+    }));
+
+    // Lay out the group hierarchy from the inside out, then shift everything inside the padding
+    const groupTree = buildGroupTree(groups, nodes);
+    const placement = this.placeScope(null, nodes, placementConnections, groupTree, layout);
+    const { padding } = this.canvas;
+    const order = new Map(nodes.map((node, index) => [node.id, index]));
+    // Pinned nodes keep their canvas position; groups around them are fitted to their members again
+    const pins = new Map(nodes.filter(node => node.position).map(node => [node.id, node.position]));
+    const positionedNodes = placement.nodes
+      .map(node => {
+        const pin = pins.get(node.id);
+        return this.positionChildren(pin ? { ...node, x: pin.x, y: pin.y } : { ...node, x: node.x + padding, y: node.y + padding });
+      })
+      .sort((a, b) => order.get(a.id) - order.get(b.id));
+    const groupBoxes = {};
+    Object.entries(placement.groupBoxes).forEach(([groupId, box]) => {
+      const group = groupTree.groups.find(candidate => candidate.id === groupId);
+      if (group && group.memberIds.some(id => pins.has(id))) return;
+      groupBoxes[groupId] = { ...box, x: box.x + padding, y: box.y + padding };
+    });
+    const waypoints = this.translateWaypoints(placement.waypoints, padding, padding);
+    Object.keys(waypoints)
+      .filter(key => key.split('->').some(id => pins.has(id)))
+      .forEach(key => delete waypoints[key]);
+
+    const positionedConnections = this.calculateConnectionPaths(connections, positionedNodes, waypoints, layout.direction);
+
+    return this.createLayoutResult(positionedNodes, positionedConnections, groupTree.groups, layout, groupBoxes);
+  }
+
+  /**
+   * Position a set of nodes with the configured layout algorithm
+   * @returns {{ nodes: Array, waypoints: Object }} Positioned nodes and dummy-node waypoints keyed "from->to"
+   */
+  placeNodes(nodes, connections, layoutConfig) {
+    switch (layoutConfig.type || 'hierarchical') {
       case 'grid':
-        return this.generateGridLayout(nodes, connections, groups, layout);
+        return this.placeGrid(nodes, connections, layoutConfig);
       case 'layered':
-        return this.generateLayeredLayout(nodes, connections, groups, layout);
+        return this.placeLayered(nodes, connections, layoutConfig);
+      case 'force':
+        return this.placeForce(nodes, connections, layoutConfig);
+      case 'hierarchical':
       default:
-        return this.generateHierarchicalLayout(nodes, connections, groups, layout);
+        return this.placeHierarchical(nodes, connections, layoutConfig);
+    }
+  }
+
+  /**
+   * Lay out one level of the group hierarchy (scopeId null is the top level)
+   * Nested groups are laid out first and take part in this level as a single block,
+   * so group members stay together and sibling groups never overlap
+   * @returns {{ nodes, waypoints, groupBoxes, width, height }} Content with its top-left corner at 0,0
+   */
+  placeScope(scopeId, nodes, connections, groupTree, layoutConfig) {
+    const groupMap = {};
+    groupTree.groups.forEach(group => {
+      groupMap[group.id] = group;
+    });
+    const nodeIds = new Set(nodes.map(node => node.id));
+
+    // Child groups become blocks sized to their own content
+    const nested = {};
+    const blocks = groupTree.groups
+      .filter(group => group.parentId === scopeId)
+      .map(group => {
+        const inner = this.placeScope(group.id, nodes, connections, groupTree, layoutConfig);
+        if (inner.nodes.length === 0) return null;
+        nested[group.id] = inner;
+        return {
+          id: group.id,
+          type: this.dominantNodeType(inner.nodes),
+          width: inner.width + 2 * GROUP_PADDING,
+          height: inner.height + GROUP_HEADER + GROUP_PADDING
+        };
+      })
+      .filter(Boolean);
+    const items = [...nodes.filter(node => (groupTree.nodeGroup[node.id] ?? null) === scopeId), ...blocks];
+
+    if (items.length === 0) {
+      return { nodes: [], waypoints: {}, groupBoxes: {}, width: 0, height: 0 };
     }
+
+    // Connections between items of this level; endpoints inside nested groups are lifted to their block
+    const itemOf = nodeId => {
+      if (!nodeIds.has(nodeId)) return undefined;
+      let groupId = groupTree.nodeGroup[nodeId] ?? null;
+      if (groupId === scopeId) return nodeId;
+      while (groupId !== null && groupMap[groupId].parentId !== scopeId) {
+        groupId = groupMap[groupId].parentId;
+      }
+      return groupId ?? undefined;
+    };
+    const scopeConnections = connections
+      .map(conn => ({ ...conn, from: itemOf(conn.from), to: itemOf(conn.to) }))
+      .filter(conn => conn.from !== undefined && conn.to !== undefined && conn.from !== conn.to);
+
+    const placement = this.placeNodes(items, scopeConnections, layoutConfig);
+    const minX = Math.min(...placement.nodes.map(item => item.x));
+    const minY = Math.min(...placement.nodes.map(item => item.y));
+
+    const result = { nodes: [], waypoints: {}, groupBoxes: {} };
+    placement.nodes.forEach(item => {
+      const x = item.x - minX;
+      const y = item.y - minY;
+      const inner = nested[item.id];
+      if (!inner) {
+        result.nodes.push({ ...item, x, y });
+        return;
+      }
+
+      // Expand the block: its content sits inside the group padding, below the label
+      const dx = x + GROUP_PADDING;
+      const dy = y + GROUP_HEADER;
+      result.groupBoxes[item.id] = { x, y, width: item.width, height: item.height };
+      inner.nodes.forEach(node => result.nodes.push({ ...node, x: node.x + dx, y: node.y + dy }));
+      Object.entries(inner.groupBoxes).forEach(([groupId, box]) => {
+        result.groupBoxes[groupId] = { ...box, x: box.x + dx, y: box.y + dy };
+      });
+      Object.assign(result.waypoints, this.translateWaypoints(inner.waypoints, dx, dy));
+    });
+
+    // Waypoints of lifted connections run between blocks, not between the real nodes
+    const levelWaypoints = {};
+    Object.entries(placement.waypoints).forEach(([key, points]) => {
+      const [from, to] = key.split('->');
+      if (!nested[from] && !nested[to]) levelWaypoints[key] = points;
+    });
+    Object.assign(result.waypoints, this.translateWaypoints(levelWaypoints, -minX, -minY));
+
+    const bounds = this.calculateBounds([...result.nodes, ...Object.values(result.groupBoxes)]);
+    return { ...result, width: bounds.maxX, height: bounds.maxY };
+  }
+
+  /**
+   * Shift every waypoint by dx/dy
+   */
+  translateWaypoints(waypoints, dx, dy) {
+    const translated = {};
+    Object.entries(waypoints).forEach(([key, points]) => {
+      translated[key] = points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+    });
+    return translated;
   }
 
   /**
-   * Hierarchical layout - organizes nodes in layers based on dependencies
+   * Most common node type, so a group block lands in the matching band of the layered layout
    */
-  generateHierarchicalLayout(nodes, connections, groups, layoutConfig) {
+  dominantNodeType(nodes) {
+    const counts = {};
+    nodes.forEach(node => {
+      counts[node.type] = (counts[node.type] || 0) + 1;
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  }
+
+  /**
+   * Hierarchical layout - Sugiyama-style layered drawing
+   * Cycle breaking -> longest-path layering -> dummy nodes -> crossing minimisation -> coordinate alignment
+   */
+  placeHierarchical(nodes, connections, layoutConfig) {
     const direction = layoutConfig.direction || 'TB';
     const spacing = layoutConfig.spacing || { node: 80, rank: 100 };
     
-    // Build dependency graph
+    // Build dependency graph and reverse back edges so it becomes acyclic
     const dependencyGraph = this.buildDependencyGraph(nodes, connections);
+    const acyclicGraph = this.breakCycles(nodes, dependencyGraph);
     
-    // Assign layers based on dependencies
-    const layers = this.assignLayers(nodes, dependencyGraph);
+    // Assign layers based on the longest path from the sources
+    const layers = this.assignLayers(nodes, acyclicGraph);
     
-    // Position nodes within layers
-    const positionedNodes = this.positionNodesInLayers(layers, direction, spacing);
+    // Split edges spanning several layers into chains of dummy nodes
+    const { layers: expandedLayers, edges, chains } = this.insertDummyNodes(layers, acyclicGraph);
     
-    // Calculate connection paths
-    const positionedConnections = this.calculateConnectionPaths(connections, positionedNodes);
+    // Reorder nodes within layers to minimise edge crossings
+    const orderedLayers = this.orderLayers(expandedLayers, edges);
     
-    return {
-      nodes: positionedNodes,
-      connections: positionedConnections,
-      groups: this.positionGroups(groups, positionedNodes),
-      bounds: this.calculateBounds(positionedNodes)
-    };
+    // Position nodes within layers, aligned with their neighbours
+    const positioned = this.positionNodesInLayers(orderedLayers, direction, spacing, edges);
+    const positionedNodes = positioned.filter(node => !node.dummy);
+    
+    // Connection paths are later routed through the dummy node positions
+    return { nodes: positionedNodes, waypoints: this.collectWaypoints(chains, positioned) };
   }
 
   /**
    * Grid layout - arranges nodes in a regular grid
    */
-  generateGridLayout(nodes, connections, groups, layoutConfig) {
+  placeGrid(nodes, connections, layoutConfig) {
     const spacing = layoutConfig.spacing || { node: 80, rank: 100 };
     const cols = Math.ceil(Math.sqrt(nodes.length));
     const rows = Math.ceil(nodes.length / cols);
     
+    // Each column is as wide as its widest node, each row as tall as its tallest node
+    const colWidths = new Array(cols).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    nodes.forEach((node, index) => {
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      colWidths[col] = Math.max(colWidths[col], node.width);
+      rowHeights[row] = Math.max(rowHeights[row], node.height);
+    });
+    const colOffsets = this.cumulativeOffsets(colWidths, spacing.node);
+    const rowOffsets = this.cumulativeOffsets(rowHeights, spacing.rank);
+    
     const positionedNodes = nodes.map((node, index) => {
       const row = Math.floor(index / cols);
       const col = index % cols;
-      const style = NODE_STYLES[node.type] || NODE_STYLES.service;
       
+      // Centre the node within its cell
       return {
         ...node,
-        x: this.canvas.padding + col * (style.width + spacing.node),
-        y: this.canvas.padding + row * (style.height + spacing.rank),
-        width: style.width,
-        height: style.height,
-        style
+        x: this.canvas.padding + colOffsets[col] + Math.round((colWidths[col] - node.width) / 2),
+        y: this.canvas.padding + rowOffsets[row] + Math.round((rowHeights[row] - node.height) / 2),
+        width: node.width,
+        height: node.height,
+        style: node.style
       };
     });
     
-    const positionedConnections = this.calculateConnectionPaths(connections, positionedNodes);
-    
-    return {
-      nodes: positionedNodes,
-      connections: positionedConnections,
-      groups: this.positionGroups(groups, positionedNodes),
-      bounds: this.calculateBounds(positionedNodes)
-    };
+    return { nodes: positionedNodes, waypoints: {} };
   }
 
   /**
    * Layered layout - organizes nodes by logical layers (UI, Business, Data)
    */
-  generateLayeredLayout(nodes, connections, groups, layoutConfig) {
+  placeLayered(nodes, connections, layoutConfig) {
     const direction = layoutConfig.direction || 'TB';
     const spacing = layoutConfig.spacing || { node: 80, rank: 120 };
     
@@ -111,15 +317,166 @@ class LayoutEngine {
     // Position layers
     const positionedNodes = this.positionLayeredNodes(layers, direction, spacing);
     
-    // Calculate connections
-    const positionedConnections = this.calculateConnectionPaths(connections, positionedNodes);
-    
-    return {
-      nodes: positionedNodes,
-      connections: positionedConnections,
-      groups: this.positionGroups(groups, positionedNodes),
-      bounds: this.calculateBounds(positionedNodes)
-    };
+    return { nodes: positionedNodes, waypoints: {} };
+  }
+
+  /**
+   * Force-directed layout - spreads mesh-like graphs instead of stacking them in layers
+   * Deterministic for a given seed; node sizes are respected and overlaps removed afterwards
+   */
+  placeForce(nodes, connections, layoutConfig) {
+    const spacing = layoutConfig.spacing || { node: 80, rank: 100 };
+    const random = createSeededRandom(layoutConfig.seed ?? DEFAULT_FORCE_SEED);
+
+    const bodies = nodes.map(node => ({
+      node,
+      x: 0,
+      y: 0,
+      width: node.width,
+      height: node.height,
+      radius: Math.hypot(node.width, node.height) / 2
+    }));
+    const bodyIndex = {};
+    bodies.forEach((body, index) => {
+      bodyIndex[body.node.id] = index;
+    });
+
+    // Unique undirected edges between distinct nodes
+    const edgeKeys = new Set();
+    const edges = [];
+    connections.forEach(conn => {
+      const a = bodyIndex[conn.from];
+      const b = bodyIndex[conn.to];
+      if (a === undefined || b === undefined || a === b) return;
+      const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+      if (!edgeKeys.has(key)) {
+        edgeKeys.add(key);
+        edges.push([a, b]);
+      }
+    });
+
+    // Ideal distance between two bodies grows with their size
+    const idealDistance = (a, b) => a.radius + b.radius + spacing.node;
+
+    // Random initial placement in a square proportional to the graph size
+    const averageDistance = bodies.reduce((sum, body) => sum + 2 * body.radius, 0) / Math.max(bodies.length, 1) + spacing.node;
+    const extent = averageDistance * Math.sqrt(bodies.length);
+    bodies.forEach(body => {
+      body.x = (random() - 0.5) * extent;
+      body.y = (random() - 0.5) * extent;
+    });
+
+    let temperature = extent / 2;
+    const cooling = temperature / FORCE_ITERATIONS;
+
+    for (let iteration = 0; iteration < FORCE_ITERATIONS; iteration++) {
+      const displacement = bodies.map(() => ({ x: 0, y: 0 }));
+
+      // Repulsion between every pair of bodies
+      for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+          let dx = bodies[i].x - bodies[j].x;
+          let dy = bodies[i].y - bodies[j].y;
+          if (dx === 0 && dy === 0) {
+            dx = random() - 0.5;
+            dy = random() - 0.5;
+          }
+          const distance = Math.max(Math.hypot(dx, dy), 0.01);
+          const ideal = idealDistance(bodies[i], bodies[j]);
+          // Distant bodies do not repel, so gravity can bring components together
+          if (distance > 2 * ideal) continue;
+          const force = (ideal * ideal) / distance;
+          displacement[i].x += (dx / distance) * force;
+          displacement[i].y += (dy / distance) * force;
+          displacement[j].x -= (dx / distance) * force;
+          displacement[j].y -= (dy / distance) * force;
+        }
+      }
+
+      // Attraction along connections
+      edges.forEach(([a, b]) => {
+        const dx = bodies[a].x - bodies[b].x;
+        const dy = bodies[a].y - bodies[b].y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (distance * distance) / idealDistance(bodies[a], bodies[b]);
+        displacement[a].x -= (dx / distance) * force;
+        displacement[a].y -= (dy / distance) * force;
+        displacement[b].x += (dx / distance) * force;
+        displacement[b].y += (dy / distance) * force;
+      });
+
+      // Weak gravity keeps disconnected components together
+      bodies.forEach((body, index) => {
+        displacement[index].x -= body.x * 0.1;
+        displacement[index].y -= body.y * 0.1;
+      });
+
+      // Move each body, limited by the current temperature
+      bodies.forEach((body, index) => {
+        const { x, y } = displacement[index];
+        const length = Math.hypot(x, y);
+        if (length === 0) return;
+        const step = Math.min(length, temperature);
+        body.x += (x / length) * step;
+        body.y += (y / length) * step;
+      });
+
+      temperature = Math.max(temperature - cooling, 1);
+    }
+
+    this.removeOverlaps(bodies, spacing.node / 2);
+
+    // Bodies are centred at (x, y); shift so the top-left corner sits at the padding
+    const minX = Math.min(...bodies.map(body => body.x - body.width / 2));
+    const minY = Math.min(...bodies.map(body => body.y - body.height / 2));
+    const positionedNodes = bodies.map(body => ({
+      ...body.node,
+      x: Math.round(body.x - body.width / 2 - minX + this.canvas.padding),
+      y: Math.round(body.y - body.height / 2 - minY + this.canvas.padding),
+      width: body.width,
+      height: body.height,
+      style: body.node.style
+    }));
+
+    return { nodes: positionedNodes, waypoints: {} };
+  }
+
+  /**
+   * Push apart overlapping boxes (centred at x/y) along the axis of least overlap
+   * @param {Array} bodies - Boxes with x, y (centre), width and height
+   * @param {number} gap - Minimum free space to keep between boxes
+   */
+  removeOverlaps(bodies, gap) {
+    const maxPasses = 1000;
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      let moved = false;
+
+      for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+          const a = bodies[i];
+          const b = bodies[j];
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const overlapX = (a.width + b.width) / 2 + gap - Math.abs(dx);
+          const overlapY = (a.height + b.height) / 2 + gap - Math.abs(dy);
+          if (overlapX <= 0 || overlapY <= 0) continue;
+
+          moved = true;
+          if (overlapX < overlapY) {
+            const shift = (overlapX / 2) * (dx < 0 ? -1 : 1);
+            a.x -= shift;
+            b.x += shift;
+          } else {
+            const shift = (overlapY / 2) * (dy < 0 ? -1 : 1);
+            a.y -= shift;
+            b.y += shift;
+          }
+        }
+      }
+
+      if (!moved) return;
+    }
   }
 
   /**
@@ -142,61 +499,279 @@ class LayoutEngine {
   }
 
   /**
-   * Assign nodes to layers based on dependencies (topological sort)
+   * Make the dependency graph acyclic by reversing DFS back edges
+   * Self-loops and duplicate edges are dropped; the result has the same shape as the dependency graph
    */
-  assignLayers(nodes, dependencyGraph) {
+  breakCycles(nodes, dependencyGraph) {
+    const acyclic = {};
+    nodes.forEach(node => {
+      acyclic[node.id] = { incoming: [], outgoing: [] };
+    });
+
+    const addEdge = (from, to) => {
+      if (from === to || acyclic[from].outgoing.includes(to)) return;
+      acyclic[from].outgoing.push(to);
+      acyclic[to].incoming.push(from);
+    };
+
+    const state = {}; // undefined = unvisited, 1 = on stack, 2 = done
+    const visit = (id) => {
+      state[id] = 1;
+      dependencyGraph[id].outgoing.forEach(targetId => {
+        if (state[targetId] === 1) {
+          addEdge(targetId, id); // Back edge closes a cycle - reverse it
+        } else {
+          addEdge(id, targetId);
+          if (state[targetId] === undefined) visit(targetId);
+        }
+      });
+      state[id] = 2;
+    };
+
+    // Start from the sources so the reversed edges are the ones pointing "upwards"
+    const sources = nodes.filter(node => dependencyGraph[node.id].incoming.length === 0);
+    [...sources, ...nodes].forEach(node => {
+      if (state[node.id] === undefined) visit(node.id);
+    });
+
+    return acyclic;
+  }
+
+  /**
+   * Assign nodes to layers using the longest path from the sources
+   * Sources are then pulled down to sit directly above their nearest successor
+   * @param {Array} nodes - Nodes to layer
+   * @param {Object} acyclicGraph - Dependency graph without cycles
+   * @returns {Array<Array>} Layers of nodes, in input order within each layer
+   */
+  assignLayers(nodes, acyclicGraph) {
+    const layerOf = {};
+    const remainingIncoming = {};
+    nodes.forEach(node => {
+      remainingIncoming[node.id] = acyclicGraph[node.id].incoming.length;
+    });
+
+    // Kahn's topological order; each node goes one layer below its deepest predecessor
+    const queue = nodes.filter(node => remainingIncoming[node.id] === 0).map(node => node.id);
+    queue.forEach(id => {
+      layerOf[id] = 0;
+    });
+    for (let i = 0; i < queue.length; i++) {
+      const id = queue[i];
+      acyclicGraph[id].outgoing.forEach(targetId => {
+        layerOf[targetId] = Math.max(layerOf[targetId] ?? 0, layerOf[id] + 1);
+        remainingIncoming[targetId]--;
+        if (remainingIncoming[targetId] === 0) queue.push(targetId);
+      });
+    }
+
+    // Avoid long edges out of sources such as a client feeding a deep service
+    nodes.forEach(node => {
+      const { incoming, outgoing } = acyclicGraph[node.id];
+      if (incoming.length === 0 && outgoing.length > 0) {
+        layerOf[node.id] = Math.min(...outgoing.map(targetId => layerOf[targetId])) - 1;
+      }
+    });
+
     const layers = [];
-    const visited = new Set();
-    const nodeToLayer = {};
-    
-    // Find nodes with no incoming dependencies (layer 0)
-    const rootNodes = nodes.filter(node => 
-      dependencyGraph[node.id].incoming.length === 0
-    );
-    
-    if (rootNodes.length === 0) {
-      // Circular dependencies or isolated nodes - use simple grouping
-      return this.groupNodesByType(nodes);
+    nodes.forEach(node => {
+      const layerIndex = layerOf[node.id];
+      if (!layers[layerIndex]) layers[layerIndex] = [];
+      layers[layerIndex].push(node);
+    });
+
+    return layers.filter(Boolean);
+  }
+
+  /**
+   * Replace edges that span more than one layer with chains of dummy nodes
+   * @returns {{ layers: Array<Array>, edges: Array<[string, string]>, chains: Object }}
+   *   edges connect consecutive layers; chains maps "from->to" to the dummy ids in order
+   */
+  insertDummyNodes(layers, acyclicGraph) {
+    const layerOf = {};
+    layers.forEach((layer, layerIndex) => {
+      layer.forEach(node => {
+        layerOf[node.id] = layerIndex;
+      });
+    });
+
+    const expandedLayers = layers.map(layer => [...layer]);
+    const edges = [];
+    const chains = {};
+
+    layers.forEach(layer => {
+      layer.forEach(node => {
+        acyclicGraph[node.id].outgoing.forEach(targetId => {
+          const chain = [];
+          let previousId = node.id;
+
+          for (let layerIndex = layerOf[node.id] + 1; layerIndex < layerOf[targetId]; layerIndex++) {
+            const dummy = {
+              id: `__dummy_${node.id}_${targetId}_${layerIndex}`,
+              dummy: true,
+              width: DUMMY_NODE_SIZE,
+              height: DUMMY_NODE_SIZE
+            };
+            expandedLayers[layerIndex].push(dummy);
+            edges.push([previousId, dummy.id]);
+            chain.push(dummy.id);
+            previousId = dummy.id;
+          }
+
+          edges.push([previousId, targetId]);
+          if (chain.length > 0) chains[`${node.id}->${targetId}`] = chain;
+        });
+      });
+    });
+
+    return { layers: expandedLayers, edges, chains };
+  }
+
+  /**
+   * Order nodes within each layer to minimise crossings
+   * Alternating median sweeps (barycenter breaks ties) followed by adjacent transpositions;
+   * the ordering with the fewest crossings wins
+   */
+  orderLayers(layers, edges) {
+    const upperNeighbours = {};
+    const lowerNeighbours = {};
+    layers.forEach(layer => layer.forEach(node => {
+      upperNeighbours[node.id] = [];
+      lowerNeighbours[node.id] = [];
+    }));
+    edges.forEach(([from, to]) => {
+      lowerNeighbours[from].push(to);
+      upperNeighbours[to].push(from);
+    });
+
+    let order = layers.map(layer => [...layer]);
+    let best = order.map(layer => [...layer]);
+    let bestCrossings = this.countCrossings(order, edges);
+
+    for (let iteration = 0; iteration < ORDERING_ITERATIONS && bestCrossings > 0; iteration++) {
+      if (iteration % 2 === 0) {
+        for (let i = 1; i < order.length; i++) {
+          order[i] = this.sortLayerByMedian(order[i], order[i - 1], upperNeighbours);
+        }
+      } else {
+        for (let i = order.length - 2; i >= 0; i--) {
+          order[i] = this.sortLayerByMedian(order[i], order[i + 1], lowerNeighbours);
+        }
+      }
+      this.transposeLayers(order, upperNeighbours, lowerNeighbours);
+
+      const crossings = this.countCrossings(order, edges);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = order.map(layer => [...layer]);
+      }
     }
-    
-    // BFS to assign layers
-    let currentLayer = 0;
-    let queue = [...rootNodes];
-    
-    while (queue.length > 0) {
-      if (!layers[currentLayer]) layers[currentLayer] = [];
-      
-      const nextQueue = [];
-      
-      queue.forEach(node => {
-        if (!visited.has(node.id)) {
-          visited.add(node.id);
-          layers[currentLayer].push(node);
-          nodeToLayer[node.id] = currentLayer;
-          
-          // Add dependent nodes to next layer
-          dependencyGraph[node.id].outgoing.forEach(depId => {
-            const depNode = nodes.find(n => n.id === depId);
-            if (depNode && !visited.has(depId)) {
-              nextQueue.push(depNode);
-            }
-          });
+
+    return best;
+  }
+
+  /**
+   * Sort a layer by the median position of its neighbours in the adjacent (fixed) layer
+   * Nodes without neighbours keep their current slot
+   */
+  sortLayerByMedian(layer, fixedLayer, neighbours) {
+    const position = {};
+    fixedLayer.forEach((node, index) => {
+      position[node.id] = index;
+    });
+
+    const keyed = layer.map((node, index) => {
+      const positions = neighbours[node.id]
+        .map(id => position[id])
+        .filter(value => value !== undefined)
+        .sort((a, b) => a - b);
+      if (positions.length === 0) return { node, index, fixed: true };
+
+      const middle = Math.floor(positions.length / 2);
+      const median = positions.length % 2 === 1
+        ? positions[middle]
+        : (positions[middle - 1] + positions[middle]) / 2;
+      const barycenter = positions.reduce((sum, value) => sum + value, 0) / positions.length;
+      return { node, index, median, barycenter };
+    });
+
+    const movable = keyed
+      .filter(entry => !entry.fixed)
+      .sort((a, b) => a.median - b.median || a.barycenter - b.barycenter || a.index - b.index);
+
+    return keyed.map(entry => (entry.fixed ? entry.node : movable.shift().node));
+  }
+
+  /**
+   * Swap adjacent nodes while that reduces crossings with both neighbouring layers
+   */
+  transposeLayers(order, upperNeighbours, lowerNeighbours) {
+    const position = {};
+    const refreshPositions = layer => layer.forEach((node, index) => {
+      position[node.id] = index;
+    });
+    order.forEach(refreshPositions);
+
+    // Crossings between edges of v and w when v is placed left of w
+    const pairCrossings = (v, w, neighbours) => {
+      let crossings = 0;
+      neighbours[v.id].forEach(a => {
+        neighbours[w.id].forEach(b => {
+          if (position[a] > position[b]) crossings++;
+        });
+      });
+      return crossings;
+    };
+    const cost = (v, w) => pairCrossings(v, w, upperNeighbours) + pairCrossings(v, w, lowerNeighbours);
+
+    let improved = true;
+    for (let pass = 0; improved && pass < ORDERING_ITERATIONS; pass++) {
+      improved = false;
+      order.forEach(layer => {
+        for (let i = 0; i < layer.length - 1; i++) {
+          if (cost(layer[i + 1], layer[i]) < cost(layer[i], layer[i + 1])) {
+            [layer[i], layer[i + 1]] = [layer[i + 1], layer[i]];
+            refreshPositions(layer);
+            improved = true;
+          }
         }
       });
-      
-      queue = nextQueue;
-      currentLayer++;
     }
-    
-    // Add any remaining unvisited nodes
-    nodes.forEach(node => {
-      if (!visited.has(node.id)) {
-        if (!layers[currentLayer]) layers[currentLayer] = [];
-        layers[currentLayer].push(node);
+  }
+
+  /**
+   * Count edge crossings between consecutive layers
+   */
+  countCrossings(layers, edges) {
+    const position = {};
+    const layerOf = {};
+    layers.forEach((layer, layerIndex) => {
+      layer.forEach((node, index) => {
+        position[node.id] = index;
+        layerOf[node.id] = layerIndex;
+      });
+    });
+
+    const edgesByLayer = {};
+    edges.forEach(([from, to]) => {
+      const layerIndex = layerOf[from];
+      if (!edgesByLayer[layerIndex]) edgesByLayer[layerIndex] = [];
+      edgesByLayer[layerIndex].push([position[from], position[to]]);
+    });
+
+    let crossings = 0;
+    Object.values(edgesByLayer).forEach(layerEdges => {
+      for (let i = 0; i < layerEdges.length; i++) {
+        for (let j = i + 1; j < layerEdges.length; j++) {
+          const [a1, b1] = layerEdges[i];
+          const [a2, b2] = layerEdges[j];
+          if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+        }
       }
     });
-    
-    return layers;
+
+    return crossings;
   }
 
   /**
@@ -224,48 +799,151 @@ class LayoutEngine {
 
   /**
    * Position nodes within layers
+   * Along a layer, nodes are placed as close as possible to their neighbours in the adjacent layers
+   * @param {Array<Array>} layers - Ordered layers
+   * @param {string} direction - TB, BT, LR or RL
+   * @param {Object} spacing - { node, rank }
+   * @param {Array<[string, string]>} [edges] - Edges between consecutive layers used for alignment
    */
-  positionNodesInLayers(layers, direction, spacing) {
-    const positionedNodes = [];
+  positionNodesInLayers(layers, direction, spacing, edges = []) {
     const isVertical = direction === 'TB' || direction === 'BT';
-    
-    layers.forEach((layer, layerIndex) => {
-      const layerNodes = layer.map((node, nodeIndex) => {
-        const style = NODE_STYLES[node.type] || NODE_STYLES.service;
-        
-        let x, y;
-        if (isVertical) {
-          // Vertical layout (TB/BT)
-          const totalWidth = layer.length * style.width + (layer.length - 1) * spacing.node;
-          const startX = (this.canvas.width - totalWidth) / 2;
-          x = startX + nodeIndex * (style.width + spacing.node);
-          y = direction === 'TB' 
-            ? this.canvas.padding + layerIndex * (style.height + spacing.rank)
-            : this.canvas.height - this.canvas.padding - (layerIndex + 1) * (style.height + spacing.rank);
-        } else {
-          // Horizontal layout (LR/RL)
-          const totalHeight = layer.length * style.height + (layer.length - 1) * spacing.node;
-          const startY = (this.canvas.height - totalHeight) / 2;
-          y = startY + nodeIndex * (style.height + spacing.node);
-          x = direction === 'LR'
-            ? this.canvas.padding + layerIndex * (style.width + spacing.rank)
-            : this.canvas.width - this.canvas.padding - (layerIndex + 1) * (style.width + spacing.rank);
+    const crossSize = node => (isVertical ? node.width : node.height);
+    const rankSize = node => (isVertical ? node.height : node.width);
+
+    const { padding } = this.canvas;
+
+    // Along a layer: shift the centred coordinates so the leftmost edge sits at the padding
+    const centres = this.assignCrossAxisCoordinates(layers, edges, crossSize, spacing.node);
+    const allNodes = layers.flat();
+    const crossMin = Math.min(...allNodes.map(node => centres[node.id] - crossSize(node) / 2));
+
+    // Across layers: each layer is as thick as its largest node (dummies only count in empty layers)
+    const thickness = layers.map(layer => {
+      const realNodes = layer.filter(node => !node.dummy);
+      return Math.max(...(realNodes.length > 0 ? realNodes : layer).map(rankSize));
+    });
+    const rankOffsets = this.cumulativeOffsets(thickness, spacing.rank);
+    const rankExtent = rankOffsets[layers.length - 1] + thickness[layers.length - 1];
+    const reversed = direction === 'BT' || direction === 'RL';
+
+    return layers.flatMap((layer, layerIndex) => layer.map(node => {
+      const cross = padding + centres[node.id] - crossSize(node) / 2 - crossMin;
+      // Nodes are centred on the layer's centre line; BT/RL mirror the rank axis
+      let rank = rankOffsets[layerIndex] + (thickness[layerIndex] - rankSize(node)) / 2;
+      if (reversed) {
+        rank = rankExtent - rank - rankSize(node);
+      }
+      rank += padding;
+
+      return {
+        ...node,
+        x: Math.round(isVertical ? cross : rank),
+        y: Math.round(isVertical ? rank : cross),
+        width: node.width,
+        height: node.height,
+        style: node.style
+      };
+    }));
+  }
+
+  /**
+   * Start offset of each band given band sizes and the gap between bands
+   */
+  cumulativeOffsets(sizes, gap) {
+    const offsets = [];
+    sizes.reduce((offset, size, index) => {
+      offsets[index] = offset;
+      return offset + size + gap;
+    }, 0);
+    return offsets;
+  }
+
+  /**
+   * Assign centre coordinates along each layer
+   * Repeated down/up sweeps pull every node towards the mean of its neighbours,
+   * while keeping the crossing-minimised order and the minimum spacing
+   * @returns {Object} Map of node id to centre coordinate (centred around 0)
+   */
+  assignCrossAxisCoordinates(layers, edges, sizeOf, gap) {
+    const upperNeighbours = {};
+    const lowerNeighbours = {};
+    layers.forEach(layer => layer.forEach(node => {
+      upperNeighbours[node.id] = [];
+      lowerNeighbours[node.id] = [];
+    }));
+    edges.forEach(([from, to]) => {
+      lowerNeighbours[from].push(to);
+      upperNeighbours[to].push(from);
+    });
+
+    const centre = {};
+    layers.forEach(layer => this.placeLayer(layer, layer.map(() => 0), sizeOf, gap, centre));
+
+    const desiredFrom = (layer, neighbourSets) => layer.map(node => {
+      const neighbours = neighbourSets.flatMap(neighbourSet => neighbourSet[node.id]);
+      if (neighbours.length === 0) return centre[node.id];
+      return neighbours.reduce((sum, id) => sum + centre[id], 0) / neighbours.length;
+    });
+
+    if (edges.length > 0) {
+      for (let iteration = 0; iteration < ALIGNMENT_ITERATIONS; iteration++) {
+        for (let i = 1; i < layers.length; i++) {
+          this.placeLayer(layers[i], desiredFrom(layers[i], [upperNeighbours]), sizeOf, gap, centre);
         }
-        
-        return {
-          ...node,
-          x,
-          y,
-          width: style.width,
-          height: style.height,
-          style
-        };
+        for (let i = layers.length - 2; i >= 0; i--) {
+          this.placeLayer(layers[i], desiredFrom(layers[i], [lowerNeighbours]), sizeOf, gap, centre);
+        }
+      }
+      // Final balancing pass towards both neighbouring layers
+      layers.forEach(layer => {
+        this.placeLayer(layer, desiredFrom(layer, [upperNeighbours, lowerNeighbours]), sizeOf, gap, centre);
       });
-      
-      positionedNodes.push(...layerNodes);
+    }
+
+    // Centre the whole drawing around 0
+    const allNodes = layers.flat();
+    const min = Math.min(...allNodes.map(node => centre[node.id] - sizeOf(node) / 2));
+    const max = Math.max(...allNodes.map(node => centre[node.id] + sizeOf(node) / 2));
+    const shift = (min + max) / 2;
+    allNodes.forEach(node => {
+      centre[node.id] -= shift;
+    });
+
+    return centre;
+  }
+
+  /**
+   * Place one layer as close as possible to the desired centres (least squares),
+   * keeping node order and minimum gaps - isotonic regression via pool adjacent violators
+   */
+  placeLayer(layer, desired, sizeOf, gap, centre) {
+    // Minimum centre offset of each node from the first one
+    const offsets = [0];
+    for (let i = 1; i < layer.length; i++) {
+      const pairGap = layer[i - 1].dummy || layer[i].dummy ? gap / 4 : gap;
+      offsets.push(offsets[i - 1] + (sizeOf(layer[i - 1]) + sizeOf(layer[i])) / 2 + pairGap);
+    }
+
+    const blocks = [];
+    desired.forEach((value, i) => {
+      blocks.push({ start: i, end: i, sum: value - offsets[i], count: 1 });
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const previous = blocks[blocks.length - 2];
+        if (previous.sum / previous.count <= last.sum / last.count) break;
+        previous.end = last.end;
+        previous.sum += last.sum;
+        previous.count += last.count;
+        blocks.pop();
+      }
+    });
+
+    blocks.forEach(block => {
+      const base = block.sum / block.count;
+      for (let i = block.start; i <= block.end; i++) {
+        centre[layer[i].id] = base + offsets[i];
+      }
     });
-    
-    return positionedNodes;
   }
 
   /**
@@ -277,12 +955,25 @@ class LayoutEngine {
 
   /**
    * Calculate connection paths between positioned nodes
+   * @param {Array} connections - Connections from the DSL
+   * @param {Array} positionedNodes - Nodes with coordinates; nested sub-components can be connected too
+   * @param {Object} [waypoints] - Map of "from->to" to intermediate points the path must pass through
+   * @param {string} [direction] - Layout direction, decides the side self-loops are drawn on
    */
-  calculateConnectionPaths(connections, positionedNodes) {
+  calculateConnectionPaths(connections, positionedNodes, waypoints = {}, direction = 'TB') {
     const nodeMap = {};
-    positionedNodes.forEach(node => {
+    this.flattenNodes(positionedNodes).forEach(node => {
       nodeMap[node.id] = node;
     });
+
+    // Several self-loops on one node are nested inside each other
+    const loopCount = {};
+    const loopIndex = new Map();
+    connections.filter(conn => conn.from === conn.to).forEach(conn => {
+      loopIndex.set(conn, loopCount[conn.from] || 0);
+      loopCount[conn.from] = (loopCount[conn.from] || 0) + 1;
+    });
+    const usedIds = new Set();
     
     return connections.map(conn => {
       const fromNode = nodeMap[conn.from];
@@ -293,17 +984,129 @@ class LayoutEngine {
         return null;
       }
       
-      // Calculate optimal connection points
-      const connectionPoints = this.calculateOptimalConnectionPoints(fromNode, toNode);
+      const via = waypoints[`${conn.from}->${conn.to}`]
+        || [...(waypoints[`${conn.to}->${conn.from}`] || [])].reverse();
+      
+      let connectionPoints;
+      if (fromNode === toNode) {
+        connectionPoints = this.calculateSelfLoop(fromNode, loopIndex.get(conn), loopCount[conn.from], direction);
+      } else if (via.length > 0) {
+        // Leave and enter the nodes on the sides facing the first and last waypoints
+        const point = p => ({ x: p.x, y: p.y, width: 0, height: 0 });
+        const fromPoint = this.calculateOptimalConnectionPoints(fromNode, point(via[0])).fromPoint;
+        const toPoint = this.calculateOptimalConnectionPoints(point(via[via.length - 1]), toNode).toPoint;
+        connectionPoints = { fromPoint, toPoint, path: [fromPoint, ...via, toPoint] };
+      } else {
+        // Calculate optimal connection points
+        connectionPoints = this.calculateOptimalConnectionPoints(fromNode, toNode);
+      }
+
+      // Parallel connections between the same pair need distinct ids
+      const baseId = conn.id || `conn_${conn.from}_${conn.to}`;
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) id = `${baseId}_${suffix}`;
+      usedIds.add(id);
       
       return {
         ...conn,
         ...connectionPoints,
-        id: conn.id || `conn_${conn.from}_${conn.to}`
+        id
       };
     }).filter(Boolean);
   }
 
+  /**
+   * Orthogonal loop leaving and re-entering one side of a node
+   * The right side in vertical layouts and the bottom side in horizontal ones, away from the main flow
+   * @param {Object} node - Positioned node
+   * @param {number} index - Index of this loop among the node's self-loops
+   * @param {number} count - Number of self-loops on the node
+   * @param {string} direction - Layout direction
+   */
+  calculateSelfLoop(node, index, count, direction) {
+    const spread = 0.35 * (index + 1) / count;
+    const extent = SELF_LOOP_SIZE * (index + 1);
+    let path;
+
+    if (direction === 'LR' || direction === 'RL') {
+      const bottom = node.y + node.height;
+      const startX = Math.round(node.x + node.width * (0.5 + spread));
+      const endX = Math.round(node.x + node.width * (0.5 - spread));
+      path = [
+        { x: startX, y: bottom },
+        { x: startX, y: bottom + extent },
+        { x: endX, y: bottom + extent },
+        { x: endX, y: bottom }
+      ];
+    } else {
+      const right = node.x + node.width;
+      const startY = Math.round(node.y + node.height * (0.5 - spread));
+      const endY = Math.round(node.y + node.height * (0.5 + spread));
+      path = [
+        { x: right, y: startY },
+        { x: right + extent, y: startY },
+        { x: right + extent, y: endY },
+        { x: right, y: endY }
+      ];
+    }
+
+    return { fromPoint: path[0], toPoint: path[path.length - 1], path };
+  }
+
+  /**
+   * Bend straight connections that share a pair of nodes apart so they do not draw on top of each other
+   * Each one gets a middle point offset perpendicular to the line and is rendered as a curve
+   */
+  curveParallelConnections(connections) {
+    const pairs = {};
+    connections.forEach(conn => {
+      if (conn.from === conn.to) return;
+      const key = [conn.from, conn.to].sort().join('|');
+      if (!pairs[key]) pairs[key] = [];
+      pairs[key].push(conn);
+    });
+
+    const curved = new Map();
+    Object.values(pairs).filter(pair => pair.length > 1).forEach(pair => {
+      pair.forEach((conn, index) => {
+        const offset = (index - (pair.length - 1) / 2) * PARALLEL_CONNECTION_SPACING;
+        if (offset === 0) return;
+
+        // The normal is taken in a fixed orientation, so A->B and B->A bend to opposite sides
+        const reversed = conn.from > conn.to;
+        const start = reversed ? conn.toPoint : conn.fromPoint;
+        const end = reversed ? conn.fromPoint : conn.toPoint;
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        const middle = {
+          x: Math.round((conn.fromPoint.x + conn.toPoint.x) / 2 - ((end.y - start.y) / length) * offset),
+          y: Math.round((conn.fromPoint.y + conn.toPoint.y) / 2 + ((end.x - start.x) / length) * offset)
+        };
+        curved.set(conn, { ...conn, path: [conn.fromPoint, middle, conn.toPoint], curved: true });
+      });
+    });
+
+    return connections.map(conn => curved.get(conn) || conn);
+  }
+
+  /**
+   * Centre points of dummy node chains, keyed by "from->to"
+   */
+  collectWaypoints(chains, positionedNodes) {
+    const nodeMap = {};
+    positionedNodes.forEach(node => {
+      nodeMap[node.id] = node;
+    });
+
+    const waypoints = {};
+    Object.entries(chains).forEach(([key, chain]) => {
+      waypoints[key] = chain.map(id => ({
+        x: nodeMap[id].x + nodeMap[id].width / 2,
+        y: nodeMap[id].y + nodeMap[id].height / 2
+      }));
+    });
+    return waypoints;
+  }
+
   /**
    * Calculate optimal connection points between two nodes
    */
@@ -355,37 +1158,85 @@ class LayoutEngine {
   }
 
   /**
-   * Position groups around their contained nodes
+   * Assemble the layout result: position groups, route connections, then size the canvas
+   * Bounds cover nodes, group boxes and connection routes; the canvas grows to fit plus padding
+   */
+  createLayoutResult(positionedNodes, positionedConnections, groups, layoutConfig, groupBoxes = {}) {
+    const positionedGroups = this.positionGroups(groups, positionedNodes, groupBoxes);
+
+    // Routing stage: replace straight connections with orthogonal routes around nodes and groups
+    let connections = positionedConnections;
+    if ((layoutConfig.routing || 'orthogonal') === 'orthogonal') {
+      connections = this.router.route(
+        { nodes: this.flattenNodes(positionedNodes), connections, groups: positionedGroups },
+        { direction: layoutConfig.direction || 'TB' }
+      ).connections;
+    } else {
+      connections = this.curveParallelConnections(connections);
+    }
+
+    const routePoints = connections.flatMap(conn => conn.path || [])
+      .map(point => ({ x: point.x, y: point.y, width: 0, height: 0 }));
+    const bounds = this.calculateBounds([...positionedNodes, ...positionedGroups, ...routePoints]);
+
+    return {
+      nodes: positionedNodes,
+      connections,
+      groups: positionedGroups,
+      direction: layoutConfig.direction || 'TB',
+      bounds,
+      canvas: {
+        width: Math.ceil(bounds.maxX + this.canvas.padding),
+        height: Math.ceil(bounds.maxY + this.canvas.padding),
+        padding: this.canvas.padding
+      }
+    };
+  }
+
+  /**
+   * Position groups from the boxes reserved by the layout, or around their contained nodes and nested groups
+   * Outer groups come first so they are drawn behind nested ones
    */
-  positionGroups(groups, positionedNodes) {
+  positionGroups(groups, positionedNodes, groupBoxes = {}) {
     const nodeMap = {};
     positionedNodes.forEach(node => {
       nodeMap[node.id] = node;
     });
-    
-    return groups.map(group => {
-      const containedNodes = group.nodes
-        .map(node => nodeMap[node.id]) // Use group.nodes and access node.id
-        .filter(Boolean);
-      
-      if (containedNodes.length === 0) return null;
-      
+
+    // Inner groups first, so outer groups can enclose them
+    const positioned = {};
+    [...groups].sort((a, b) => (b.depth || 0) - (a.depth || 0)).forEach(group => {
+      const memberIds = group.memberIds || getGroupReferences(group);
+      if (groupBoxes[group.id]) {
+        positioned[group.id] = { ...group, memberIds, ...groupBoxes[group.id] };
+        return;
+      }
+
+      const containedBoxes = [
+        ...memberIds.map(id => nodeMap[id]),
+        ...(group.childGroupIds || []).map(id => positioned[id])
+      ].filter(Boolean);
+
+      if (containedBoxes.length === 0) return;
+
       // Calculate bounding box
-      const bounds = this.calculateBounds(containedNodes);
-      const padding = 20;
-      
-      return {
+      const bounds = this.calculateBounds(containedBoxes);
+
+      positioned[group.id] = {
         ...group,
-        x: bounds.minX - padding,
-        y: bounds.minY - padding,
-        width: bounds.width + 2 * padding,
-        height: bounds.height + 2 * padding
+        memberIds,
+        x: bounds.minX - GROUP_PADDING,
+        y: bounds.minY - GROUP_HEADER,
+        width: bounds.width + 2 * GROUP_PADDING,
+        height: bounds.height + GROUP_HEADER + GROUP_PADDING
       };
-    }).filter(Boolean);
+    });
+
+    return [...groups].sort((a, b) => (a.depth || 0) - (b.depth || 0)).map(group => positioned[group.id]).filter(Boolean);
   }
 
   /**
-   * Calculate bounding box for a set of nodes
+   * Calculate bounding box for a set of boxes (nodes or groups)
    */
   calculateBounds(nodes) {
     if (nodes.length === 0) {
@@ -407,41 +1258,187 @@ class LayoutEngine {
     };
   }
 
-  _calculateAllNodeSizes(nodes) {
-    nodes.forEach(node => this._recursivelyCalculateNodeSize(node));
+  /**
+   * @param {Array} nodes - Top-level nodes
+   * @param {Object} [options]
+   * @param {string} [options.detail] - 'detailed' adds technology badges under labels, 'compact' shows labels only
+   * @param {number} [options.fontFamily] - Excalidraw font used to measure labels and badges
+   */
+  _calculateAllNodeSizes(nodes, options = {}) {
+    nodes.forEach(node => this._recursivelyCalculateNodeSize(node, options));
   }
 
-  _recursivelyCalculateNodeSize(node) {
+  _recursivelyCalculateNodeSize(node, options = {}) {
     const style = NODE_STYLES[node.type] || NODE_STYLES.service;
+    const detailed = (options.detail || 'detailed') === 'detailed';
+    const { fontFamily = 1 } = options;
+    node.badgeLayout = detailed ? this.layoutBadges(node.technologies, fontFamily) : null;
+    const icon = this.icons.resolve(node);
+    node.iconLayout = icon ? { icon, size: ICON_SIZE, spacing: ICON_SPACING } : null;
+
     if (!node.nodes || node.nodes.length === 0) {
-      node.width = style.width;
-      node.height = style.height;
+      // Grow the node beyond its style size when the wrapped label and badges need more room
+      node.labelLayout = layoutText(node.label, { maxWidth: LABEL_MAX_WIDTH, fontSize: LABEL_FONT_SIZE, fontFamily });
+      const fit = sizeForContent(style.shape, this.nodeContentSize(node), LABEL_PADDING);
+      node.width = Math.max(style.width, Math.ceil(fit.width));
+      node.height = Math.max(style.height, Math.ceil(fit.height));
       node.style = style;
       return { width: node.width, height: node.height };
     }
 
     // Recursively calculate sizes for children first
-    node.nodes.forEach(child => this._recursivelyCalculateNodeSize(child));
-
-    const padding = { top: 40, bottom: 20, left: 20, right: 20 }; // Top padding for parent label
-    const subNodeSpacing = 10;
+    node.nodes.forEach(child => this._recursivelyCalculateNodeSize(child, options));
 
-    let contentWidth = 0;
-    let contentHeight = 0;
+    const { width: contentWidth, height: contentHeight } = this.arrangeChildren(node);
 
-    // Simple vertical list layout for sub-nodes
-    contentHeight = node.nodes.reduce((h, child) => h + child.height, 0) + (node.nodes.length - 1) * subNodeSpacing;
-    contentWidth = Math.max(...node.nodes.map(child => child.width));
-
-    // Ensure parent is large enough for its own label
-    const minWidth = node.label.length * 10 + padding.left + padding.right;
+    // Ensure parent is large enough for its own label and badges, shown above the children
+    node.labelLayout = layoutText(node.label, {
+      maxWidth: Math.max(contentWidth, LABEL_MAX_WIDTH),
+      fontSize: LABEL_FONT_SIZE,
+      fontFamily
+    });
+    const minWidth = this.nodeContentSize(node).width + CHILD_PADDING.left + CHILD_PADDING.right;
 
-    node.width = Math.max(minWidth, contentWidth + padding.left + padding.right);
-    node.height = contentHeight + padding.top + padding.bottom;
+    node.width = Math.max(minWidth, contentWidth + CHILD_PADDING.left + CHILD_PADDING.right);
+    node.height = contentHeight + this.childAreaTop(node) + CHILD_PADDING.bottom;
     node.style = style; // Assign base style
 
     return { width: node.width, height: node.height };
   }
+
+  /**
+   * Distance from the top of a parent node to its children, below a possibly wrapped label
+   */
+  childAreaTop(node) {
+    return Math.max(CHILD_PADDING.top, this.nodeContentSize(node).height + 20);
+  }
+
+  /**
+   * Size of a node's own text content: the label with its icon beside it and the technology badges below
+   */
+  nodeContentSize(node) {
+    const label = this.labelRowSize(node);
+    const badges = node.badgeLayout;
+    if (!badges) return label;
+    return {
+      width: Math.max(label.width, badges.width),
+      height: label.height + BADGE_SPACING + badges.height
+    };
+  }
+
+  /**
+   * Size of the label together with the icon to its left
+   */
+  labelRowSize(node) {
+    const label = node.labelLayout || { width: 0, height: 0 };
+    const icon = node.iconLayout;
+    if (!icon) return { width: label.width, height: label.height };
+    return {
+      width: icon.size + icon.spacing + label.width,
+      height: Math.max(label.height, icon.size)
+    };
+  }
+
+  /**
+   * Arrange technology badges in rows no wider than a label line
+   * @returns {Object|null} { rows: [[{ text, width, height }]], width, height, spacing, fontSize, fontFamily }, null without technologies
+   */
+  layoutBadges(technologies, fontFamily = 1) {
+    const names = (technologies || []).map(name => String(name).trim()).filter(Boolean);
+    if (names.length === 0) return null;
+
+    const badgeHeight = Math.ceil(getLineHeight(BADGE_FONT_SIZE) + 2 * BADGE_PADDING.y);
+    const rows = [[]];
+    let rowWidth = 0;
+    names.forEach(name => {
+      const badgeWidth = Math.min(measureText(name, BADGE_FONT_SIZE, fontFamily).width + 2 * BADGE_PADDING.x, LABEL_MAX_WIDTH);
+      const row = rows[rows.length - 1];
+      if (row.length > 0 && rowWidth + BADGE_SPACING + badgeWidth > LABEL_MAX_WIDTH) {
+        rows.push([]);
+        rowWidth = 0;
+      }
+      rowWidth += (rows[rows.length - 1].length > 0 ? BADGE_SPACING : 0) + badgeWidth;
+      rows[rows.length - 1].push({ text: name, width: badgeWidth, height: badgeHeight });
+    });
+
+    const rowWidths = rows.map(row => row.reduce((sum, badge) => sum + badge.width, 0) + (row.length - 1) * BADGE_SPACING);
+    return {
+      rows,
+      width: Math.max(...rowWidths),
+      height: rows.length * badgeHeight + (rows.length - 1) * BADGE_SPACING,
+      spacing: BADGE_SPACING,
+      padding: BADGE_PADDING,
+      fontSize: BADGE_FONT_SIZE,
+      fontFamily
+    };
+  }
+
+  /**
+   * Offsets of a node's children within its content area, following node.arrangement
+   * column stacks children, row puts them side by side, grid uses a near-square grid
+   * @returns {{ width: number, height: number, offsets: Array<{x: number, y: number}> }}
+   */
+  arrangeChildren(node) {
+    const children = node.nodes;
+    const arrangement = node.arrangement || 'column';
+    const cols = arrangement === 'row'
+      ? children.length
+      : arrangement === 'grid' ? Math.ceil(Math.sqrt(children.length)) : 1;
+    const rows = Math.ceil(children.length / cols);
+
+    // Each column is as wide as its widest child, each row as tall as its tallest child
+    const colWidths = new Array(cols).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    children.forEach((child, index) => {
+      colWidths[index % cols] = Math.max(colWidths[index % cols], child.width);
+      rowHeights[Math.floor(index / cols)] = Math.max(rowHeights[Math.floor(index / cols)], child.height);
+    });
+    const colOffsets = this.cumulativeOffsets(colWidths, CHILD_SPACING);
+    const rowOffsets = this.cumulativeOffsets(rowHeights, CHILD_SPACING);
+
+    const offsets = children.map((child, index) => {
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      return {
+        x: colOffsets[col] + (colWidths[col] - child.width) / 2,
+        y: rowOffsets[row] + (rowHeights[row] - child.height) / 2
+      };
+    });
+
+    return {
+      width: colOffsets[cols - 1] + colWidths[cols - 1],
+      height: rowOffsets[rows - 1] + rowHeights[rows - 1],
+      offsets
+    };
+  }
+
+  /**
+   * Give the children of a positioned node absolute coordinates, recursively
+   * The arranged content is centred horizontally below the parent label
+   */
+  positionChildren(node) {
+    if (!node.nodes || node.nodes.length === 0) return node;
+
+    const { width, offsets } = this.arrangeChildren(node);
+    const left = node.x + (node.width - width) / 2;
+    const top = node.y + this.childAreaTop(node);
+
+    return {
+      ...node,
+      nodes: node.nodes.map((child, index) => this.positionChildren({
+        ...child,
+        x: Math.round(left + offsets[index].x),
+        y: Math.round(top + offsets[index].y)
+      }))
+    };
+  }
+
+  /**
+   * All nodes including nested sub-components, parents before their children
+   */
+  flattenNodes(nodes) {
+    return nodes.flatMap(node => [node, ...this.flattenNodes(node.nodes || [])]);
+  }
 }
 
 module.exports = { LayoutEngine };
@@ -1,4 +1,8 @@
-const { CONNECTION_STYLES } = require('./schema');
+const { NODE_STYLES, NodeTypeSchema, ConnectionTypeSchema } = require('./schema');
+const { layoutText, LINE_HEIGHT } = require('./text');
+const { isCompoundShape, getTextArea, getShapePrimitives } = require('./shapes');
+const { toExcalidrawFile } = require('../icons/registry');
+const { themeRegistry } = require('../themes/registry');
 
 // Excalidraw element types
 const EXCALIDRAW_ELEMENT_TYPES = {
@@ -6,23 +10,116 @@ const EXCALIDRAW_ELEMENT_TYPES = {
   ELLIPSE: 'ellipse',
   DIAMOND: 'diamond',
   ARROW: 'arrow',
+  LINE: 'line',
+  IMAGE: 'image',
   TEXT: 'text'
 };
 
+// Distance kept between a bound arrow tip and the shape it is bound to
+const ARROW_BINDING_GAP = 4;
+
+// Legend block to the right of the diagram
+const LEGEND_MARGIN = 40;   // Between the diagram bounds and the legend
+const LEGEND_PADDING = 16;
+const LEGEND_SAMPLE = { width: 48, height: 28 };
+const LEGEND_ROW_HEIGHT = 40;
+
+/**
+ * Node and connection types used in a layout, in schema order
+ * Sub-components count; connection type 'none' is left out since it carries no meaning
+ */
+function getLegendEntries(layout) {
+  const usedNodeTypes = new Set();
+  const collect = node => {
+    usedNodeTypes.add(node.type);
+    (node.nodes || []).forEach(collect);
+  };
+  layout.nodes.forEach(collect);
+  const usedConnectionTypes = new Set(layout.connections.map(connection => connection.type));
+
+  return {
+    nodeTypes: NodeTypeSchema.options.filter(type => usedNodeTypes.has(type)),
+    connectionTypes: ConnectionTypeSchema.options.filter(type => type !== 'none' && usedConnectionTypes.has(type))
+  };
+}
+
+/**
+ * Readable name of a node or connection type, e.g. data_flow -> "Data flow"
+ */
+function getTypeLabel(type) {
+  const acronyms = { http: 'HTTP', ui: 'UI' };
+  if (acronyms[type]) return acronyms[type];
+  const words = type.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
 /**
  * Excalidraw Renderer - Converts positioned layout to Excalidraw elements
  * Final step in the pipeline: DSL -> Layout -> Excalidraw Elements
  */
 class ExcalidrawRenderer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.theme] - Complete theme from the theme registry, the default theme if omitted
+   * @param {boolean} [options.legend] - Add a legend of the node and connection types in use
+   * @param {boolean} [options.deterministic] - Derive ids and seeds from the DSL so the same input gives the same file
+   * @param {number|Date} [options.timestamp] - Time written to elements; fixed at 0 in deterministic mode unless given
+   */
+  constructor(options = {}) {
     this.idCounter = 0;
+    this.usedIds = new Set();
+    this.theme = options.theme || themeRegistry.get('default');
+    this.legend = options.legend || false;
+    this.deterministic = options.deterministic || false;
+    this.timestamp = options.timestamp !== undefined
+      ? new Date(options.timestamp).getTime()
+      : this.deterministic ? 0 : undefined;
   }
 
   /**
    * Generate unique ID for elements
+   * Deterministic renderers build it from a DSL key (node_api, arrow_api_db), others from the clock
+   * @param {string} prefix - Element kind, e.g. 'node'
+   * @param {string} [key] - DSL id the element belongs to
+   */
+  generateId(prefix, key) {
+    let id;
+    if (!this.deterministic) {
+      id = `${prefix}_${Date.now()}_${++this.idCounter}`;
+    } else if (key !== undefined) {
+      id = `${prefix}_${String(key).replace(/[^\w-]+/g, '_')}`;
+    } else {
+      id = `${prefix}_${++this.idCounter}`;
+    }
+
+    // Suffix repeated keys, e.g. a second label element for the same DSL id
+    const base = id;
+    for (let i = 2; this.usedIds.has(id); i++) id = `${base}_${i}`;
+    this.usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Roughness seed or version nonce for an element: a hash of its id when deterministic, random otherwise
+   */
+  generateSeed(id) {
+    if (!this.deterministic) {
+      return Math.floor(Math.random() * 1000000);
+    }
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < id.length; i++) {
+      hash ^= id.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % 2147483647;
+  }
+
+  /**
+   * Timestamp for created/updated fields, the injected one if set
    */
-  generateId() {
-    return `${Date.now()}_${++this.idCounter}`;
+  now() {
+    return this.timestamp !== undefined ? this.timestamp : Date.now();
   }
 
   /**
@@ -31,7 +128,15 @@ class ExcalidrawRenderer {
    * @returns {Object} Excalidraw diagram data
    */
   render(layout) {
+    // Ids only need to be unique within one diagram
+    this.idCounter = 0;
+    this.usedIds = new Set();
+    this.direction = layout.direction;
     const elements = [];
+    // DSL node id -> rendered shape element, used to bind arrows
+    const shapes = new Map();
+    // Excalidraw file id -> embedded icon, referenced by image elements
+    const files = {};
 
     // Render groups first (so they appear behind nodes)
     if (layout.groups) {
@@ -43,23 +148,28 @@ class ExcalidrawRenderer {
 
     // Render nodes
     layout.nodes.forEach(node => {
-      const nodeElements = this.renderNode(node);
+      const nodeElements = this.renderNode(node, shapes, files);
       elements.push(...nodeElements);
     });
 
     // Render connections
     layout.connections.forEach(connection => {
-      const connectionElements = this.renderConnection(connection);
+      const connectionElements = this.renderConnection(connection, shapes);
       elements.push(...connectionElements);
     });
 
+    if (this.legend) {
+      elements.push(...this.renderLegend(layout));
+    }
+
     return {
       type: "excalidraw",
       version: 2,
       source: "draw-arch-dsl-renderer",
       elements,
+      files,
       appState: {
-        viewBackgroundColor: "#ffffff",
+        viewBackgroundColor: this.theme.background,
         gridSize: 20,
         zoom: {
           value: 1
@@ -72,14 +182,31 @@ class ExcalidrawRenderer {
 
   /**
    * Render a single node to Excalidraw elements
+   * @param {Object} node - Positioned node
+   * @param {Map} [shapes] - Collects node id -> shape element for arrow bindings
+   * @param {Object} [files] - Collects the Excalidraw files of node icons
    */
-  renderNode(node) {
+  renderNode(node, shapes = new Map(), files = {}) {
     const elements = [];
-    const timestamp = Date.now();
+    const timestamp = this.now();
     const { style } = node;
+    const colors = this.getNodeColors(node);
+    const { theme } = this;
+    const badges = node.badgeLayout;
+    const icon = node.iconLayout;
+    const hasChildren = node.nodes && node.nodes.length > 0;
+    const compound = isCompoundShape(style.shape);
 
     // Create shape element
-    const shapeId = `node_${this.generateId()}`;
+    const shapeId = this.generateId('node', node.id);
+    // Icons, badges and the parts of compound shapes move together with their node
+    const groupIds = icon || badges || compound ? [`${shapeId}_group`] : [];
+
+    // Compound shapes are drawn from primitives behind an invisible box that arrows and the label bind to
+    if (compound) {
+      elements.push(...this.renderShapePrimitives(node, colors, groupIds));
+    }
+
     const shapeElement = {
       id: shapeId,
       type: this.getExcalidrawShapeType(style.shape),
@@ -87,64 +214,85 @@ class ExcalidrawRenderer {
       y: node.y,
       width: node.width,
       height: node.height,
-      backgroundColor: style.fillColor,
-      strokeColor: style.strokeColor,
+      backgroundColor: compound ? 'transparent' : colors.fillColor,
+      strokeColor: compound ? 'transparent' : colors.strokeColor,
       fillStyle: 'solid',
-      strokeWidth: 2,
+      strokeWidth: theme.strokeWidth,
       strokeStyle: 'solid',
-      roughness: 1,
+      roughness: theme.roughness,
       opacity: 100,
       angle: 0,
-      groupIds: [],
-      strokeSharpness: 'sharp',
-      seed: Math.floor(Math.random() * 1000000),
+      groupIds,
+      strokeSharpness: theme.strokeSharpness,
+      seed: this.generateSeed(shapeId),
       version: 1,
-      versionNonce: Math.floor(Math.random() * 1000000),
+      versionNonce: this.generateSeed(`${shapeId}:version`),
       isDeleted: false,
       boundElements: [],
       updated: timestamp,
       createdAt: new Date(timestamp).toISOString(),
       updatedAt: new Date(timestamp).toISOString(),
-      link: null,
-      locked: false
+      // Excalidraw shows the link when hovering the shape, which makes it a tooltip for the description
+      link: node.description || null,
+      locked: false,
+      // Kept by Excalidraw when the file is edited, so importing it again restores the layout direction
+      ...(this.direction ? { customData: { direction: this.direction } } : {})
     };
 
     elements.push(shapeElement);
+    shapes.set(node.id, shapeElement);
 
     // Create label text element for the main node
-    const textId = `text_${this.generateId()}`;
-
-    // Calculate text dimensions for proper centering
-    const textWidth = Math.min(node.label.length * 9, node.width - 20);
-    const textHeight = 20;
+    const textId = this.generateId('text', node.id);
+
+    // Wrapped and measured by the layout engine; measured here for nodes that bypassed it
+    const label = node.labelLayout || layoutText(node.label, { maxWidth: node.width - 20, fontSize: 16, fontFamily: theme.fontFamily });
+    const textWidth = label.width;
+    const textHeight = label.height;
+
+    // The label row (icon and label) and the badges form one block,
+    // centred in the text area of the shape or at the top of a parent
+    const area = getTextArea(style.shape, node);
+    const iconWidth = icon ? icon.size + icon.spacing : 0;
+    const rowHeight = icon ? Math.max(textHeight, icon.size) : textHeight;
+    const contentHeight = rowHeight + (badges ? badges.spacing + badges.height : 0);
+    const contentTop = hasChildren ? area.y + 10 : area.y + (area.height - contentHeight) / 2;
+    const rowLeft = area.x + (area.width - iconWidth - textWidth) / 2;
+
+    if (icon) {
+      elements.push(this.renderIcon(node, rowLeft, contentTop + (rowHeight - icon.size) / 2, groupIds, files));
+    }
 
     const textElement = {
       id: textId,
       type: EXCALIDRAW_ELEMENT_TYPES.TEXT,
-      x: node.x + (node.width - textWidth) / 2,
-      y: node.y + (node.height - textHeight) / 2,
+      x: rowLeft + iconWidth,
+      y: contentTop + (rowHeight - textHeight) / 2,
       width: textWidth,
       height: textHeight,
-      text: node.label,
-      fontSize: 16,
-      fontFamily: 1,
+      text: label.text,
+      originalText: node.label,
+      lineHeight: LINE_HEIGHT,
+      fontSize: label.fontSize,
+      fontFamily: label.fontFamily,
       textAlign: 'center',
-      verticalAlign: 'middle',
+      // Below the figure of an actor, so Excalidraw keeps it there when the label is edited
+      verticalAlign: hasChildren || badges ? 'top' : style.shape === 'person' ? 'bottom' : 'middle',
       containerId: shapeId,
       autoResize: false,
       backgroundColor: 'transparent',
-      strokeColor: '#000000',
+      strokeColor: colors.textColor,
       fillStyle: 'hachure',
       strokeWidth: 1,
       strokeStyle: 'solid',
-      roughness: 1,
+      roughness: theme.roughness,
       opacity: 100,
       angle: 0,
-      groupIds: [],
+      groupIds,
       strokeSharpness: 'sharp',
-      seed: Math.floor(Math.random() * 1000000),
+      seed: this.generateSeed(textId),
       version: 1,
-      versionNonce: Math.floor(Math.random() * 1000000),
+      versionNonce: this.generateSeed(`${textId}:version`),
       isDeleted: false,
       boundElements: null,
       updated: timestamp,
@@ -154,72 +302,290 @@ class ExcalidrawRenderer {
       locked: false
     };
 
-    // For nodes with children, place the label at the top
-    if (node.nodes && node.nodes.length > 0) {
-      textElement.y = node.y + 10;
-      textElement.verticalAlign = 'top';
-    }
-
     elements.push(textElement);
+    shapeElement.boundElements.push({ id: textId, type: EXCALIDRAW_ELEMENT_TYPES.TEXT });
 
-    // If the node has sub-nodes, render them recursively
-    if (node.nodes && node.nodes.length > 0) {
-      const padding = { top: 40, left: 20 };
-      let currentY = node.y + padding.top;
+    if (badges) {
+      elements.push(...this.renderBadges(node, colors, badges, contentTop + rowHeight + badges.spacing, groupIds));
+    }
 
+    // If the node has sub-nodes, render them recursively (the layout engine has positioned them)
+    if (hasChildren) {
       node.nodes.forEach(subNode => {
-        const subNodeX = node.x + (node.width - subNode.width) / 2;
-        subNode.x = subNodeX;
-        subNode.y = currentY;
-
-        const subElements = this.renderNode(subNode);
+        const subElements = this.renderNode(subNode, shapes, files);
         elements.push(...subElements);
-
-        currentY += subNode.height + 10;
       });
     }
 
     return elements;
   }
 
+  /**
+   * Render a node icon as an image element and add its file to the files map
+   * @param {Object} node - Positioned node with an iconLayout ({ icon, size }) from the layout engine
+   * @param {Array<string>} groupIds - Excalidraw groups shared with the node
+   * @param {Object} files - Excalidraw files map
+   */
+  renderIcon(node, x, y, groupIds, files) {
+    const timestamp = this.now();
+    const { icon, size } = node.iconLayout;
+    if (!files[icon.fileId]) {
+      files[icon.fileId] = toExcalidrawFile(icon, timestamp);
+    }
+
+    const iconId = this.generateId('icon', node.id);
+    return {
+      id: iconId,
+      type: EXCALIDRAW_ELEMENT_TYPES.IMAGE,
+      x,
+      y,
+      width: size,
+      height: size,
+      fileId: icon.fileId,
+      status: 'saved',
+      scale: [1, 1],
+      backgroundColor: 'transparent',
+      strokeColor: 'transparent',
+      fillStyle: 'solid',
+      strokeWidth: 1,
+      strokeStyle: 'solid',
+      roughness: 0,
+      opacity: 100,
+      angle: 0,
+      groupIds,
+      strokeSharpness: 'sharp',
+      seed: this.generateSeed(iconId),
+      version: 1,
+      versionNonce: this.generateSeed(`${iconId}:version`),
+      isDeleted: false,
+      boundElements: null,
+      updated: timestamp,
+      createdAt: new Date(timestamp).toISOString(),
+      updatedAt: new Date(timestamp).toISOString(),
+      link: null,
+      locked: false
+    };
+  }
+
+  /**
+   * Render the lines and ellipses of a compound shape (cylinder, pipe, person, cloud)
+   * @param {Object} node - Positioned node
+   * @param {Object} colors - Themed node colours
+   * @param {Array<string>} groupIds - Excalidraw groups shared with the node
+   */
+  renderShapePrimitives(node, colors, groupIds) {
+    const timestamp = this.now();
+    const { style } = node;
+
+    return getShapePrimitives(style.shape, node).map((primitive, index) => {
+      const primitiveId = this.generateId('shape', `${node.id}_${index}`);
+      const base = {
+        id: primitiveId,
+        backgroundColor: primitive.filled ? colors.fillColor : 'transparent',
+        strokeColor: colors.strokeColor,
+        fillStyle: 'solid',
+        strokeWidth: this.theme.strokeWidth,
+        strokeStyle: 'solid',
+        roughness: this.theme.roughness,
+        opacity: 100,
+        angle: 0,
+        groupIds,
+        strokeSharpness: 'round',
+        seed: this.generateSeed(primitiveId),
+        version: 1,
+        versionNonce: this.generateSeed(`${primitiveId}:version`),
+        isDeleted: false,
+        boundElements: null,
+        updated: timestamp,
+        createdAt: new Date(timestamp).toISOString(),
+        updatedAt: new Date(timestamp).toISOString(),
+        link: null,
+        locked: false
+      };
+
+      if (primitive.type === 'ellipse') {
+        return {
+          ...base,
+          type: EXCALIDRAW_ELEMENT_TYPES.ELLIPSE,
+          x: primitive.x,
+          y: primitive.y,
+          width: primitive.width,
+          height: primitive.height
+        };
+      }
+
+      // Line points are relative to the first one; a closed polygon ends where it starts
+      const points = primitive.closed ? [...primitive.points, primitive.points[0]] : primitive.points;
+      const [origin] = points;
+      const xs = points.map(point => point.x);
+      const ys = points.map(point => point.y);
+      return {
+        ...base,
+        type: EXCALIDRAW_ELEMENT_TYPES.LINE,
+        x: origin.x,
+        y: origin.y,
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+        points: points.map(point => [point.x - origin.x, point.y - origin.y]),
+        lastCommittedPoint: null,
+        startBinding: null,
+        endBinding: null,
+        startArrowhead: null,
+        endArrowhead: null
+      };
+    });
+  }
+
+  /**
+   * Render technology badges: small outlined boxes with bound text, one row per badge row, centred in the node
+   * @param {Object} node - Positioned node
+   * @param {Object} colors - Themed node colours; badges are outlined and lettered in the stroke colour
+   * @param {Object} badges - Badge rows from the layout engine
+   * @param {number} top - Y coordinate of the first row
+   * @param {Array<string>} groupIds - Excalidraw groups shared with the node
+   */
+  renderBadges(node, colors, badges, top, groupIds) {
+    const elements = [];
+    const timestamp = this.now();
+
+    badges.rows.forEach((row, rowIndex) => {
+      const rowWidth = row.reduce((sum, badge) => sum + badge.width, 0) + (row.length - 1) * badges.spacing;
+      let x = node.x + (node.width - rowWidth) / 2;
+      const y = top + rowIndex * (row[0].height + badges.spacing);
+
+      row.forEach(badge => {
+        const badgeId = this.generateId('badge', `${node.id}_${badge.text}`);
+        const textId = this.generateId('badge_text', `${node.id}_${badge.text}`);
+        const text = layoutText(badge.text, { fontSize: badges.fontSize, fontFamily: badges.fontFamily });
+
+        elements.push({
+          id: badgeId,
+          type: EXCALIDRAW_ELEMENT_TYPES.RECTANGLE,
+          x,
+          y,
+          width: badge.width,
+          height: badge.height,
+          backgroundColor: this.theme.badges.backgroundColor,
+          strokeColor: colors.strokeColor,
+          fillStyle: 'solid',
+          strokeWidth: 1,
+          strokeStyle: 'solid',
+          roughness: 0,
+          opacity: 100,
+          angle: 0,
+          groupIds,
+          strokeSharpness: 'round',
+          seed: this.generateSeed(badgeId),
+          version: 1,
+          versionNonce: this.generateSeed(`${badgeId}:version`),
+          isDeleted: false,
+          boundElements: [{ id: textId, type: EXCALIDRAW_ELEMENT_TYPES.TEXT }],
+          updated: timestamp,
+          createdAt: new Date(timestamp).toISOString(),
+          updatedAt: new Date(timestamp).toISOString(),
+          link: null,
+          locked: false
+        }, {
+          id: textId,
+          type: EXCALIDRAW_ELEMENT_TYPES.TEXT,
+          x: x + (badge.width - text.width) / 2,
+          y: y + (badge.height - text.height) / 2,
+          width: text.width,
+          height: text.height,
+          text: text.text,
+          originalText: badge.text,
+          lineHeight: LINE_HEIGHT,
+          fontSize: text.fontSize,
+          fontFamily: text.fontFamily,
+          textAlign: 'center',
+          verticalAlign: 'middle',
+          containerId: badgeId,
+          autoResize: false,
+          backgroundColor: 'transparent',
+          strokeColor: colors.strokeColor,
+          fillStyle: 'hachure',
+          strokeWidth: 1,
+          strokeStyle: 'solid',
+          roughness: this.theme.roughness,
+          opacity: 100,
+          angle: 0,
+          groupIds,
+          strokeSharpness: 'sharp',
+          seed: this.generateSeed(textId),
+          version: 1,
+          versionNonce: this.generateSeed(`${textId}:version`),
+          isDeleted: false,
+          boundElements: null,
+          updated: timestamp,
+          createdAt: new Date(timestamp).toISOString(),
+          updatedAt: new Date(timestamp).toISOString(),
+          link: null,
+          locked: false
+        });
+
+        x += badge.width + badges.spacing;
+      });
+    });
+
+    return elements;
+  }
+
   /**
    * Render a connection to Excalidraw elements
+   * @param {Object} connection - Routed connection
+   * @param {Map} [shapes] - Node id -> shape element; bound shapes get the arrow in boundElements
    */
-  renderConnection(connection) {
+  renderConnection(connection, shapes = new Map()) {
     const elements = [];
-    const timestamp = Date.now();
-    const style = CONNECTION_STYLES[connection.type] || CONNECTION_STYLES.none;
+    const timestamp = this.now();
+    const { theme } = this;
+    const style = { ...theme.connections.none, ...theme.connections[connection.type] };
+    const startShape = shapes.get(connection.from);
+    const endShape = shapes.get(connection.to);
+
+    // Arrow points are relative to the first point of the routed path
+    let path = connection.path && connection.path.length >= 2
+      ? connection.path
+      : [connection.fromPoint, connection.toPoint];
+    path = this.trimPath(path, startShape ? ARROW_BINDING_GAP : 0, endShape ? ARROW_BINDING_GAP : 0);
+    const origin = path[0];
+    const points = path.map(point => [point.x - origin.x, point.y - origin.y]);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
 
     // Create arrow element
-    const arrowId = `arrow_${this.generateId()}`;
+    // Layout ids are the DSL id or conn_<from>_<to>
+    const connectionKey = String(connection.id || `${connection.from}_${connection.to}`).replace(/^conn_/, '');
+    const arrowId = this.generateId('arrow', connectionKey);
     const arrowElement = {
       id: arrowId,
       type: EXCALIDRAW_ELEMENT_TYPES.ARROW,
-      x: connection.fromPoint.x,
-      y: connection.fromPoint.y,
-      width: connection.toPoint.x - connection.fromPoint.x,
-      height: connection.toPoint.y - connection.fromPoint.y,
-      points: [[0, 0], [connection.toPoint.x - connection.fromPoint.x, connection.toPoint.y - connection.fromPoint.y]],
+      x: origin.x,
+      y: origin.y,
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys),
+      points,
       backgroundColor: 'transparent',
       strokeColor: style.strokeColor,
       fillStyle: 'solid',
-      strokeWidth: 2,
+      strokeWidth: theme.strokeWidth,
       strokeStyle: style.strokeStyle,
-      roughness: 1,
+      roughness: theme.roughness,
       opacity: 100,
       angle: 0,
       groupIds: [],
-      strokeSharpness: 'round',
-      seed: Math.floor(Math.random() * 1000000),
+      // Orthogonal routes keep their corners, parallel straight connections are drawn as curves
+      strokeSharpness: points.length > 2 && !connection.curved ? 'sharp' : 'round',
+      seed: this.generateSeed(arrowId),
       version: 1,
-      versionNonce: Math.floor(Math.random() * 1000000),
+      versionNonce: this.generateSeed(`${arrowId}:version`),
       isDeleted: false,
-      boundElements: null,
+      boundElements: [],
       updated: timestamp,
-      startBinding: null,
-      endBinding: null,
+      startBinding: startShape ? this.createBinding(startShape) : null,
+      endBinding: endShape ? this.createBinding(endShape) : null,
       lastCommittedPoint: null,
-      startArrowhead: null,
+      startArrowhead: connection.bidirectional ? 'arrow' : null,
       endArrowhead: 'arrow',
       createdAt: new Date(timestamp).toISOString(),
       updatedAt: new Date(timestamp).toISOString(),
@@ -228,46 +594,49 @@ class ExcalidrawRenderer {
     };
 
     elements.push(arrowElement);
+    [startShape, endShape].forEach(shape => {
+      if (shape && !shape.boundElements.some(bound => bound.id === arrowId)) {
+        shape.boundElements.push({ id: arrowId, type: EXCALIDRAW_ELEMENT_TYPES.ARROW });
+      }
+    });
 
-    // Add label if present
+    // Add label if present, bound to the arrow so it follows the line when edited
     if (connection.label && connection.label.trim() !== '') {
-      const labelId = `label_${this.generateId()}`;
+      const labelId = this.generateId('label', connectionKey);
 
-      const labelX = connection.fromPoint.x + (connection.toPoint.x - connection.fromPoint.x) / 2;
-      const labelY = connection.fromPoint.y + (connection.toPoint.y - connection.fromPoint.y) / 2;
+      const { x: labelX, y: labelY } = this.getPathMidpoint(path);
 
-      let processedLabel = connection.label;
-      const fontSize = 12;
-      const estimatedWidth = Math.min(processedLabel.length * 7, 150);
-      const estimatedHeight = 16;
+      const label = layoutText(connection.label, { maxWidth: 150, fontSize: 12, fontFamily: theme.fontFamily });
 
       const labelElement = {
         id: labelId,
         type: EXCALIDRAW_ELEMENT_TYPES.TEXT,
-        x: labelX - estimatedWidth / 2,
-        y: labelY - estimatedHeight / 2,
-        width: estimatedWidth,
-        height: estimatedHeight,
-        text: processedLabel,
-        fontSize: fontSize,
-        fontFamily: 1,
+        x: labelX - label.width / 2,
+        y: labelY - label.height / 2,
+        width: label.width,
+        height: label.height,
+        text: label.text,
+        originalText: connection.label,
+        lineHeight: LINE_HEIGHT,
+        fontSize: label.fontSize,
+        fontFamily: label.fontFamily,
         textAlign: 'center',
         verticalAlign: 'middle',
-        containerId: null,
+        containerId: arrowId,
         autoResize: true,
-        backgroundColor: '#ffffff',
-        strokeColor: '#000000',
+        backgroundColor: theme.connectionLabels.backgroundColor,
+        strokeColor: theme.connectionLabels.color,
         fillStyle: 'solid',
         strokeWidth: 1,
         strokeStyle: 'solid',
-        roughness: 1,
+        roughness: theme.roughness,
         opacity: 100,
         angle: 0,
         groupIds: [],
         strokeSharpness: 'sharp',
-        seed: Math.floor(Math.random() * 1000000),
+        seed: this.generateSeed(labelId),
         version: 1,
-        versionNonce: Math.floor(Math.random() * 1000000),
+        versionNonce: this.generateSeed(`${labelId}:version`),
         isDeleted: false,
         boundElements: null,
         updated: timestamp,
@@ -278,20 +647,76 @@ class ExcalidrawRenderer {
       };
 
       elements.push(labelElement);
+      arrowElement.boundElements.push({ id: labelId, type: EXCALIDRAW_ELEMENT_TYPES.TEXT });
     }
 
     return elements;
   }
 
+  /**
+   * Binding from an arrow end to a shape. A focus of 0 aims at the shape centre,
+   * which is where Excalidraw re-attaches the arrow once the shape is moved.
+   */
+  createBinding(shapeElement) {
+    return {
+      elementId: shapeElement.id,
+      focus: 0,
+      gap: ARROW_BINDING_GAP
+    };
+  }
+
+  /**
+   * Pull the ends of a polyline back along their segments, leaving a gap at bound shapes
+   */
+  trimPath(path, startGap, endGap) {
+    const trimmed = path.map(point => ({ x: point.x, y: point.y }));
+    const pullBack = (point, towards, gap) => {
+      const length = Math.hypot(towards.x - point.x, towards.y - point.y);
+      if (gap <= 0 || length <= gap * 2) return;
+      point.x += (towards.x - point.x) * gap / length;
+      point.y += (towards.y - point.y) * gap / length;
+    };
+
+    pullBack(trimmed[0], trimmed[1], startGap);
+    pullBack(trimmed[trimmed.length - 1], trimmed[trimmed.length - 2], endGap);
+    return trimmed;
+  }
+
+  /**
+   * Point halfway along a polyline, measured by length
+   */
+  getPathMidpoint(path) {
+    const segmentLengths = path.slice(1).map((point, index) =>
+      Math.hypot(point.x - path[index].x, point.y - path[index].y)
+    );
+    let remaining = segmentLengths.reduce((sum, length) => sum + length, 0) / 2;
+
+    for (let index = 0; index < segmentLengths.length; index++) {
+      const length = segmentLengths[index];
+      if (remaining <= length && length > 0) {
+        const ratio = remaining / length;
+        return {
+          x: path[index].x + (path[index + 1].x - path[index].x) * ratio,
+          y: path[index].y + (path[index + 1].y - path[index].y) * ratio
+        };
+      }
+      remaining -= length;
+    }
+
+    return { x: path[0].x, y: path[0].y };
+  }
+
   /**
    * Render a group to Excalidraw elements
    */
   renderGroup(group) {
     const elements = [];
-    const timestamp = Date.now();
+    const timestamp = this.now();
+    const { theme } = this;
+    const style = theme.groups;
 
     // Create group boundary rectangle
-    const groupId = `group_${this.generateId()}`;
+    const groupId = this.generateId('group', group.id);
     const groupElement = {
       id: groupId,
       type: EXCALIDRAW_ELEMENT_TYPES.RECTANGLE,
@@ -299,19 +724,19 @@ class ExcalidrawRenderer {
       y: group.y,
       width: group.width,
       height: group.height,
-      backgroundColor: 'transparent',
-      strokeColor: '#cccccc',
+      backgroundColor: style.backgroundColor,
+      strokeColor: style.strokeColor,
       fillStyle: 'hachure',
-      strokeWidth: 1,
-      strokeStyle: 'dashed',
-      roughness: 1,
-      opacity: 50,
+      strokeWidth: style.strokeWidth,
+      strokeStyle: style.strokeStyle,
+      roughness: theme.roughness,
+      opacity: style.opacity,
       angle: 0,
       groupIds: [],
       strokeSharpness: 'sharp',
-      seed: Math.floor(Math.random() * 1000000),
+      seed: this.generateSeed(groupId),
       version: 1,
-      versionNonce: Math.floor(Math.random() * 1000000),
+      versionNonce: this.generateSeed(`${groupId}:version`),
       isDeleted: false,
       boundElements: [],
       updated: timestamp,
@@ -323,35 +748,38 @@ class ExcalidrawRenderer {
 
     elements.push(groupElement);
 
-    // Add group label
-    const labelId = `group_label_${this.generateId()}`;
+    // Add group label inside the top padding the layout reserves for it
+    const labelId = this.generateId('group_label', group.id);
+    const label = layoutText(group.label, { fontSize: 14, fontFamily: theme.fontFamily });
     const labelElement = {
       id: labelId,
       type: EXCALIDRAW_ELEMENT_TYPES.TEXT,
       x: group.x + 10,
-      y: group.y - 25,
-      width: 100,
-      height: 20,
-      text: group.label,
-      fontSize: 14,
-      fontFamily: 1,
+      y: group.y + 10,
+      width: label.width,
+      height: label.height,
+      text: label.text,
+      originalText: group.label,
+      lineHeight: LINE_HEIGHT,
+      fontSize: label.fontSize,
+      fontFamily: label.fontFamily,
       textAlign: 'left',
       verticalAlign: 'top',
       containerId: null,
       autoResize: true,
       backgroundColor: 'transparent',
-      strokeColor: '#666666',
+      strokeColor: style.labelColor,
       fillStyle: 'hachure',
       strokeWidth: 1,
       strokeStyle: 'solid',
-      roughness: 1,
+      roughness: theme.roughness,
       opacity: 100,
       angle: 0,
       groupIds: [],
       strokeSharpness: 'sharp',
-      seed: Math.floor(Math.random() * 1000000),
+      seed: this.generateSeed(labelId),
       version: 1,
-      versionNonce: Math.floor(Math.random() * 1000000),
+      versionNonce: this.generateSeed(`${labelId}:version`),
       isDeleted: false,
       boundElements: null,
       updated: timestamp,
@@ -366,8 +794,155 @@ class ExcalidrawRenderer {
     return elements;
   }
 
+  /**
+   * Render a legend to the right of the layout bounds, with a sample shape for every node type
+   * and a sample arrow for every connection type used in the diagram, in the active theme
+   * @param {Object} layout - Positioned layout from LayoutEngine
+   * @returns {Array<Object>} Legend elements, grouped so they move together
+   */
+  renderLegend(layout) {
+    const { nodeTypes, connectionTypes } = getLegendEntries(layout);
+    if (nodeTypes.length === 0 && connectionTypes.length === 0) return [];
+
+    const { theme } = this;
+    const groupIds = [this.generateId('legend')];
+    const elements = [];
+    const left = layout.bounds.maxX + LEGEND_MARGIN;
+    const top = layout.bounds.minY;
+    const sampleLeft = left + LEGEND_PADDING;
+    const textLeft = sampleLeft + LEGEND_SAMPLE.width + 12;
+    let y = top + LEGEND_PADDING;
+    let width = 0;
+
+    const addText = (text, x, fontSize, color) => {
+      const label = layoutText(text, { fontSize, fontFamily: theme.fontFamily });
+      elements.push(this.createLegendElement(EXCALIDRAW_ELEMENT_TYPES.TEXT, {
+        x,
+        y: y + (LEGEND_ROW_HEIGHT - label.height) / 2,
+        width: label.width,
+        height: label.height,
+        text: label.text,
+        originalText: text,
+        lineHeight: LINE_HEIGHT,
+        fontSize: label.fontSize,
+        fontFamily: label.fontFamily,
+        textAlign: 'left',
+        verticalAlign: 'middle',
+        containerId: null,
+        autoResize: true,
+        strokeColor: color
+      }, groupIds));
+      width = Math.max(width, x + label.width - left);
+    };
+
+    addText('Legend', sampleLeft, 16, theme.text.color);
+    y += LEGEND_ROW_HEIGHT;
+
+    nodeTypes.forEach(type => {
+      const box = { x: sampleLeft, y: y + (LEGEND_ROW_HEIGHT - LEGEND_SAMPLE.height) / 2, ...LEGEND_SAMPLE };
+      elements.push(...this.renderLegendShape(type, box, groupIds));
+      addText(getTypeLabel(type), textLeft, 14, theme.text.color);
+      y += LEGEND_ROW_HEIGHT;
+    });
+
+    connectionTypes.forEach(type => {
+      const style = { ...theme.connections.none, ...theme.connections[type] };
+      const lineY = y + LEGEND_ROW_HEIGHT / 2;
+      elements.push(this.createLegendElement(EXCALIDRAW_ELEMENT_TYPES.ARROW, {
+        x: sampleLeft,
+        y: lineY,
+        width: LEGEND_SAMPLE.width,
+        height: 0,
+        points: [[0, 0], [LEGEND_SAMPLE.width, 0]],
+        strokeColor: style.strokeColor,
+        strokeStyle: style.strokeStyle,
+        strokeWidth: theme.strokeWidth,
+        lastCommittedPoint: null,
+        startBinding: null,
+        endBinding: null,
+        startArrowhead: null,
+        endArrowhead: 'arrow'
+      }, groupIds));
+      addText(getTypeLabel(type), textLeft, 14, theme.text.color);
+      y += LEGEND_ROW_HEIGHT;
+    });
+
+    // Frame drawn behind the entries
+    elements.unshift(this.createLegendElement(EXCALIDRAW_ELEMENT_TYPES.RECTANGLE, {
+      x: left,
+      y: top,
+      width: width + LEGEND_PADDING,
+      height: y - top + LEGEND_PADDING,
+      backgroundColor: theme.background,
+      strokeColor: theme.groups.strokeColor,
+      strokeWidth: 1
+    }, groupIds));
+
+    return elements;
+  }
+
+  /**
+   * Small copy of a node type's shape for the legend
+   */
+  renderLegendShape(type, box, groupIds) {
+    const style = NODE_STYLES[type] || NODE_STYLES.service;
+    const colors = this.getNodeColors({ type });
+    if (isCompoundShape(style.shape)) {
+      return this.renderShapePrimitives({ ...box, id: `legend_${type}`, style }, colors, groupIds);
+    }
+    return [this.createLegendElement(this.getExcalidrawShapeType(style.shape), {
+      ...box,
+      backgroundColor: colors.fillColor,
+      strokeColor: colors.strokeColor,
+      strokeSharpness: this.theme.strokeSharpness
+    }, groupIds)];
+  }
+
+  /**
+   * Legend element with the shared defaults filled in
+   */
+  createLegendElement(type, properties, groupIds) {
+    const timestamp = this.now();
+    const id = this.generateId('legend');
+    return {
+      id,
+      type,
+      backgroundColor: 'transparent',
+      strokeColor: this.theme.text.color,
+      fillStyle: 'solid',
+      strokeWidth: this.theme.strokeWidth,
+      strokeStyle: 'solid',
+      roughness: this.theme.roughness,
+      opacity: 100,
+      angle: 0,
+      groupIds,
+      strokeSharpness: 'sharp',
+      seed: this.generateSeed(id),
+      version: 1,
+      versionNonce: this.generateSeed(`${id}:version`),
+      isDeleted: false,
+      boundElements: null,
+      updated: timestamp,
+      createdAt: new Date(timestamp).toISOString(),
+      updatedAt: new Date(timestamp).toISOString(),
+      link: null,
+      locked: false,
+      ...properties
+    };
+  }
+
+  /**
+   * Themed colours of a node, falling back to the service colours for types the theme leaves out
+   * @returns {{ fillColor: string, strokeColor: string, textColor: string }}
+   */
+  getNodeColors(node) {
+    const { nodes, text } = this.theme;
+    return { textColor: text.color, ...nodes.service, ...nodes[node.type] };
+  }
+
   /**
    * Map DSL shape types to Excalidraw element types
+   * Compound shapes map to the rectangle that carries their bindings
    */
   getExcalidrawShapeType(shapeType) {
     const mapping = {
@@ -380,4 +955,4 @@ class ExcalidrawRenderer {
   }
 }
 
-module.exports = { ExcalidrawRenderer };
\ No newline at end of file
+module.exports = { ExcalidrawRenderer, getLegendEntries, getTypeLabel };
\ No newline at end of file
@@ -0,0 +1,539 @@
+/**
+ * Edge Router - Routes connections as orthogonal (Manhattan) polylines around obstacles
+ * Runs after layout: positioned nodes and groups are obstacles, each side of a node
+ * gets one port per attached connection so parallel edges do not overlap
+ */
+
+const SIDES = {
+  top: { dx: 0, dy: -1 },
+  bottom: { dx: 0, dy: 1 },
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 }
+};
+
+// Movement directions used by the path search: right, down, left, up
+const DIRECTIONS = [
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: -1 }
+];
+
+class EdgeRouter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.clearance] - Minimum distance between a route and any node
+   * @param {number} [options.bendPenalty] - Extra cost per bend, favours simpler routes
+   * @param {number} [options.overlapPenalty] - Extra cost factor for sharing a segment with an earlier route
+   */
+  constructor(options = {}) {
+    this.clearance = options.clearance ?? 15;
+    this.bendPenalty = options.bendPenalty ?? 60;
+    this.overlapPenalty = options.overlapPenalty ?? 0.5;
+  }
+
+  /**
+   * Route all connections of a positioned layout
+   * @param {Object} layout - Layout from LayoutEngine (nodes with sub-components flattened, connections, groups)
+   * @param {Object} [options]
+   * @param {string} [options.direction] - Layout direction, decides sides for diagonal neighbours
+   * @returns {Object} Layout whose connections carry orthogonal `path` arrays
+   */
+  route(layout, options = {}) {
+    const direction = options.direction || 'TB';
+    // Ports and obstacles come from the same whole-pixel boxes, so a stub never lands inside its own node's clearance
+    const nodes = layout.nodes.map(node => this.snap(node));
+    const groups = (layout.groups || []).map(group => this.snap(group));
+    const nodeMap = {};
+    nodes.forEach(node => {
+      nodeMap[node.id] = node;
+    });
+
+    const routable = layout.connections.filter(conn =>
+      nodeMap[conn.from] && nodeMap[conn.to] && conn.from !== conn.to
+    );
+
+    // Pick sides, then spread the connections sharing a side over separate ports
+    const ends = new Map();
+    routable.forEach(conn => {
+      const [fromSide, toSide] = this.chooseSides(nodeMap[conn.from], nodeMap[conn.to], direction);
+      ends.set(conn, { fromSide, toSide });
+    });
+    this.assignPorts(routable, ends, nodeMap);
+
+    // Routing passes, built on demand: connections with no route at full clearance retry with less.
+    // Every pass records the steps of all routes found so far, so later routes pay the overlap penalty on any grid
+    const passes = new Map();
+    const routes = [];
+    const passFor = margin => {
+      if (!passes.has(margin)) {
+        const pass = this.buildPass(nodes, groups, [...ends.values()], margin);
+        routes.forEach(route => this.markSegments(pass.grid, route));
+        passes.set(margin, pass);
+      }
+      return passes.get(margin);
+    };
+
+    const connections = layout.connections.map(conn => {
+      const end = ends.get(conn);
+      if (!end) return conn;
+
+      let route = null;
+      for (const margin of [this.clearance, Math.floor(this.clearance / 2), 0]) {
+        const pass = passFor(margin);
+        // Groups are only obstacles for connections that neither start nor end inside them
+        const blockingGroups = new Set(pass.groupObstacles
+          .map((group, index) => (group.members.has(conn.from) || group.members.has(conn.to) ? -1 : index))
+          .filter(index => index >= 0));
+        route = this.findRoute(pass.grid, end, blockingGroups);
+        if (route) {
+          routes.push(route);
+          passes.forEach(({ grid }) => this.markSegments(grid, route));
+          break;
+        }
+      }
+      if (!route) {
+        route = this.fallbackRoute(end, passFor(0).obstacles.map(obstacle => obstacle.rect));
+      }
+      const path = this.simplify([end.fromPort, ...route, end.toPort]);
+
+      return {
+        ...conn,
+        fromPoint: path[0],
+        toPoint: path[path.length - 1],
+        fromSide: end.fromSide,
+        toSide: end.toSide,
+        path
+      };
+    });
+
+    return { ...layout, connections };
+  }
+
+  /**
+   * Obstacles and routing grid with nodes inflated by a margin, groups and containers by half of it
+   */
+  buildPass(nodes, groups, ends, margin) {
+    // Nodes with sub-components are containers: like groups, they only block connections from outside
+    const isContainer = node => node.nodes && node.nodes.length > 0;
+    const obstacles = nodes
+      .filter(node => !isContainer(node))
+      .map(node => ({ id: node.id, rect: this.inflate(node, margin) }));
+    const groupObstacles = [
+      ...groups.map(group => ({
+        rect: this.inflate(group, margin / 2),
+        members: new Set(group.memberIds || [])
+      })),
+      ...nodes.filter(isContainer).map(node => ({
+        rect: this.inflate(node, margin / 2),
+        members: new Set([node.id, ...this.descendantIds(node)])
+      }))
+    ];
+    return { obstacles, groupObstacles, grid: this.buildGrid(obstacles, groupObstacles, ends) };
+  }
+
+  /**
+   * Box with its edges rounded to whole pixels
+   */
+  snap(box) {
+    const left = Math.round(box.x);
+    const top = Math.round(box.y);
+    return {
+      ...box,
+      x: left,
+      y: top,
+      width: Math.round(box.x + box.width) - left,
+      height: Math.round(box.y + box.height) - top
+    };
+  }
+
+  /**
+   * Ids of all sub-components nested inside a node
+   */
+  descendantIds(node) {
+    return (node.nodes || []).flatMap(child => [child.id, ...this.descendantIds(child)]);
+  }
+
+  /**
+   * Choose the side each end leaves from: facing sides when the boxes overlap on an axis,
+   * otherwise the sides along the layout direction
+   */
+  chooseSides(fromNode, toNode, direction) {
+    const overlapX = Math.min(fromNode.x + fromNode.width, toNode.x + toNode.width) - Math.max(fromNode.x, toNode.x);
+    const overlapY = Math.min(fromNode.y + fromNode.height, toNode.y + toNode.height) - Math.max(fromNode.y, toNode.y);
+    const dx = (toNode.x + toNode.width / 2) - (fromNode.x + fromNode.width / 2);
+    const dy = (toNode.y + toNode.height / 2) - (fromNode.y + fromNode.height / 2);
+
+    let vertical;
+    if (overlapY > 0 && overlapX <= 0) {
+      vertical = false;
+    } else if (overlapX > 0 && overlapY <= 0) {
+      vertical = true;
+    } else {
+      vertical = direction === 'TB' || direction === 'BT';
+    }
+
+    if (vertical) {
+      return dy >= 0 ? ['bottom', 'top'] : ['top', 'bottom'];
+    }
+    return dx >= 0 ? ['right', 'left'] : ['left', 'right'];
+  }
+
+  /**
+   * Spread ports evenly along each side, ordered by the position of the opposite end
+   * so that connections leaving the same side do not cross each other
+   */
+  assignPorts(connections, ends, nodeMap) {
+    const slots = {};
+    const addSlot = (nodeId, side, conn, otherNode, key) => {
+      const slotKey = `${nodeId}:${side}`;
+      if (!slots[slotKey]) slots[slotKey] = [];
+      const horizontalSide = side === 'top' || side === 'bottom';
+      const order = horizontalSide
+        ? otherNode.x + otherNode.width / 2
+        : otherNode.y + otherNode.height / 2;
+      slots[slotKey].push({ conn, key, order });
+    };
+
+    connections.forEach(conn => {
+      const end = ends.get(conn);
+      addSlot(conn.from, end.fromSide, conn, nodeMap[conn.to], 'from');
+      addSlot(conn.to, end.toSide, conn, nodeMap[conn.from], 'to');
+    });
+
+    Object.entries(slots).forEach(([slotKey, entries]) => {
+      const separator = slotKey.lastIndexOf(':');
+      const node = nodeMap[slotKey.slice(0, separator)];
+      const side = slotKey.slice(separator + 1);
+      const normal = SIDES[side];
+      entries.sort((a, b) => a.order - b.order);
+
+      entries.forEach((entry, index) => {
+        const fraction = (index + 1) / (entries.length + 1);
+        const port = side === 'top' || side === 'bottom'
+          ? { x: node.x + node.width * fraction, y: side === 'top' ? node.y : node.y + node.height }
+          : { x: side === 'left' ? node.x : node.x + node.width, y: node.y + node.height * fraction };
+        const roundedPort = { x: Math.round(port.x), y: Math.round(port.y) };
+        const stub = {
+          x: roundedPort.x + normal.dx * this.clearance,
+          y: roundedPort.y + normal.dy * this.clearance
+        };
+
+        const end = ends.get(entry.conn);
+        end[`${entry.key}Port`] = roundedPort;
+        end[`${entry.key}Stub`] = stub;
+      });
+    });
+  }
+
+  /**
+   * Build the routing grid from obstacle borders, stub points and the channels between them
+   */
+  buildGrid(obstacles, groupObstacles, ends) {
+    const xs = new Set();
+    const ys = new Set();
+    [...obstacles.map(o => o.rect), ...groupObstacles.map(g => g.rect)].forEach(rect => {
+      xs.add(rect.left);
+      xs.add(rect.right);
+      ys.add(rect.top);
+      ys.add(rect.bottom);
+    });
+    ends.forEach(end => {
+      xs.add(end.fromStub.x);
+      xs.add(end.toStub.x);
+      ys.add(end.fromStub.y);
+      ys.add(end.toStub.y);
+    });
+
+    const withChannels = values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      if (sorted.length === 0) return sorted;
+      const result = [sorted[0] - this.clearance * 2];
+      sorted.forEach((value, index) => {
+        if (index > 0) result.push((sorted[index - 1] + value) / 2);
+        result.push(value);
+      });
+      result.push(sorted[sorted.length - 1] + this.clearance * 2);
+      return [...new Set(result)].sort((a, b) => a - b);
+    };
+
+    const gridX = withChannels(xs);
+    const gridY = withChannels(ys);
+
+    // Pre-compute which unit segments cross a node obstacle, and which groups each unit segment crosses
+    const blockedRight = gridY.map(() => new Uint8Array(gridX.length - 1));
+    const blockedDown = gridX.map(() => new Uint8Array(gridY.length - 1));
+    obstacles.forEach(({ rect }) => this.forEachCrossedStep(rect, gridX, gridY,
+      (i, j) => { blockedRight[j][i] = 1; },
+      (i, j) => { blockedDown[i][j] = 1; }
+    ));
+    const groupsRight = gridY.map(() => []);
+    const groupsDown = gridX.map(() => []);
+    groupObstacles.forEach(({ rect }, index) => this.forEachCrossedStep(rect, gridX, gridY,
+      (i, j) => { (groupsRight[j][i] = groupsRight[j][i] || []).push(index); },
+      (i, j) => { (groupsDown[i][j] = groupsDown[i][j] || []).push(index); }
+    ));
+
+    const indexX = new Map(gridX.map((x, i) => [x, i]));
+    const indexY = new Map(gridY.map((y, j) => [y, j]));
+
+    // Unit segments used by routes so far, filled in by markSegments
+    const usedRight = gridY.map(() => new Uint8Array(gridX.length - 1));
+    const usedDown = gridX.map(() => new Uint8Array(gridY.length - 1));
+
+    return { gridX, gridY, blockedRight, blockedDown, groupsRight, groupsDown, usedRight, usedDown, indexX, indexY };
+  }
+
+  /**
+   * Visit the unit segments of the grid that pass through the interior of a rectangle, as segmentCrosses decides:
+   * horizontal steps from gridX[i] to gridX[i + 1] on gridY[j], vertical steps from gridY[j] to gridY[j + 1] on gridX[i]
+   */
+  forEachCrossedStep(rect, gridX, gridY, visitRight, visitDown) {
+    const strictlyInside = (values, low, high) => {
+      const indices = [];
+      values.forEach((value, index) => {
+        if (value > low && value < high) indices.push(index);
+      });
+      return indices;
+    };
+    const overlapping = (values, low, high) => {
+      const indices = [];
+      for (let index = 0; index < values.length - 1; index++) {
+        if (Math.max(values[index], low) < Math.min(values[index + 1], high)) indices.push(index);
+      }
+      return indices;
+    };
+
+    const spansX = overlapping(gridX, rect.left, rect.right);
+    strictlyInside(gridY, rect.top, rect.bottom).forEach(j => spansX.forEach(i => visitRight(i, j)));
+    const spansY = overlapping(gridY, rect.top, rect.bottom);
+    strictlyInside(gridX, rect.left, rect.right).forEach(i => spansY.forEach(j => visitDown(i, j)));
+  }
+
+  /**
+   * A* search over the grid between the two stub points
+   * Cost = length + bend penalty + penalty for reusing segments of earlier routes
+   * @param {Set<number>} blockingGroups - Indices of the group obstacles of the grid this route may not cross
+   * @returns {Array|null} Points from the source stub to the target stub
+   */
+  findRoute(grid, end, blockingGroups) {
+    const { gridX, gridY, blockedRight, blockedDown, groupsRight, groupsDown, usedRight, usedDown, indexX, indexY } = grid;
+    const start = { i: indexX.get(end.fromStub.x), j: indexY.get(end.fromStub.y) };
+    const goal = { i: indexX.get(end.toStub.x), j: indexY.get(end.toStub.y) };
+    if ([start.i, start.j, goal.i, goal.j].some(value => value === undefined)) return null;
+
+    const startDirection = DIRECTIONS.findIndex(d => d.dx === SIDES[end.fromSide].dx && d.dy === SIDES[end.fromSide].dy);
+    const goalDirection = DIRECTIONS.findIndex(d => d.dx === -SIDES[end.toSide].dx && d.dy === -SIDES[end.toSide].dy);
+
+    const width = gridX.length;
+    const stateKey = (i, j, direction) => ((j * width + i) << 2) | direction;
+    const heuristic = (i, j) => Math.abs(gridX[i] - gridX[goal.i]) + Math.abs(gridY[j] - gridY[goal.j]);
+
+    // Search state lives in typed arrays kept on the grid; a state only counts when stamped by this search
+    const states = width * gridY.length * 4;
+    if (!grid.search) {
+      grid.search = { best: new Float64Array(states), previous: new Int32Array(states), stamp: new Uint32Array(states), run: 0 };
+    }
+    const { best, previous, stamp } = grid.search;
+    const run = ++grid.search.run;
+    const heap = new MinHeap();
+    const startKey = stateKey(start.i, start.j, startDirection);
+    best[startKey] = 0;
+    previous[startKey] = -1;
+    stamp[startKey] = run;
+    heap.push({ key: startKey, i: start.i, j: start.j, direction: startDirection, cost: 0, priority: heuristic(start.i, start.j) });
+
+    while (heap.size() > 0) {
+      const current = heap.pop();
+      if (current.goal) return this.reconstruct(grid, previous, current.key);
+      if (current.cost > best[current.key]) continue;
+
+      if (current.i === goal.i && current.j === goal.j) {
+        // Entering the target side head-on avoids a last-moment bend
+        const finalCost = current.cost + (current.direction === goalDirection ? 0 : this.bendPenalty);
+        heap.push({ goal: true, key: current.key, cost: finalCost, priority: finalCost });
+        continue;
+      }
+
+      for (let direction = 0; direction < DIRECTIONS.length; direction++) {
+        const move = DIRECTIONS[direction];
+        // Never reverse straight back
+        if (move.dx === -DIRECTIONS[current.direction].dx && move.dy === -DIRECTIONS[current.direction].dy) continue;
+
+        const ni = current.i + move.dx;
+        const nj = current.j + move.dy;
+        if (ni < 0 || nj < 0 || ni >= gridX.length || nj >= gridY.length) continue;
+
+        const horizontal = move.dx !== 0;
+        const step = horizontal ? Math.min(current.i, ni) : Math.min(current.j, nj);
+        if (horizontal ? blockedRight[current.j][step] : blockedDown[current.i][step]) continue;
+        const groups = horizontal ? groupsRight[current.j][step] : groupsDown[current.i][step];
+        if (groups && groups.some(index => blockingGroups.has(index))) continue;
+
+        const length = Math.abs(gridX[ni] - gridX[current.i]) + Math.abs(gridY[nj] - gridY[current.j]);
+        const reused = horizontal ? usedRight[current.j][step] : usedDown[current.i][step];
+        const cost = current.cost
+          + length * (reused ? 1 + this.overlapPenalty : 1)
+          + (direction === current.direction ? 0 : this.bendPenalty);
+
+        const key = stateKey(ni, nj, direction);
+        if (stamp[key] === run && cost >= best[key]) continue;
+        best[key] = cost;
+        previous[key] = current.key;
+        stamp[key] = run;
+        heap.push({ key, i: ni, j: nj, direction, cost, priority: cost + heuristic(ni, nj) });
+      }
+    }
+
+    return null;
+  }
+
+  reconstruct(grid, previous, key) {
+    const width = grid.gridX.length;
+    const points = [];
+    let current = key;
+    while (current !== -1) {
+      const cell = current >> 2;
+      points.unshift({ x: grid.gridX[cell % width], y: grid.gridY[Math.floor(cell / width)] });
+      current = previous[current];
+    }
+    return points;
+  }
+
+  /**
+   * Simple route used when the path search finds none even without clearance, e.g. between overlapping nodes
+   * Z- and L-shaped candidates, the one leaving along the start side first; the first crossing no node wins,
+   * otherwise the one crossing the fewest
+   */
+  fallbackRoute(end, rects = []) {
+    const { fromStub, toStub, fromSide } = end;
+    const middleX = (fromStub.x + toStub.x) / 2;
+    const middleY = (fromStub.y + toStub.y) / 2;
+    const vertical = [fromStub, { x: fromStub.x, y: middleY }, { x: toStub.x, y: middleY }, toStub];
+    const horizontal = [fromStub, { x: middleX, y: fromStub.y }, { x: middleX, y: toStub.y }, toStub];
+    const candidates = [
+      ...(fromSide === 'top' || fromSide === 'bottom' ? [vertical, horizontal] : [horizontal, vertical]),
+      [fromStub, { x: fromStub.x, y: toStub.y }, toStub],
+      [fromStub, { x: toStub.x, y: fromStub.y }, toStub]
+    ];
+
+    const crossings = route => rects.filter(rect => route.some((point, index) =>
+      index > 0 && this.segmentCrosses(rect, route[index - 1].x, route[index - 1].y, point.x, point.y)
+    )).length;
+    return candidates.reduce((best, candidate) => (crossings(candidate) < crossings(best) ? candidate : best));
+  }
+
+  /**
+   * Drop duplicate and collinear points
+   */
+  simplify(points) {
+    const rounded = points.map(point => ({ x: Math.round(point.x), y: Math.round(point.y) }));
+    const unique = rounded.filter((point, index) =>
+      index === 0 || point.x !== rounded[index - 1].x || point.y !== rounded[index - 1].y
+    );
+    return unique.filter((point, index) => {
+      if (index === 0 || index === unique.length - 1) return true;
+      const before = unique[index - 1];
+      const after = unique[index + 1];
+      return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+    });
+  }
+
+  /**
+   * Record the grid steps a route uses, so later routes sharing them pay the overlap penalty
+   * Long segments are split at every grid line, matching the unit steps of the path search;
+   * segments off the grid lines of this grid share no step with it
+   */
+  markSegments(grid, route) {
+    for (let k = 1; k < route.length; k++) {
+      const from = route[k - 1];
+      const to = route[k];
+      const horizontal = from.y === to.y;
+      const line = horizontal ? grid.indexY.get(from.y) : grid.indexX.get(from.x);
+      if (line === undefined) continue;
+      const low = horizontal ? Math.min(from.x, to.x) : Math.min(from.y, to.y);
+      const high = horizontal ? Math.max(from.x, to.x) : Math.max(from.y, to.y);
+      const values = horizontal ? grid.gridX : grid.gridY;
+      const used = horizontal ? grid.usedRight[line] : grid.usedDown[line];
+
+      for (let step = 0; step < values.length - 1; step++) {
+        if (values[step] >= low && values[step + 1] <= high) used[step] = 1;
+      }
+    }
+  }
+
+  /**
+   * Whether an axis-aligned segment passes through the interior of a rectangle
+   * Touching the border is allowed so routes can run along the clearance line
+   */
+  segmentCrosses(rect, x1, y1, x2, y2) {
+    if (y1 === y2) {
+      return y1 > rect.top && y1 < rect.bottom && Math.max(Math.min(x1, x2), rect.left) < Math.min(Math.max(x1, x2), rect.right);
+    }
+    return x1 > rect.left && x1 < rect.right && Math.max(Math.min(y1, y2), rect.top) < Math.min(Math.max(y1, y2), rect.bottom);
+  }
+
+  inflate(box, margin) {
+    return {
+      left: box.x - margin,
+      top: box.y - margin,
+      right: box.x + box.width + margin,
+      bottom: box.y + box.height + margin
+    };
+  }
+}
+
+/**
+ * Minimal binary heap keyed by `priority`
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= item.priority) break;
+      items[index] = items[parent];
+      index = parent;
+    }
+    items[index] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+
+    let index = 0;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestPriority = last.priority;
+      if (left < items.length && items[left].priority < smallestPriority) {
+        smallest = left;
+        smallestPriority = items[left].priority;
+      }
+      if (right < items.length && items[right].priority < smallestPriority) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+      items[index] = items[smallest];
+      index = smallest;
+    }
+    items[index] = last;
+    return top;
+  }
+}
+
+module.exports = { EdgeRouter };
@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { findGroupIssues } = require('./groups');
 
 /**
  * Architecture DSL Schema - Semantic description of architecture components
@@ -34,6 +35,11 @@ const NodeSchema = z.object({
   importance: z.number().optional().nullable().describe('Calculated importance score for layout'),
   metadata: z.record(z.any()).optional().nullable(), // Additional properties
   nodes: z.array(z.lazy(() => NodeSchema)).optional().nullable().describe('Sub-components for hierarchical structure'),
+  arrangement: z.enum(['column', 'row', 'grid']).optional().nullable().describe('How sub-components are arranged inside this node, column by default'),
+  position: z.object({
+    x: z.number(),
+    y: z.number()
+  }).optional().nullable().describe('Pinned top-left corner of a top-level node on the canvas; the layout places the other nodes'),
 });
 
 const ConnectionSchema = z.object({
@@ -49,7 +55,8 @@ const GroupSchema = z.object({
   id: z.string(),
   label: z.string(),
   type: z.enum(['layer', 'boundary', 'cluster']).optional().default('boundary'),
-  nodes: z.array(NodeSchema), // Use full node objects instead of just IDs
+  contains: z.array(z.string()).optional().default([]).describe('Ids of member nodes and nested groups'),
+  nodes: z.array(z.union([z.string(), NodeSchema])).optional().describe('Deprecated: member node ids or node objects, use contains'),
 });
 
 const LLMAnalysisSchema = z.object({
@@ -60,7 +67,7 @@ const LLMAnalysisSchema = z.object({
 
 const LLMComponentsSchema = z.object({
   rawComponents: z.array(z.string()).describe('List of component names as strings, extracted directly from the description'),
-  nodes: z.array(NodeSchema.omit({ description: true, metadata: true, nodes: true })).describe('Array of structured component nodes')
+  nodes: z.array(NodeSchema.omit({ description: true, metadata: true, nodes: true, arrangement: true, position: true })).describe('Array of structured component nodes')
 });
 
 const LLMRelationshipsSchema = z.object({
@@ -68,6 +75,13 @@ const LLMRelationshipsSchema = z.object({
   connections: z.array(ConnectionSchema.omit({ id: true, bidirectional: true })).describe('Array of structured connection objects')
 });
 
+const LLMNodeTypesSchema = z.object({
+  nodes: z.array(z.object({
+    id: z.string().describe('Node id, unchanged'),
+    type: NodeTypeSchema
+  })).describe('The type of every listed node')
+});
+
 const ArchitectureSchema = z.object({
   nodes: z.array(NodeSchema),
   connections: z.array(ConnectionSchema),
@@ -75,11 +89,20 @@ const ArchitectureSchema = z.object({
   layout: z.object({
     type: z.enum(['hierarchical', 'grid', 'force', 'layered']).optional().default('hierarchical'),
     direction: z.enum(['TB', 'BT', 'LR', 'RL']).optional().default('TB'), // Top-Bottom, Left-Right etc
+    routing: z.enum(['orthogonal', 'straight']).optional().default('orthogonal').describe('Connection routing: orthogonal routes avoid nodes, straight draws direct lines'),
+    seed: z.number().int().optional().describe('Random seed for the force layout; same seed gives the same layout'),
+    detail: z.enum(['compact', 'detailed']).optional().default('detailed').describe('detailed shows technology badges under node labels, compact shows labels only'),
+    legend: z.boolean().optional().default(false).describe('Add a legend of the node and connection types used, to the right of the diagram'),
+    theme: z.union([z.string(), z.record(z.any())]).optional().describe('Registered theme name (default, dark, monochrome, high-contrast, clean) or an inline theme object'),
     spacing: z.object({
       node: z.number().optional().default(80),
       rank: z.number().optional().default(100)
     }).optional()
   }).optional()
+}).superRefine((architecture, ctx) => {
+  findGroupIssues(architecture.groups, architecture.nodes).forEach(issue => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, ...issue });
+  });
 });
 
 /**
@@ -87,7 +110,7 @@ const ArchitectureSchema = z.object({
  */
 const NODE_STYLES = {
   actor: {
-    shape: 'ellipse',
+    shape: 'person',
     fillColor: '#e1f5fe',
     strokeColor: '#0277bd',
     width: 120,
@@ -101,14 +124,14 @@ const NODE_STYLES = {
     height: 80
   },
   database: {
-    shape: 'rectangle', // Could be custom cylinder shape
+    shape: 'cylinder',
     fillColor: '#e8f5e8',
     strokeColor: '#388e3c',
     width: 120,
     height: 80
   },
   queue: {
-    shape: 'rectangle',
+    shape: 'pipe',
     fillColor: '#fff3e0',
     strokeColor: '#f57c00',
     width: 130,
@@ -136,7 +159,7 @@ const NODE_STYLES = {
     height: 90
   },
   external: {
-    shape: 'rectangle',
+    shape: 'cloud',
     fillColor: '#f5f5f5',
     strokeColor: '#616161',
     width: 120,
@@ -184,6 +207,7 @@ module.exports = {
   LLMAnalysisSchema,
   LLMComponentsSchema,
   LLMRelationshipsSchema,
+  LLMNodeTypesSchema,
   NODE_STYLES,
   CONNECTION_STYLES
 };
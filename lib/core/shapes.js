@@ -0,0 +1,153 @@
+/**
+ * Shape geometry - how much room each node shape needs around its text,
+ * and the primitives that draw compound shapes Excalidraw has no element for
+ * (database cylinder, queue pipe, actor figure, external cloud)
+ */
+
+// Shapes drawn from several primitives around an invisible, bindable box
+const COMPOUND_SHAPES = ['cylinder', 'pipe', 'person', 'cloud'];
+
+const CYLINDER_RIM = 16;  // Height of the top ellipse of a cylinder
+const PIPE_RIM = 16;      // Width of the end ellipse of a pipe
+const FIGURE_HEIGHT = 48; // Stick figure above an actor label
+const ARC_STEPS = 12;
+
+// How much larger than its text box an ellipse-like shape must be for the text to fit inside it
+const TEXT_FACTOR = { ellipse: Math.SQRT2, diamond: 2, cloud: 1.4 };
+
+function isCompoundShape(shape) {
+  return COMPOUND_SHAPES.includes(shape);
+}
+
+/**
+ * Smallest shape size that fits a text block plus padding
+ * @param {string} shape - Shape name from NODE_STYLES
+ * @param {{ width: number, height: number }} content - Text block size
+ * @param {number} padding - Space kept around the text
+ */
+function sizeForContent(shape, content, padding) {
+  const factor = TEXT_FACTOR[shape] || 1;
+  const width = (content.width + 2 * padding) * factor;
+  const height = (content.height + 2 * padding) * factor;
+
+  switch (shape) {
+    case 'cylinder':
+      return { width, height: height + CYLINDER_RIM * 1.5 };
+    case 'pipe':
+      return { width: width + PIPE_RIM * 1.5, height };
+    case 'person':
+      return { width, height: content.height + padding + FIGURE_HEIGHT };
+    default:
+      return { width, height };
+  }
+}
+
+/**
+ * Part of a node box where the label block is centred, clear of rims and figures
+ */
+function getTextArea(shape, box) {
+  switch (shape) {
+    case 'cylinder':
+      return { x: box.x, y: box.y + CYLINDER_RIM, width: box.width, height: box.height - CYLINDER_RIM * 1.5 };
+    case 'pipe':
+      return { x: box.x + PIPE_RIM / 2, y: box.y, width: box.width - PIPE_RIM * 1.5, height: box.height };
+    case 'person':
+      return { x: box.x, y: box.y + FIGURE_HEIGHT, width: box.width, height: box.height - FIGURE_HEIGHT };
+    default:
+      return { x: box.x, y: box.y, width: box.width, height: box.height };
+  }
+}
+
+/**
+ * Points along an elliptical arc, angles in radians (0 = right, PI / 2 = down)
+ */
+function arc(cx, cy, rx, ry, from, to) {
+  const points = [];
+  for (let step = 0; step <= ARC_STEPS; step++) {
+    const angle = from + (to - from) * step / ARC_STEPS;
+    points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+  }
+  return points;
+}
+
+/**
+ * Primitives drawing a compound shape inside a box, back to front
+ * @returns {Array<Object>} { type: 'line', points, closed, filled } with absolute points,
+ *   or { type: 'ellipse', x, y, width, height, filled }
+ */
+function getShapePrimitives(shape, box) {
+  const { x, y, width, height } = box;
+  const cx = x + width / 2;
+
+  switch (shape) {
+    case 'cylinder': {
+      const rim = Math.min(CYLINDER_RIM, height / 3);
+      const body = [
+        { x, y: y + rim / 2 },
+        ...arc(cx, y + height - rim / 2, width / 2, rim / 2, Math.PI, 0),
+        { x: x + width, y: y + rim / 2 },
+        ...arc(cx, y + rim / 2, width / 2, rim / 2, 0, Math.PI)
+      ];
+      return [
+        { type: 'line', points: body, closed: true, filled: true },
+        { type: 'ellipse', x, y, width, height: rim, filled: true }
+      ];
+    }
+    case 'pipe': {
+      const rim = Math.min(PIPE_RIM, width / 3);
+      const cy = y + height / 2;
+      const body = [
+        { x: x + rim / 2, y },
+        { x: x + width - rim / 2, y },
+        ...arc(x + width - rim / 2, cy, rim / 2, height / 2, -Math.PI / 2, Math.PI / 2),
+        { x: x + rim / 2, y: y + height },
+        ...arc(x + rim / 2, cy, rim / 2, height / 2, Math.PI / 2, Math.PI * 1.5)
+      ];
+      return [
+        { type: 'line', points: body, closed: true, filled: true },
+        { type: 'ellipse', x: x + width - rim, y, width: rim, height, filled: true }
+      ];
+    }
+    case 'person': {
+      const figure = Math.min(FIGURE_HEIGHT, height) - 6;
+      const head = figure * 0.3;
+      const top = y + 4;
+      const neck = top + head;
+      const hip = neck + figure * 0.35;
+      const feet = top + figure;
+      const reach = figure * 0.3;
+      return [
+        { type: 'ellipse', x: cx - head / 2, y: top, width: head, height: head, filled: true },
+        { type: 'line', points: [{ x: cx, y: neck }, { x: cx, y: hip }] },
+        { type: 'line', points: [{ x: cx - reach, y: neck + figure * 0.12 }, { x: cx + reach, y: neck + figure * 0.12 }] },
+        { type: 'line', points: [{ x: cx - reach * 0.8, y: feet }, { x: cx, y: hip }, { x: cx + reach * 0.8, y: feet }] }
+      ];
+    }
+    case 'cloud': {
+      // Ellipse whose radius dips between lobes, touching the box at the top of each lobe
+      const cy = y + height / 2;
+      const lobes = 5;
+      const points = [];
+      const steps = ARC_STEPS * lobes;
+      for (let step = 0; step <= steps; step++) {
+        const angle = (Math.PI * 2 * step) / steps;
+        const scale = 0.86 + 0.14 * Math.abs(Math.sin((angle * lobes) / 2));
+        points.push({
+          x: cx + (width / 2) * scale * Math.cos(angle),
+          y: cy + (height / 2) * scale * Math.sin(angle)
+        });
+      }
+      return [{ type: 'line', points, closed: true, filled: true }];
+    }
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  COMPOUND_SHAPES,
+  isCompoundShape,
+  sizeForContent,
+  getTextArea,
+  getShapePrimitives
+};
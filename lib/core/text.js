@@ -0,0 +1,211 @@
+/**
+ * Text metrics - measures and wraps label text the way Excalidraw draws it
+ * Latin text is measured with the canvas package against the fonts in lib/fonts, registered when this module loads:
+ * Excalifont for Virgil (Virgil itself is not freely licensed; Excalifont is its successor with nearly the same widths),
+ * Arimo for Helvetica (same widths) and DejaVu Sans Mono for Cascadia. When canvas cannot be loaded, widths come
+ * from a per-character table tuned for Virgil. CJK characters always take a full em, as in Excalidraw's CJK fallback font.
+ */
+
+const path = require('path');
+
+// Excalidraw fontFamily ids
+const FONT_FAMILIES = {
+  1: 'Virgil',
+  2: 'Helvetica',
+  3: 'Cascadia'
+};
+
+// Font files standing in for each family, in lib/fonts
+const BUNDLED_FONTS = {
+  Virgil: 'Excalifont-Regular.ttf',
+  Helvetica: 'Arimo-Regular.ttf',
+  Cascadia: 'DejaVuSansMono.ttf'
+};
+const FONT_DIR = path.join(__dirname, '..', 'fonts');
+
+// Excalidraw draws text with a line height of 1.25em
+const LINE_HEIGHT = 1.25;
+
+// Fallback widths in em when canvas is unavailable, roughly those of Virgil
+const NARROW_CHARS = new Set([...'iljtfrI|!.,:;\'"`()[]{} ']);
+const WIDE_CHARS = new Set([...'mwMW@%&']);
+
+// CJK ideographs, kana, hangul and full-width forms take a full em and can break anywhere
+const FULL_WIDTH_PATTERN = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+let measureContext;
+
+// Font families registered with registerFont, the only ones measured with canvas
+const registeredFamilies = new Set();
+
+Object.entries(BUNDLED_FONTS).forEach(([family, file]) => registerFont(path.join(FONT_DIR, file), family));
+
+/**
+ * Canvas 2D context used for measuring, or null when canvas cannot be loaded
+ */
+function getMeasureContext() {
+  if (measureContext === undefined) {
+    try {
+      const { createCanvas } = require('canvas');
+      measureContext = createCanvas(1, 1).getContext('2d');
+    } catch (error) {
+      measureContext = null;
+    }
+  }
+  return measureContext;
+}
+
+/**
+ * Make a font file available to canvas measurements, e.g. the original Virgil.ttf in place of the bundled stand-in
+ * @param {string} fontPath - TrueType or OpenType font file
+ * @param {string} [family] - Family the file provides, a FONT_FAMILIES name, Virgil by default
+ * @returns {boolean} Whether the font could be registered
+ */
+function registerFont(fontPath, family = FONT_FAMILIES[1]) {
+  try {
+    require('canvas').registerFont(fontPath, { family });
+    registeredFamilies.add(family);
+    measureContext = undefined;
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * CSS font string in the form Excalidraw uses for its text elements
+ */
+function getFontString(fontSize, fontFamily = 1) {
+  return `${fontSize}px ${FONT_FAMILIES[fontFamily] || FONT_FAMILIES[1]}, Segoe UI Emoji`;
+}
+
+function getLineHeight(fontSize) {
+  return fontSize * LINE_HEIGHT;
+}
+
+function isFullWidth(char) {
+  return FULL_WIDTH_PATTERN.test(char) || EMOJI_PATTERN.test(char);
+}
+
+/**
+ * Width of a single line of text in pixels
+ * Runs of full-width characters take a full em each; the bundled fonts have no CJK glyphs
+ */
+function measureLine(line, fontSize, fontFamily = 1) {
+  const context = registeredFamilies.has(FONT_FAMILIES[fontFamily] || FONT_FAMILIES[1]) ? getMeasureContext() : null;
+  if (context) {
+    context.font = getFontString(fontSize, fontFamily);
+    let width = 0;
+    let run = '';
+    const flush = () => {
+      if (run) width += context.measureText(run).width;
+      run = '';
+    };
+    for (const char of line) {
+      if (isFullWidth(char)) {
+        flush();
+        width += fontSize;
+      } else {
+        run += char;
+      }
+    }
+    flush();
+    return width;
+  }
+
+  let ems = 0;
+  for (const char of line) {
+    if (isFullWidth(char)) ems += 1;
+    else if (NARROW_CHARS.has(char)) ems += 0.32;
+    else if (WIDE_CHARS.has(char)) ems += 0.85;
+    else if (char >= 'A' && char <= 'Z') ems += 0.68;
+    else ems += 0.56;
+  }
+  return ems * fontSize;
+}
+
+/**
+ * Size of a (possibly multi-line) text block
+ * @returns {{ width: number, height: number }}
+ */
+function measureText(text, fontSize, fontFamily = 1) {
+  const lines = String(text).split('\n');
+  return {
+    width: Math.ceil(Math.max(...lines.map(line => measureLine(line, fontSize, fontFamily)))),
+    height: Math.ceil(lines.length * getLineHeight(fontSize))
+  };
+}
+
+/**
+ * Wrap text so no line is wider than maxWidth
+ * Latin text breaks at spaces, CJK text between any two characters;
+ * words longer than a line are split where they overflow
+ * @returns {string} Text with the line breaks inserted
+ */
+function wrapText(text, maxWidth, fontSize, fontFamily = 1) {
+  const width = line => measureLine(line, fontSize, fontFamily);
+
+  return String(text).split('\n').map(paragraph => {
+    // Tokens: single full-width characters, or a word together with its trailing spaces
+    const tokens = [];
+    for (const char of paragraph) {
+      const last = tokens[tokens.length - 1];
+      if (last === undefined || isFullWidth(char) || isFullWidth(last[0]) || (/\s$/.test(last) && !/\s/.test(char))) {
+        tokens.push(char);
+      } else {
+        tokens[tokens.length - 1] += char;
+      }
+    }
+
+    const lines = [];
+    let current = '';
+    const pushToken = token => {
+      if (width(current + token.trimEnd()) <= maxWidth || current === '') {
+        current += token;
+      } else {
+        lines.push(current.trimEnd());
+        current = token.trimStart();
+      }
+    };
+
+    tokens.forEach(token => {
+      if (width(token.trimEnd()) <= maxWidth) {
+        pushToken(token);
+        return;
+      }
+      // Split an overlong word character by character
+      for (const char of token) {
+        if (current !== '' && width(current + char) > maxWidth) {
+          lines.push(current.trimEnd());
+          current = char.trimStart();
+        } else {
+          current += char;
+        }
+      }
+    });
+    lines.push(current.trimEnd());
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Wrap and measure a label in one go
+ * @returns {{ text: string, width: number, height: number, fontSize: number, fontFamily: number }}
+ */
+function layoutText(text, { maxWidth = Infinity, fontSize = 16, fontFamily = 1 } = {}) {
+  const wrapped = Number.isFinite(maxWidth) ? wrapText(text, maxWidth, fontSize, fontFamily) : String(text);
+  return { text: wrapped, ...measureText(wrapped, fontSize, fontFamily), fontSize, fontFamily };
+}
+
+module.exports = {
+  FONT_FAMILIES,
+  LINE_HEIGHT,
+  registerFont,
+  getFontString,
+  getLineHeight,
+  measureLine,
+  measureText,
+  wrapText,
+  layoutText
+};
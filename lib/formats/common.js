@@ -0,0 +1,153 @@
+const { ArchitectureSchema } = require('../core/schema');
+
+/**
+ * Helpers shared by the format converters
+ */
+
+// Label keywords hinting at a node type, checked in order
+const TYPE_KEYWORDS = [
+  ['service', /\b(service|api|server|worker|backend|microservice)\b/i],
+  ['database', /\b(db|database|sql|postgres\w*|mysql|mariadb|mongo\w*|dynamo\w*|cassandra|oracle|storage|s3|bucket|warehouse)\b/i],
+  ['queue', /\b(queue|kafka|rabbit\w*|sqs|sns|pub\/?sub|topic|event bus|bus|stream|nats|broker)\b/i],
+  ['cache', /\b(cache|redis|memcached?)\b/i],
+  ['gateway', /\b(gateway|load ?balancer|lb|proxy|nginx|ingress|cdn)\b/i],
+  ['ui', /\b(ui|frontend|front-end|web ?app|website|browser|mobile|app|portal|dashboard|spa)\b/i],
+  ['actor', /\b(users?|customers?|clients?|admins?|person|actor)\b/i],
+  ['external', /\b(external|third[- ]party|stripe|paypal|twilio|sendgrid|saas)\b/i]
+];
+
+// Technology or label keywords hinting at a connection type, checked in order
+const CONNECTION_KEYWORDS = [
+  ['async', /\b(async|events?|messages?|amqp|kafka|pub\/?sub|publish\w*|subscribe\w*|mqtt|webhooks?)\b/i],
+  ['query', /\b(sql|jdbc|odbc|query|queries|reads?|writes?)\b/i],
+  ['sync', /\b(grpc|rpc|thrift|sync|synchronous)\b/i],
+  ['data_flow', /\b(etl|replicat\w*|batch|streams?|pipelines?|exports?|sync(?:s|ed)? data)\b/i],
+  ['http', /\b(https?|rest|json|graphql|api calls?|websockets?)\b/i]
+];
+
+/**
+ * Node type suggested by the words of a label or technology list
+ * @returns {string|undefined}
+ */
+function guessTypeFromText(text) {
+  const keyword = TYPE_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return keyword ? keyword[0] : undefined;
+}
+
+/**
+ * Connection type suggested by the words of a label or technology
+ * @returns {string|undefined}
+ */
+function guessConnectionTypeFromText(text) {
+  const keyword = CONNECTION_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return keyword ? keyword[0] : undefined;
+}
+
+/**
+ * Maps DSL ids to unique identifiers a format accepts: letters, digits and underscores,
+ * not starting with a digit, with `_` appended to reserved words (compared case-insensitively)
+ * @param {Iterable<string>} [reserved] - Lowercase reserved words
+ * @returns {function(string): string}
+ */
+function createIdMapper(reserved = []) {
+  const reservedIds = new Set(reserved);
+  const ids = new Map();
+  const used = new Set();
+  return id => {
+    if (!ids.has(id)) {
+      let base = String(id).replace(/[^A-Za-z0-9_]/g, '_') || 'node';
+      if (/^\d/.test(base)) base = `n${base}`;
+      if (reservedIds.has(base.toLowerCase())) base = `${base}_`;
+      let candidate = base;
+      for (let suffix = 2; used.has(candidate); suffix++) {
+        candidate = `${base}_${suffix}`;
+      }
+      used.add(candidate);
+      ids.set(id, candidate);
+    }
+    return ids.get(id);
+  };
+}
+
+/**
+ * Text without its surrounding double quotes
+ */
+function unquote(text) {
+  return text.replace(/^"([\s\S]*)"$/, '$1');
+}
+
+/**
+ * Architecture DSL from a diagram read by an importer
+ * Containers (subgraphs, boundaries, clusters) become groups, except containers that connections point at
+ * or that are flagged `node`: those become nodes with sub-components, together with the containers nested inside them.
+ * A node with the id of a container stands for the container.
+ * @param {Object} graph
+ * @param {Array} graph.nodes - { id, type, label, technologies?, description?, metadata?, position?, parent, order }
+ * @param {Array} graph.containers - { id, label, node?, type?, groupType?, technologies?, description?, metadata?, position?, parent, order }
+ * @param {Array} graph.connections - { from, to, type, label?, bidirectional? }
+ * @param {Object} [graph.layout] - DSL layout options
+ * @returns {Object} Architecture DSL matching ArchitectureSchema
+ * @throws {ZodError} - If the result is not valid DSL
+ */
+function graphToDSL(graph) {
+  const containers = new Map(graph.containers.map(container => [container.id, container]));
+  const nodes = graph.nodes.filter(node => !containers.has(node.id));
+
+  const nodeContainers = new Set();
+  const markNodeContainer = id => {
+    if (nodeContainers.has(id)) return;
+    nodeContainers.add(id);
+    graph.containers.forEach(container => container.parent === id && markNodeContainer(container.id));
+  };
+  graph.containers.filter(container => container.node).forEach(container => markNodeContainer(container.id));
+  graph.connections.forEach(connection => [connection.from, connection.to].filter(id => containers.has(id)).forEach(markNodeContainer));
+
+  const items = [
+    ...nodes.map(item => ({ kind: 'node', item })),
+    ...graph.containers.map(item => ({ kind: 'container', item }))
+  ].sort((a, b) => a.item.order - b.item.order);
+  const membersOf = parentId => items.filter(({ item }) => (item.parent ?? null) === parentId);
+
+  const toNode = ({ kind, item }) => {
+    const node = { id: item.id, type: item.type || 'service', label: item.label || item.id };
+    if (item.description) node.description = item.description;
+    if (item.technologies?.length) node.technologies = item.technologies;
+    if (item.metadata) node.metadata = item.metadata;
+    if (item.position) node.position = item.position;
+    if (kind === 'container') node.nodes = membersOf(item.id).map(toNode);
+    return node;
+  };
+
+  // Nodes outside node-containers are top-level DSL nodes; groups refer to them by id
+  const isTopLevel = ({ kind, item }) => (kind === 'node'
+    ? !nodeContainers.has(item.parent)
+    : nodeContainers.has(item.id) && !nodeContainers.has(item.parent));
+
+  const groups = graph.containers
+    .filter(container => !nodeContainers.has(container.id))
+    .map(container => {
+      const group = { id: container.id, label: container.label || container.id };
+      if (container.groupType) group.type = container.groupType;
+      group.contains = membersOf(container.id).map(({ item }) => item.id);
+      return group;
+    });
+
+  const dsl = {
+    nodes: items.filter(isTopLevel).map(toNode),
+    connections: graph.connections,
+    groups
+  };
+  if (graph.layout) dsl.layout = graph.layout;
+  ArchitectureSchema.parse(dsl);
+  return dsl;
+}
+
+module.exports = {
+  TYPE_KEYWORDS,
+  CONNECTION_KEYWORDS,
+  guessTypeFromText,
+  guessConnectionTypeFromText,
+  createIdMapper,
+  unquote,
+  graphToDSL
+};
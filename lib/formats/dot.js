@@ -0,0 +1,576 @@
+const { ArchitectureSchema, GroupSchema, NODE_STYLES, CONNECTION_STYLES } = require('../core/schema');
+const { buildGroupTree } = require('../core/groups');
+const { LayoutEngine } = require('../core/layout');
+const { guessTypeFromText, guessConnectionTypeFromText, graphToDSL } = require('./common');
+
+/**
+ * DOT - Semantic DSL to Graphviz DOT and back
+ * Nodes and edges carry a `type` attribute next to the Graphviz shape, style and colours,
+ * groups become `subgraph cluster_*` and nodes with sub-components become clusters with a node type.
+ * Exported DOT can also hold the positions computed by LayoutEngine, to compare against Graphviz layouts.
+ */
+
+// Graphviz node attributes for each node type
+const NODE_SHAPES = {
+  actor: { shape: 'ellipse' },
+  service: { shape: 'box' },
+  database: { shape: 'cylinder' },
+  queue: { shape: 'cds' },
+  cache: { shape: 'hexagon' },
+  gateway: { shape: 'diamond' },
+  ui: { shape: 'box', style: 'rounded,filled' },
+  external: { shape: 'box3d' }
+};
+
+// Graphviz edge attributes for each connection type
+const EDGE_STYLES = {
+  http: {},
+  async: { style: 'dashed' },
+  query: { style: 'dotted' },
+  sync: { style: 'bold' },
+  data_flow: {},
+  none: { arrowhead: 'none' }
+};
+
+// Shapes that tell the node type of imported graphs
+const SHAPE_TYPES = {
+  cylinder: 'database',
+  cds: 'queue', rarrow: 'queue', larrow: 'queue',
+  hexagon: 'cache',
+  diamond: 'gateway', mdiamond: 'gateway',
+  box3d: 'external'
+};
+
+const GROUP_TYPES = GroupSchema.shape.type.removeDefault().unwrap().options;
+
+const INDENT = '  ';
+const CLUSTER_PREFIX = 'cluster_';
+const POINTS_PER_INCH = 72;
+
+/**
+ * Quote a DOT string; quotes and backslashes are escaped, line breaks become \n
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Attribute list, skipping empty values: [label="API", shape="box"]
+ */
+function attributeList(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return entries.length > 0 ? ` [${entries.map(([key, value]) => `${key}=${quote(value)}`).join(', ')}]` : '';
+}
+
+/**
+ * Convert an architecture DSL document to Graphviz DOT
+ * @param {Object} dsl - Architecture DSL matching ArchitectureSchema
+ * @param {Object} [options]
+ * @param {boolean} [options.positions=false] - Add `pos` attributes from LayoutEngine; render with `neato -n2`
+ * @param {string} [options.name='architecture'] - Graph name
+ * @returns {string} DOT source
+ * @throws {ZodError} - If the DSL does not match ArchitectureSchema
+ */
+function toDot(dsl, options = {}) {
+  const { positions = false, name = 'architecture' } = options;
+  const architecture = ArchitectureSchema.parse(dsl);
+  const { groups, nodeGroup } = buildGroupTree(architecture.groups, architecture.nodes);
+
+  // Layout positions, with the y axis flipped: Graphviz points grow upwards
+  const positioned = {};
+  if (positions) {
+    const layout = new LayoutEngine().generateLayout(architecture);
+    const collect = node => {
+      positioned[node.id] = node;
+      (node.nodes || []).forEach(collect);
+    };
+    layout.nodes.forEach(collect);
+    positioned.height = layout.canvas.height;
+  }
+  const positionAttributes = node => {
+    const box = positioned[node.id];
+    if (!box) return {};
+    const x = box.x + box.width / 2;
+    const y = positioned.height - (box.y + box.height / 2);
+    return {
+      pos: `${Math.round(x)},${Math.round(y)}!`,
+      width: (box.width / POINTS_PER_INCH).toFixed(2),
+      height: (box.height / POINTS_PER_INCH).toFixed(2),
+      fixedsize: 'true'
+    };
+  };
+
+  // Edges cannot end at a cluster: they end at its first leaf node, clipped at the cluster by lhead/ltail
+  const nodeMap = {};
+  const register = node => {
+    nodeMap[node.id] = node;
+    (node.nodes || []).forEach(register);
+  };
+  architecture.nodes.forEach(register);
+  const leafOf = id => {
+    const node = nodeMap[id];
+    return node && node.nodes?.length ? leafOf(node.nodes[0].id) : id;
+  };
+
+  const lines = [`digraph ${quote(name)} {`];
+  lines.push(`${INDENT}graph${attributeList({ rankdir: architecture.layout?.direction || 'TB', compound: 'true', fontname: 'Helvetica' })};`);
+  lines.push(`${INDENT}node${attributeList({ style: 'filled', fontname: 'Helvetica' })};`);
+  lines.push(`${INDENT}edge${attributeList({ fontname: 'Helvetica' })};`);
+  if (positions) {
+    lines.push(`${INDENT}// Positions computed by LayoutEngine: render with neato -n2`);
+  }
+  lines.push('');
+
+  const writeNode = (node, depth) => {
+    const indent = INDENT.repeat(depth);
+    const style = NODE_STYLES[node.type];
+    const technologies = (node.technologies || []).join(', ');
+
+    if (node.nodes?.length) {
+      lines.push(`${indent}subgraph ${quote(CLUSTER_PREFIX + node.id)} {`);
+      const attributes = { label: node.label, type: node.type, technologies, tooltip: node.description, style: 'rounded', color: style.strokeColor };
+      Object.entries(attributes).filter(([, value]) => value).forEach(([key, value]) => {
+        lines.push(`${indent}${INDENT}${key}=${quote(value)};`);
+      });
+      node.nodes.forEach(child => writeNode(child, depth + 1));
+      lines.push(`${indent}}`);
+      return;
+    }
+
+    lines.push(`${indent}${quote(node.id)}${attributeList({
+      label: node.label,
+      type: node.type,
+      ...NODE_SHAPES[node.type],
+      fillcolor: style.fillColor,
+      color: style.strokeColor,
+      technologies,
+      tooltip: node.description,
+      ...positionAttributes(node)
+    })};`);
+  };
+
+  const writeGroup = (group, depth) => {
+    const indent = INDENT.repeat(depth);
+    lines.push(`${indent}subgraph ${quote(CLUSTER_PREFIX + group.id)} {`);
+    lines.push(`${indent}${INDENT}label=${quote(group.label)};`);
+    if (group.type !== 'boundary') lines.push(`${indent}${INDENT}type=${quote(group.type)};`);
+    lines.push(`${indent}${INDENT}style="dashed";`);
+    groups.filter(child => child.parentId === group.id).forEach(child => writeGroup(child, depth + 1));
+    architecture.nodes.filter(node => nodeGroup[node.id] === group.id).forEach(node => writeNode(node, depth + 1));
+    lines.push(`${indent}}`);
+  };
+
+  groups.filter(group => group.parentId === null).forEach(group => writeGroup(group, 1));
+  architecture.nodes.filter(node => nodeGroup[node.id] === undefined).forEach(node => writeNode(node, 1));
+
+  if (architecture.connections.length > 0) lines.push('');
+  architecture.connections.forEach(connection => {
+    const from = leafOf(connection.from);
+    const to = leafOf(connection.to);
+    lines.push(`${INDENT}${quote(from)} -> ${quote(to)}${attributeList({
+      label: connection.label,
+      type: connection.type,
+      ...EDGE_STYLES[connection.type],
+      color: CONNECTION_STYLES[connection.type].strokeColor,
+      dir: connection.bidirectional ? 'both' : undefined,
+      ltail: from !== connection.from ? CLUSTER_PREFIX + connection.from : undefined,
+      lhead: to !== connection.to ? CLUSTER_PREFIX + connection.to : undefined
+    })};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Split DOT source into tokens: ids (plain, numeral, quoted or HTML), edge operators and punctuation
+ */
+function tokenizeDot(source) {
+  const tokens = [];
+  let pos = 0;
+  const fail = message => {
+    throw new Error(`Invalid DOT at line ${source.slice(0, pos).split('\n').length}: ${message}`);
+  };
+
+  while (pos < source.length) {
+    const char = source[pos];
+    const rest = source.slice(pos, pos + 2);
+
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (rest === '//' || (char === '#' && (pos === 0 || source[pos - 1] === '\n'))) {
+      const end = source.indexOf('\n', pos);
+      pos = end < 0 ? source.length : end;
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', pos + 2);
+      if (end < 0) fail('unterminated comment');
+      pos = end + 2;
+    } else if (rest === '->' || rest === '--') {
+      tokens.push({ type: 'edgeop', value: rest });
+      pos += 2;
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: char });
+      pos++;
+    } else if (char === '"') {
+      let value = '';
+      for (pos++; pos < source.length && source[pos] !== '"'; pos++) {
+        if (source[pos] === '\\' && source[pos + 1] === '"') {
+          value += '"';
+          pos++;
+        } else if (source[pos] === '\\' && source[pos + 1] === '\n') {
+          pos++;
+        } else {
+          value += source[pos];
+        }
+      }
+      if (pos >= source.length) fail('unterminated string');
+      pos++;
+      // "a" + "b" concatenation
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.type === '+') {
+        tokens.pop();
+        tokens[tokens.length - 1].value += value;
+      } else {
+        tokens.push({ type: 'id', value, quoted: true });
+      }
+    } else if (char === '+') {
+      tokens.push({ type: '+' });
+      pos++;
+    } else if (char === '<') {
+      let depth = 0;
+      const start = pos;
+      do {
+        if (source[pos] === '<') depth++;
+        if (source[pos] === '>') depth--;
+        pos++;
+      } while (depth > 0 && pos < source.length);
+      if (depth > 0) fail('unterminated HTML string');
+      tokens.push({ type: 'id', value: source.slice(start + 1, pos - 1), html: true });
+    } else {
+      const match = source.slice(pos).match(/^(?:-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/);
+      if (!match) fail(`unexpected character "${char}"`);
+      tokens.push({ type: 'id', value: match[0] });
+      pos += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Plain text of a DOT label: escapes turned into line breaks, HTML labels stripped of tags
+ */
+function labelText(token) {
+  if (token === undefined) return undefined;
+  const text = typeof token === 'string' ? token : token.html
+    ? token.value.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')
+    : token.value;
+  return text.replace(/\\[nlr]/g, '\n').replace(/\\N/g, '').trim();
+}
+
+/**
+ * Parse DOT source into nodes, edges and clusters, following the DOT grammar
+ * Attribute values are kept as tokens so labels can tell HTML from plain strings
+ */
+function parseDot(source) {
+  const tokens = tokenizeDot(source);
+  let index = 0;
+  let order = 0;
+  const graph = { directed: true, attributes: {}, nodes: new Map(), edges: [], clusters: new Map() };
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const next = () => tokens[index++];
+  const fail = message => {
+    throw new Error(`Invalid DOT: ${message}`);
+  };
+  const expect = type => {
+    const token = next();
+    if (!token || token.type !== type) fail(`expected "${type}", got "${token ? token.value ?? token.type : 'end of input'}"`);
+    return token;
+  };
+  const isKeyword = (token, keyword) => token && token.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+
+  const readAttributes = () => {
+    const attributes = {};
+    while (peek() && peek().type === '[') {
+      next();
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        let value = { type: 'id', value: 'true' };
+        if (peek() && peek().type === '=') {
+          next();
+          value = expect('id');
+        }
+        attributes[key] = value;
+        if (peek() && (peek().type === ',' || peek().type === ';')) next();
+      }
+      expect(']');
+    }
+    return attributes;
+  };
+
+  const isAncestor = (ancestorId, clusterId) => {
+    for (let current = graph.clusters.get(clusterId)?.parent; current; current = graph.clusters.get(current)?.parent) {
+      if (current === ancestorId) return true;
+    }
+    return false;
+  };
+
+  // A node belongs to the innermost cluster it is mentioned in
+  const addNode = (id, scope, attributes = {}) => {
+    let node = graph.nodes.get(id);
+    if (!node) {
+      node = { id, attributes: { ...scope.nodeDefaults }, cluster: null, order: order++ };
+      graph.nodes.set(id, node);
+    }
+    if (scope.cluster !== null && (node.cluster === null || isAncestor(node.cluster, scope.cluster))) {
+      node.cluster = scope.cluster;
+    }
+    Object.assign(node.attributes, attributes);
+    scope.members.add(id);
+    return node;
+  };
+
+  const readNodeId = () => {
+    const id = expect('id').value;
+    // Ports (node:port:compass) do not change the node
+    while (peek() && peek().type === ':') {
+      next();
+      expect('id');
+    }
+    return id;
+  };
+
+  // Statements of a graph or subgraph body, after its "{"
+  const readStatements = scope => {
+    while (peek() && peek().type !== '}') {
+      readStatement(scope);
+      if (peek() && peek().type === ';') next();
+    }
+    expect('}');
+  };
+
+  const readSubgraph = parentScope => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      next();
+      if (peek() && peek().type === 'id') name = next().value;
+    }
+    expect('{');
+    const isCluster = name !== null && name.startsWith(CLUSTER_PREFIX);
+    const scope = {
+      nodeDefaults: { ...parentScope.nodeDefaults },
+      edgeDefaults: { ...parentScope.edgeDefaults },
+      cluster: parentScope.cluster,
+      attributes: {},
+      members: new Set()
+    };
+    if (isCluster) {
+      const id = name.slice(CLUSTER_PREFIX.length) || name;
+      if (!graph.clusters.has(id)) {
+        graph.clusters.set(id, { id, name, attributes: scope.attributes, parent: parentScope.cluster, order: order++ });
+      }
+      scope.cluster = id;
+      scope.attributes = graph.clusters.get(id).attributes;
+    }
+    readStatements(scope);
+    scope.members.forEach(member => parentScope.members.add(member));
+    return [...scope.members];
+  };
+
+  // Endpoint of an edge: a node or all nodes of a subgraph
+  const readEndpoint = scope => {
+    if (peek() && (peek().type === '{' || isKeyword(peek(), 'subgraph'))) {
+      return readSubgraph(scope);
+    }
+    const id = readNodeId();
+    addNode(id, scope);
+    return [id];
+  };
+
+  function readStatement(scope) {
+    const token = peek();
+    if (!token) fail('unexpected end of input');
+
+    if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) && peek(1) && peek(1).type === '[') {
+      next();
+      const attributes = readAttributes();
+      const keyword = token.value.toLowerCase();
+      if (keyword === 'node') Object.assign(scope.nodeDefaults, attributes);
+      else if (keyword === 'edge') Object.assign(scope.edgeDefaults, attributes);
+      else Object.assign(scope.attributes, attributes);
+      return;
+    }
+    if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+      next();
+      next();
+      scope.attributes[token.value] = expect('id');
+      return;
+    }
+
+    let sources = readEndpoint(scope);
+    if (!peek() || peek().type !== 'edgeop') {
+      if (sources.length === 1 && token.type === 'id') {
+        addNode(sources[0], scope, readAttributes());
+      }
+      return;
+    }
+
+    const chain = [sources];
+    while (peek() && peek().type === 'edgeop') {
+      next();
+      chain.push(readEndpoint(scope));
+    }
+    const attributes = { ...scope.edgeDefaults, ...readAttributes() };
+    for (let i = 1; i < chain.length; i++) {
+      sources = chain[i - 1];
+      sources.forEach(from => chain[i].forEach(to => graph.edges.push({ from, to, attributes })));
+    }
+  }
+
+  if (isKeyword(peek(), 'strict')) next();
+  const kind = next();
+  if (!isKeyword(kind, 'digraph') && !isKeyword(kind, 'graph')) {
+    fail('expected "graph" or "digraph"');
+  }
+  graph.directed = kind.value.toLowerCase() === 'digraph';
+  if (peek() && peek().type === 'id') next();
+  expect('{');
+  readStatements({ nodeDefaults: {}, edgeDefaults: {}, cluster: null, attributes: graph.attributes, members: new Set() });
+  return graph;
+}
+
+/**
+ * Value of a parsed attribute as plain text
+ */
+function attributeValue(attributes, key) {
+  const token = attributes[key];
+  return token === undefined ? undefined : token.value;
+}
+
+/**
+ * Node type of an imported node: type attribute, fill colour, a distinctive shape, label keywords, then the shape
+ */
+function guessNodeType(attributes, text) {
+  const type = attributeValue(attributes, 'type');
+  if (NODE_STYLES[type]) return type;
+  const fill = (attributeValue(attributes, 'fillcolor') || '').toLowerCase();
+  const filled = fill && Object.keys(NODE_STYLES).find(candidate => NODE_STYLES[candidate].fillColor.toLowerCase() === fill);
+  if (filled) return filled;
+  const shape = (attributeValue(attributes, 'shape') || '').toLowerCase();
+  if (SHAPE_TYPES[shape]) return SHAPE_TYPES[shape];
+  const guess = guessTypeFromText(text);
+  if (guess) return guess;
+  if (['ellipse', 'oval', 'egg'].includes(shape)) return 'actor';
+  if (/rounded/.test(attributeValue(attributes, 'style') || '')) return 'ui';
+  return 'service';
+}
+
+/**
+ * Connection type of an imported edge: type attribute, colour, line style, arrowhead, then label keywords
+ */
+function guessConnectionType(attributes, directed) {
+  const type = attributeValue(attributes, 'type');
+  if (CONNECTION_STYLES[type]) return type;
+  const color = (attributeValue(attributes, 'color') || '').toLowerCase();
+  const colored = color && Object.keys(CONNECTION_STYLES).find(candidate => CONNECTION_STYLES[candidate].strokeColor.toLowerCase() === color);
+  if (colored) return colored;
+  const style = attributeValue(attributes, 'style') || '';
+  if (/dashed/.test(style)) return 'async';
+  if (/dotted/.test(style)) return 'query';
+  if (/bold/.test(style)) return 'sync';
+  const dir = attributeValue(attributes, 'dir') || (directed ? 'forward' : 'none');
+  // dir=back draws the arrow at the tail
+  if (dir === 'none' || attributeValue(attributes, dir === 'back' ? 'arrowtail' : 'arrowhead') === 'none') return 'none';
+  return guessConnectionTypeFromText(labelText(attributes.label) || '') || 'http';
+}
+
+/**
+ * Convert Graphviz DOT to architecture DSL
+ * `subgraph cluster_*` become groups; clusters with a node `type` attribute, or that edges point at
+ * through lhead/ltail, become nodes with sub-components. Other subgraphs only scope attributes.
+ * @param {string} source - DOT source
+ * @returns {Object} Architecture DSL matching ArchitectureSchema
+ * @throws {Error} - If the source is not valid DOT
+ */
+function fromDot(source) {
+  const graph = parseDot(source);
+  const rankdir = (attributeValue(graph.attributes, 'rankdir') || 'TB').toUpperCase();
+
+  const nodes = [...graph.nodes.values()].map(node => {
+    const label = labelText(node.attributes.label) || node.id;
+    const technologies = (attributeValue(node.attributes, 'technologies') || '').split(',').map(item => item.trim()).filter(Boolean);
+    return {
+      id: node.id,
+      type: guessNodeType(node.attributes, [label, ...technologies].join(' ')),
+      label,
+      technologies,
+      description: labelText(node.attributes.tooltip),
+      parent: node.cluster,
+      order: node.order
+    };
+  });
+
+  const containers = [...graph.clusters.values()].map(cluster => {
+    const label = labelText(cluster.attributes.label) || cluster.id;
+    const type = attributeValue(cluster.attributes, 'type');
+    const technologies = (attributeValue(cluster.attributes, 'technologies') || '').split(',').map(item => item.trim()).filter(Boolean);
+    return {
+      id: cluster.id,
+      label,
+      node: Boolean(NODE_STYLES[type]),
+      type: NODE_STYLES[type] ? type : guessTypeFromText([label, ...technologies].join(' ')) || 'service',
+      groupType: GROUP_TYPES.includes(type) ? type : undefined,
+      technologies,
+      description: labelText(cluster.attributes.tooltip),
+      parent: cluster.parent,
+      order: cluster.order
+    };
+  });
+
+  const clusterOf = name => (name && name.startsWith(CLUSTER_PREFIX) ? name.slice(CLUSTER_PREFIX.length) : name);
+  const connections = graph.edges.map(({ from, to, attributes }) => {
+    const ltail = clusterOf(attributeValue(attributes, 'ltail'));
+    const lhead = clusterOf(attributeValue(attributes, 'lhead'));
+    const tail = graph.clusters.has(ltail) ? ltail : from;
+    const head = graph.clusters.has(lhead) ? lhead : to;
+    // dir=back points the arrow from head to tail
+    const back = attributeValue(attributes, 'dir') === 'back';
+    const connection = {
+      from: back ? head : tail,
+      to: back ? tail : head,
+      type: guessConnectionType(attributes, graph.directed)
+    };
+    const label = labelText(attributes.label);
+    if (label) connection.label = label;
+    if (attributeValue(attributes, 'dir') === 'both') connection.bidirectional = true;
+    return connection;
+  });
+
+  return graphToDSL({
+    nodes,
+    containers,
+    connections,
+    layout: { direction: ['TB', 'BT', 'LR', 'RL'].includes(rankdir) ? rankdir : 'TB' }
+  });
+}
+
+/**
+ * DOT graphs in a file: ```dot / ```graphviz blocks of Markdown, or every graph of a DOT file
+ * @returns {string[]}
+ */
+function extractDotBlocks(text) {
+  const fenced = [...text.matchAll(/^[ \t]*(`{3,}|~{3,})[ \t]*(?:dot|graphviz|gv)\b[^\n]*\n([\s\S]*?)^[ \t]*\1/gm)].map(match => match[2]);
+  const source = fenced.length > 0 ? fenced.join('\n') : text;
+  const starts = [...source.matchAll(/^[ \t]*(?:strict[ \t]+)?(?:di)?graph\b/gim)].map(match => match.index);
+  if (starts.length === 0) return fenced.length > 0 ? fenced : [text];
+  return starts.map((start, index) => source.slice(start, starts[index + 1]));
+}
+
+module.exports = {
+  NODE_SHAPES,
+  EDGE_STYLES,
+  toDot,
+  fromDot,
+  parseDot,
+  extractDotBlocks
+};
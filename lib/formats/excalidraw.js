@@ -0,0 +1,342 @@
+const { NODE_STYLES, CONNECTION_STYLES } = require('../core/schema');
+const { LayoutEngine } = require('../core/layout');
+const { themeRegistry } = require('../themes/registry');
+const { guessTypeFromText, guessConnectionTypeFromText, graphToDSL } = require('./common');
+
+/**
+ * Excalidraw - Reads .excalidraw files back into the semantic DSL
+ * Works on files rendered by ExcalidrawRenderer as well as hand-drawn ones:
+ * shapes with their text become nodes, shapes enclosing other shapes without text of their own become groups,
+ * arrows become connections. Top-level nodes keep their position as pinned coordinates.
+ */
+
+// Excalidraw element types that can be nodes or group boxes
+const SHAPE_ELEMENTS = ['rectangle', 'ellipse', 'diamond'];
+
+// Arrow ends without a binding attach to a node this close to them
+const ARROW_PROXIMITY = 40;
+
+// Slack for boxes drawn by hand slightly over the edge of their container
+const CONTAINMENT_TOLERANCE = 2;
+
+const DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+/**
+ * Whether a colour is drawn at all
+ */
+function isVisible(color) {
+  return Boolean(color) && color !== 'transparent';
+}
+
+/**
+ * Bounding box of an element; lines are placed at their first point, which need not be their top-left corner
+ */
+function boundsOf(element) {
+  if (!Array.isArray(element.points) || element.points.length === 0) return element;
+  const xs = element.points.map(([x]) => element.x + x);
+  const ys = element.points.map(([, y]) => element.y + y);
+  return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+}
+
+/**
+ * Whether box a lies inside box b
+ */
+function contains(b, a, tolerance = CONTAINMENT_TOLERANCE) {
+  return a !== b
+    && a.x >= b.x - tolerance && a.y >= b.y - tolerance
+    && a.x + a.width <= b.x + b.width + tolerance
+    && a.y + a.height <= b.y + b.height + tolerance;
+}
+
+/**
+ * Whether a point lies inside a box
+ */
+function containsPoint(box, { x, y }) {
+  return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+}
+
+/**
+ * Distance from a point to the edge of a box, 0 inside it
+ */
+function distanceToBox(box, { x, y }) {
+  const dx = Math.max(box.x - x, 0, x - box.x - box.width);
+  const dy = Math.max(box.y - y, 0, y - box.y - box.height);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Centre of a box
+ */
+function center(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+/**
+ * Text of a text element, unwrapped
+ */
+function textOf(element) {
+  return String(element.originalText ?? element.text ?? '').trim();
+}
+
+/**
+ * Colour palettes to read node and connection types from, most specific first:
+ * NODE_STYLES / CONNECTION_STYLES, then every registered theme
+ */
+function colorPalettes(key, styles) {
+  const themes = themeRegistry.names().map(name => themeRegistry.get(name)[key] || {});
+  return [styles, ...themes];
+}
+
+/**
+ * Type whose colour in a palette is the given one, when only one type uses it
+ */
+function typeForColor(palettes, field, color) {
+  if (!isVisible(color)) return undefined;
+  const wanted = color.toLowerCase();
+  for (const palette of palettes) {
+    const matches = Object.keys(palette).filter(type => (palette[type][field] || '').toLowerCase() === wanted);
+    if (matches.length === 1) return matches[0];
+  }
+  return undefined;
+}
+
+/**
+ * Shape of a node: the Excalidraw element type, or the compound shape its drawn parts make up
+ * (cylinder, pipe, person, cloud, see lib/core/shapes.js)
+ */
+function detectShape(element, parts) {
+  if (parts.length === 0) return element.type === 'ellipse' || element.type === 'diamond' ? element.type : 'rectangle';
+  const ellipse = parts.find(part => part.type === 'ellipse');
+  if (!ellipse) return 'cloud';
+  if (ellipse.width >= element.width * 0.8) return 'cylinder';
+  if (ellipse.height >= element.height * 0.8) return 'pipe';
+  return 'person';
+}
+
+/**
+ * Node type from shape, colours and label
+ * Types drawn with the shape win when the colour matches one of them or only one type uses the shape,
+ * then the colour alone, label keywords, and the first type drawn with the shape
+ */
+function guessNodeType(shape, colors, text) {
+  const palettes = colorPalettes('nodes', NODE_STYLES);
+  const byColor = typeForColor(palettes, 'fillColor', colors.fillColor) || typeForColor(palettes, 'strokeColor', colors.strokeColor);
+  const candidates = Object.keys(NODE_STYLES).filter(type => NODE_STYLES[type].shape === shape);
+  if (byColor && candidates.includes(byColor)) return byColor;
+  if (candidates.length === 1) return candidates[0];
+  if (byColor) return byColor;
+  const byText = guessTypeFromText(text);
+  if (byText && (candidates.length === 0 || candidates.includes(byText))) return byText;
+  return candidates[0] || byText || 'service';
+}
+
+/**
+ * Connection type from the arrow colour, line style, arrowheads and label
+ */
+function guessConnectionType(arrow, label) {
+  const byColor = typeForColor(colorPalettes('connections', CONNECTION_STYLES), 'strokeColor', arrow.strokeColor);
+  if (byColor) return byColor;
+  if (arrow.strokeStyle === 'dashed') return 'async';
+  if (arrow.strokeStyle === 'dotted') return 'query';
+  if (!arrow.startArrowhead && !arrow.endArrowhead) return 'none';
+  return guessConnectionTypeFromText(label || '') || 'http';
+}
+
+/**
+ * Lowercase id made of the words of a label, e.g. "Orders API" -> orders-api
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Convert an Excalidraw file to architecture DSL
+ * Ids written by a deterministic render (node_<id>, group_<id>) are restored, other ids come from the labels.
+ * Technology badges, shape parts and the legend of rendered files are recognised and not imported as nodes.
+ * @param {string|Object} source - .excalidraw file contents, or the parsed file
+ * @returns {Object} Architecture DSL matching ArchitectureSchema
+ * @throws {Error} - If the source is not an Excalidraw file
+ */
+function fromExcalidraw(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid Excalidraw file: ${error.message}`);
+    }
+  }
+  if (!data || !Array.isArray(data.elements)) {
+    throw new Error('Invalid Excalidraw file: no elements');
+  }
+
+  const isLegend = element => /^legend(_|$)/.test(element.id) || (element.groupIds || []).some(id => /^legend(_|$)/.test(id));
+  const all = data.elements.filter(element => !element.isDeleted);
+  const legend = all.some(isLegend);
+  const elements = all.filter(element => !isLegend(element));
+  const order = new Map(elements.map((element, index) => [element.id, index]));
+  const texts = elements.filter(element => element.type === 'text');
+  const boundText = element => texts.find(text => text.containerId === element.id);
+  const sharesGroup = (a, b) => (a.groupIds || []).some(id => (b.groupIds || []).includes(id));
+
+  // Compound shapes: an invisible box carrying the label, drawn by lines and ellipses grouped with it
+  const consumed = new Set();
+  const parts = new Map();
+  elements
+    .filter(element => SHAPE_ELEMENTS.includes(element.type) && boundText(element)
+      && !isVisible(element.strokeColor) && !isVisible(element.backgroundColor))
+    .forEach(box => {
+      const drawn = elements.filter(element => (element.type === 'line' || element.type === 'ellipse')
+        && element.id !== box.id && sharesGroup(element, box) && contains(box, boundsOf(element), 8));
+      drawn.forEach(element => consumed.add(element.id));
+      parts.set(box.id, drawn);
+    });
+
+  // Technology badges: small labelled boxes grouped with a node, lettered smaller than its label
+  const badges = new Map();
+  const labelled = elements.filter(element => SHAPE_ELEMENTS.includes(element.type) && !consumed.has(element.id) && boundText(element));
+  labelled.forEach(badge => {
+    const owner = labelled.find(candidate => candidate !== badge && sharesGroup(candidate, badge) && contains(candidate, badge)
+      && (boundText(badge).fontSize || 0) < (boundText(candidate).fontSize || 0));
+    if (!owner) return;
+    consumed.add(badge.id);
+    consumed.add(boundText(badge).id);
+    badges.set(owner.id, [...(badges.get(owner.id) || []), badge]);
+  });
+
+  // Labelled shapes and shapes enclosing nothing are nodes, other shapes and frames are groups
+  const shapes = elements.filter(element => SHAPE_ELEMENTS.includes(element.type) && !consumed.has(element.id));
+  const isNode = shape => Boolean(boundText(shape)) || !shapes.some(other => contains(shape, other));
+  const nodeShapes = shapes.filter(isNode);
+  const groupShapes = [...shapes.filter(shape => !isNode(shape)), ...elements.filter(element => element.type === 'frame')];
+
+  // Free text labels an unlabelled node it lies in, otherwise the innermost group around it, at its top
+  const smallest = boxes => boxes.sort((a, b) => a.width * a.height - b.width * b.height)[0];
+  const freeLabels = new Map();
+  texts.filter(text => !text.containerId && !consumed.has(text.id)).sort((a, b) => a.y - b.y).forEach(text => {
+    const point = center(text);
+    const node = smallest(nodeShapes.filter(shape => containsPoint(shape, point)));
+    const target = node || smallest(groupShapes.filter(shape => containsPoint(shape, point)));
+    if (target && !boundText(target) && !freeLabels.has(target.id)) freeLabels.set(target.id, textOf(text));
+  });
+  const labelOf = shape => (boundText(shape) ? textOf(boundText(shape)) : freeLabels.get(shape.id) || shape.name || '');
+
+  // Ids: those of deterministic renders, else from labels, unique across nodes and groups
+  const usedIds = new Set();
+  const ids = new Map();
+  [...nodeShapes, ...groupShapes].forEach(shape => {
+    const rendered = shape.id.match(/^(?:node|group)_(.+)$/);
+    const base = (rendered && !/^\d+_\d+$/.test(rendered[1]) && rendered[1]) || slugify(labelOf(shape)) || shape.id;
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) id = `${base}-${suffix}`;
+    usedIds.add(id);
+    ids.set(shape.id, id);
+  });
+
+  // Nodes nest in the smallest node around them, then in the smallest group
+  const parentOf = shape => {
+    const node = smallest(nodeShapes.filter(other => contains(other, shape)));
+    if (node) return node;
+    if (shape.frameId) return groupShapes.find(group => group.id === shape.frameId);
+    return smallest(groupShapes.filter(group => contains(group, shape)));
+  };
+  const parents = new Map([...nodeShapes, ...groupShapes].map(shape => [shape.id, parentOf(shape)]));
+  const hasChildren = shape => nodeShapes.some(other => parents.get(other.id) === shape);
+
+  // Positions shifted so the drawing starts at the layout padding
+  const topLevel = nodeShapes.filter(shape => !nodeShapes.includes(parents.get(shape.id)));
+  const boxes = [...nodeShapes, ...groupShapes];
+  const { padding } = new LayoutEngine().canvas;
+  const dx = boxes.length > 0 ? padding - Math.min(...boxes.map(box => box.x)) : 0;
+  const dy = boxes.length > 0 ? padding - Math.min(...boxes.map(box => box.y)) : 0;
+
+  const toItem = shape => {
+    const drawn = parts.get(shape.id) || [];
+    const painted = drawn.find(part => isVisible(part.backgroundColor)) || drawn[0] || shape;
+    const label = labelOf(shape) || ids.get(shape.id);
+    const technologies = (badges.get(shape.id) || [])
+      .sort((a, b) => a.y - b.y || a.x - b.x)
+      .map(badge => textOf(boundText(badge)));
+    const item = {
+      id: ids.get(shape.id),
+      type: guessNodeType(
+        detectShape(shape, drawn),
+        { fillColor: painted.backgroundColor, strokeColor: painted.strokeColor },
+        [label, ...technologies].join(' ')
+      ),
+      label,
+      technologies,
+      parent: parents.get(shape.id) ? ids.get(parents.get(shape.id).id) : null,
+      order: order.get(shape.id)
+    };
+    // Rendered files keep the description in the link, which Excalidraw shows on hover
+    if (shape.link && /^[a-z][\w+.-]*:\/\//i.test(shape.link)) item.metadata = { link: shape.link };
+    else if (shape.link) item.description = shape.link;
+    if (topLevel.includes(shape)) item.position = { x: Math.round(shape.x + dx), y: Math.round(shape.y + dy) };
+    return item;
+  };
+
+  const nodes = nodeShapes.filter(shape => !hasChildren(shape)).map(toItem);
+  const containers = [
+    ...nodeShapes.filter(hasChildren).map(shape => ({ ...toItem(shape), node: true })),
+    ...groupShapes.map(shape => ({
+      id: ids.get(shape.id),
+      label: labelOf(shape) || ids.get(shape.id),
+      parent: parents.get(shape.id) ? ids.get(parents.get(shape.id).id) : null,
+      order: order.get(shape.id)
+    }))
+  ];
+
+  // Arrow ends: the bound shape, or the closest node near the end point
+  const owners = new Map(nodeShapes.map(shape => [shape.id, shape]));
+  badges.forEach((list, ownerId) => list.forEach(badge => owners.set(badge.id, owners.get(ownerId))));
+  const endpoint = (arrow, binding, point) => {
+    const bound = binding && owners.get(binding.elementId);
+    if (bound) return ids.get(bound.id);
+    const near = nodeShapes
+      .map(shape => ({ shape, distance: distanceToBox(shape, point) }))
+      .filter(({ distance }) => distance <= ARROW_PROXIMITY)
+      .sort((a, b) => a.distance - b.distance || a.shape.width * a.shape.height - b.shape.width * b.shape.height)[0];
+    return near ? ids.get(near.shape.id) : undefined;
+  };
+
+  const connections = [];
+  elements.filter(element => element.type === 'arrow').forEach(arrow => {
+    const points = arrow.points && arrow.points.length > 0 ? arrow.points : [[0, 0]];
+    const absolute = ([x, y]) => ({ x: arrow.x + x, y: arrow.y + y });
+    let from = endpoint(arrow, arrow.startBinding, absolute(points[0]));
+    let to = endpoint(arrow, arrow.endBinding, absolute(points[points.length - 1]));
+    if (!from || !to) {
+      console.warn(`Skipping arrow ${arrow.id}: no node at its ${from ? 'end' : 'start'}`);
+      return;
+    }
+
+    // An arrowhead only at the start points backwards
+    if (arrow.startArrowhead && !arrow.endArrowhead) [from, to] = [to, from];
+    const labelElement = boundText(arrow);
+    const label = labelElement ? textOf(labelElement) : undefined;
+    const connection = { from, to, type: guessConnectionType(arrow, label) };
+    if (label) connection.label = label;
+    if (arrow.startArrowhead && arrow.endArrowhead) connection.bidirectional = true;
+    connections.push(connection);
+  });
+
+  // Rendered files record the direction on their node shapes; otherwise mostly horizontal connections
+  // read left to right, or right to left when most of them point left
+  const recorded = nodeShapes.map(shape => shape.customData && shape.customData.direction).find(value => DIRECTIONS.includes(value));
+  const shapeOf = new Map([...nodeShapes].map(shape => [ids.get(shape.id), shape]));
+  const spread = connections.reduce((sum, { from, to }) => {
+    const a = center(shapeOf.get(from));
+    const b = center(shapeOf.get(to));
+    return { x: sum.x + Math.abs(b.x - a.x), y: sum.y + Math.abs(b.y - a.y), dx: sum.dx + b.x - a.x, dy: sum.dy + b.y - a.y };
+  }, { x: 0, y: 0, dx: 0, dy: 0 });
+
+  const inferred = spread.x > spread.y ? (spread.dx < 0 ? 'RL' : 'LR') : (spread.dy < 0 ? 'BT' : 'TB');
+  const layout = { direction: recorded || inferred };
+  if (legend) layout.legend = true;
+  return graphToDSL({ nodes, containers, connections, layout });
+}
+
+module.exports = {
+  fromExcalidraw
+};
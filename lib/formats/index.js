@@ -0,0 +1,59 @@
+const { toMermaid, fromMermaid, extractMermaidBlocks } = require('./mermaid');
+const { toC4PlantUML, fromPlantUML, extractPlantUMLBlocks } = require('./plantuml');
+const { toDot, fromDot, extractDotBlocks } = require('./dot');
+const { fromExcalidraw } = require('./excalidraw');
+
+/**
+ * Text formats the semantic DSL can be converted to and from
+ * `export` turns a DSL document into the format's source text, `import` turns one diagram back into DSL
+ * and `extract` splits a file (e.g. Markdown) into the diagrams it holds.
+ * Formats without `export` are import-only; without `extract` a file holds one diagram.
+ */
+const FORMATS = {
+  mermaid: {
+    description: 'Mermaid flowchart, rendered natively by GitHub Markdown',
+    extensions: ['.mmd', '.md'],
+    export: toMermaid,
+    import: fromMermaid,
+    extract: extractMermaidBlocks
+  },
+  plantuml: {
+    description: 'C4-PlantUML; plain PlantUML component diagrams can be imported too',
+    aliases: ['c4', 'puml'],
+    extensions: ['.puml', '.plantuml', '.iuml', '.wsd'],
+    export: toC4PlantUML,
+    import: fromPlantUML,
+    extract: extractPlantUMLBlocks
+  },
+  dot: {
+    description: 'Graphviz DOT, with clusters for groups; --positions keeps the LayoutEngine placement',
+    aliases: ['graphviz', 'gv'],
+    extensions: ['.dot', '.gv'],
+    export: toDot,
+    import: fromDot,
+    extract: extractDotBlocks
+  },
+  excalidraw: {
+    description: 'Excalidraw files, e.g. rendered diagrams edited by hand; rendered with render instead of export',
+    extensions: ['.excalidraw'],
+    import: fromExcalidraw
+  }
+};
+
+/**
+ * Look up a format by name
+ * @throws {Error} For unknown formats, listing the available ones
+ */
+function getFormat(name) {
+  const key = String(name).toLowerCase();
+  const format = FORMATS[key] || Object.values(FORMATS).find(candidate => (candidate.aliases || []).includes(key));
+  if (!format) {
+    throw new Error(`Unknown format '${name}'. Available formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat
+};
@@ -0,0 +1,563 @@
+const { ArchitectureSchema, NODE_STYLES, CONNECTION_STYLES } = require('../core/schema');
+const { buildGroupTree } = require('../core/groups');
+const { guessTypeFromText, createIdMapper, unquote, graphToDSL } = require('./common');
+
+/**
+ * Mermaid - Semantic DSL to Mermaid flowchart text and back
+ * Node types become Mermaid shapes plus a classDef with the NODE_STYLES colours,
+ * connection types become arrow styles, groups and nodes with sub-components become subgraphs;
+ * the subgraph of a node carries the node type as its class, which tells it apart from a group.
+ * Importing reverses the mapping; flowcharts written by hand get a best-guess node type
+ * from their classes, colours, shapes and labels.
+ */
+
+// Opening and closing brackets of the Mermaid shape used for each node type
+const NODE_SHAPES = {
+  actor: ['([', '])'],     // stadium
+  service: ['[', ']'],     // rectangle
+  database: ['[(', ')]'],  // cylinder
+  queue: ['>', ']'],       // asymmetric flag
+  cache: ['{{', '}}'],     // hexagon
+  gateway: ['{', '}'],     // rhombus
+  ui: ['(', ')'],          // rounded rectangle
+  external: ['[[', ']]']   // subroutine
+};
+
+// Arrows for each connection type: [one-way, bidirectional]
+// A plain line has no direction to show, so bidirectional ones get cross heads at both ends to stay distinct
+const CONNECTION_ARROWS = {
+  http: ['-->', '<-->'],
+  sync: ['==>', '<==>'],
+  async: ['-.->', '<-.->'],
+  query: ['--o', 'o--o'],
+  data_flow: ['-->', '<-->'],
+  none: ['---', 'x--x']
+};
+
+// Words the Mermaid parser treats as keywords when used as node ids
+const RESERVED_IDS = new Set(['end', 'graph', 'flowchart', 'subgraph', 'direction', 'style', 'class', 'classdef', 'linkstyle', 'click', 'call', 'href']);
+
+const INDENT = '    ';
+
+const DIRECTIONS = { TB: 'TB', TD: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' };
+
+// Node shape syntax, longest opening bracket first: [open, accepted closing brackets]
+const SHAPE_SYNTAX = [
+  ['(((', [')))']],
+  ['([', ['])']],
+  ['((', ['))']],
+  ['(', [')']],
+  ['[[', [']]']],
+  ['[(', [')]']],
+  ['[/', ['/]', '\\]']],
+  ['[\\', ['\\]', '/]']],
+  ['[', [']']],
+  ['{{', ['}}']],
+  ['{', ['}']],
+  ['>', [']']]
+];
+
+// Shapes used for any kind of box; their node type is guessed from the label first
+const GENERIC_SHAPES = new Set(['[', '(']);
+
+const SHAPE_TYPES = Object.fromEntries(Object.entries(NODE_SHAPES).map(([type, [open]]) => [open, type]));
+
+// Names of the `id@{ shape: ... }` syntax
+const SHAPE_NAME_TYPES = {
+  stadium: 'actor', pill: 'actor', terminal: 'actor',
+  cyl: 'database', cylinder: 'database', db: 'database', database: 'database',
+  das: 'queue', 'h-cyl': 'queue', 'horizontal-cylinder': 'queue', 'lin-cyl': 'queue', flag: 'queue', 'odd': 'queue',
+  hex: 'cache', hexagon: 'cache', prepare: 'cache',
+  diam: 'gateway', diamond: 'gateway', decision: 'gateway', question: 'gateway',
+  subproc: 'external', subroutine: 'external', 'fr-rect': 'external', 'framed-rectangle': 'external', cloud: 'external'
+};
+
+/**
+ * Escape text for a quoted Mermaid label; line breaks become <br/>
+ */
+function escapeLabel(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/\r?\n/g, '<br/>');
+}
+
+/**
+ * Escape text for an edge label between pipes
+ */
+function escapeEdgeLabel(text) {
+  return escapeLabel(text).replace(/\|/g, '#124;');
+}
+
+/**
+ * Node label, with the technologies in italics on a second line in detailed mode
+ */
+function nodeLabel(node, detail) {
+  const technologies = detail === 'compact' ? [] : (node.technologies || []);
+  const label = escapeLabel(node.label);
+  return technologies.length > 0 ? `${label}<br/><i>${escapeLabel(technologies.join(', '))}</i>` : label;
+}
+
+/**
+ * Convert an architecture DSL document to a Mermaid flowchart
+ * @param {Object} dsl - Architecture DSL matching ArchitectureSchema
+ * @param {Object} [options]
+ * @param {boolean} [options.styles=true] - Add classDef/linkStyle lines with the NODE_STYLES and CONNECTION_STYLES colours
+ * @param {boolean} [options.fence=false] - Wrap the flowchart in a ```mermaid Markdown code block
+ * @returns {string} Mermaid source
+ * @throws {ZodError} - If the DSL does not match ArchitectureSchema
+ */
+function toMermaid(dsl, options = {}) {
+  const { styles = true, fence = false } = options;
+  const architecture = ArchitectureSchema.parse(dsl);
+  const { groups, nodeGroup } = buildGroupTree(architecture.groups, architecture.nodes);
+  const detail = architecture.layout?.detail;
+  const mermaidId = createIdMapper(RESERVED_IDS);
+  const lines = [`flowchart ${architecture.layout?.direction || 'TB'}`];
+  const nodesByType = {};
+  const containersByType = {};
+
+  const writeNode = (node, depth) => {
+    const indent = INDENT.repeat(depth);
+    const children = node.nodes || [];
+    if (children.length === 0) {
+      const [open, close] = NODE_SHAPES[node.type];
+      lines.push(`${indent}${mermaidId(node.id)}${open}"${nodeLabel(node, detail)}"${close}`);
+      (nodesByType[node.type] = nodesByType[node.type] || []).push(mermaidId(node.id));
+      return;
+    }
+    // Sub-components: the node becomes a subgraph, which connections can target directly
+    lines.push(`${indent}subgraph ${mermaidId(node.id)}["${nodeLabel(node, detail)}"]`);
+    (containersByType[node.type] = containersByType[node.type] || []).push(mermaidId(node.id));
+    children.forEach(child => writeNode(child, depth + 1));
+    lines.push(`${indent}end`);
+  };
+
+  const writeGroup = (group, depth) => {
+    const indent = INDENT.repeat(depth);
+    lines.push(`${indent}subgraph ${mermaidId(group.id)}["${escapeLabel(group.label)}"]`);
+    groups.filter(child => child.parentId === group.id).forEach(child => writeGroup(child, depth + 1));
+    architecture.nodes.filter(node => nodeGroup[node.id] === group.id).forEach(node => writeNode(node, depth + 1));
+    lines.push(`${indent}end`);
+  };
+
+  groups.filter(group => group.parentId === null).forEach(group => writeGroup(group, 1));
+  architecture.nodes.filter(node => nodeGroup[node.id] === undefined).forEach(node => writeNode(node, 1));
+
+  const linkStyles = [];
+  architecture.connections.forEach((connection, index) => {
+    const arrow = CONNECTION_ARROWS[connection.type][connection.bidirectional ? 1 : 0];
+    const label = connection.label ? `|${escapeEdgeLabel(connection.label)}|` : '';
+    lines.push(`${INDENT}${mermaidId(connection.from)} ${arrow}${label} ${mermaidId(connection.to)}`);
+    linkStyles.push(`${INDENT}linkStyle ${index} stroke:${CONNECTION_STYLES[connection.type].strokeColor}`);
+  });
+
+  // Without styles only the subgraphs of nodes keep their class, their shape does not tell the type
+  Object.keys(NODE_STYLES).filter(type => (styles && nodesByType[type]) || containersByType[type]).forEach(type => {
+    const style = NODE_STYLES[type];
+    const ids = [...(styles ? nodesByType[type] || [] : []), ...(containersByType[type] || [])];
+    if (styles) lines.push(`${INDENT}classDef ${type} fill:${style.fillColor},stroke:${style.strokeColor}`);
+    lines.push(`${INDENT}class ${ids.join(',')} ${type}`);
+  });
+  if (styles) lines.push(...linkStyles);
+
+  const source = lines.join('\n') + '\n';
+  return fence ? '```mermaid\n' + source + '```\n' : source;
+}
+
+/**
+ * Mermaid source blocks of a Markdown document; text without ```mermaid fences is one block
+ * @returns {string[]}
+ */
+function extractMermaidBlocks(text) {
+  const blocks = [...text.matchAll(/^[ \t]*(`{3,}|~{3,})[ \t]*mermaid[^\n]*\n([\s\S]*?)^[ \t]*\1/gm)].map(match => match[2]);
+  return blocks.length > 0 ? blocks : [text];
+}
+
+/**
+ * Undo the Mermaid entity codes and line breaks of a label
+ */
+function unescapeLabel(text) {
+  return String(text)
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/^`([\s\S]*)`$/, '$1')
+    .trim();
+}
+
+/**
+ * Label and technologies of a node label written by toMermaid ("Label<br/><i>Tech, Tech</i>")
+ */
+function parseNodeLabel(text) {
+  const match = String(text).match(/^([\s\S]*?)<br\s*\/?>\s*<i>([\s\S]*)<\/i>\s*$/i);
+  if (!match) {
+    return { label: unescapeLabel(text), technologies: [] };
+  }
+  return {
+    label: unescapeLabel(match[1]),
+    technologies: unescapeLabel(match[2]).split(',').map(item => item.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * `key:value,key:value` style properties, as used by classDef, style and linkStyle
+ */
+function parseStyle(text) {
+  return Object.fromEntries(
+    text.split(/[,;]/)
+      .map(part => part.split(':').map(item => item.trim()))
+      .filter(([key, value]) => key && value)
+      .map(([key, value]) => [key.toLowerCase(), value.toLowerCase()])
+  );
+}
+
+/**
+ * Split Mermaid source into statements: one per line or per `;` (entity codes such as #124; excepted),
+ * comments and front matter removed
+ */
+function splitStatements(source) {
+  const body = source.replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '');
+  return body.split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('%%'))
+    .flatMap(line => line.match(/(?:"[^"]*"|#\w+;|[^;"])+/g) || [])
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads node references and links of an edge statement, e.g. `A[Web] & B --> |calls| C[(DB)]`
+ */
+class StatementReader {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  skipSpaces() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  rest() {
+    return this.text.slice(this.pos);
+  }
+
+  fail() {
+    const position = this.rest() ? `at "${this.rest()}"` : 'at the end';
+    throw new Error(`Cannot parse Mermaid statement "${this.text}" ${position}`);
+  }
+
+  /**
+   * A node id with an optional shape and label, `@{ ... }` properties and `:::class` suffix
+   */
+  readNode() {
+    this.skipSpaces();
+    const idMatch = this.rest().match(/^[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*/u);
+    if (!idMatch) this.fail();
+    this.pos += idMatch[0].length;
+    const node = { id: idMatch[0], classes: [] };
+
+    if (this.rest().startsWith('@{')) {
+      const end = this.text.indexOf('}', this.pos);
+      if (end < 0) this.fail();
+      const properties = this.text.slice(this.pos + 2, end);
+      this.pos = end + 1;
+      for (const [, key, quoted, plain] of properties.matchAll(/(\w+)\s*:\s*(?:"([^"]*)"|([^,]+))/g)) {
+        const value = (quoted ?? plain).trim();
+        if (key === 'shape') node.shapeName = value.toLowerCase();
+        if (key === 'label') node.label = value;
+      }
+    } else {
+      const syntax = SHAPE_SYNTAX.find(([open]) => this.rest().startsWith(open));
+      if (syntax) {
+        const [open, closers] = syntax;
+        this.pos += open.length;
+        this.skipSpaces();
+        let label;
+        if (this.text[this.pos] === '"') {
+          const end = this.text.indexOf('"', this.pos + 1);
+          if (end < 0) this.fail();
+          label = this.text.slice(this.pos + 1, end);
+          this.pos = end + 1;
+          this.skipSpaces();
+          const closer = closers.find(candidate => this.rest().startsWith(candidate));
+          if (!closer) this.fail();
+          this.pos += closer.length;
+        } else {
+          const ends = closers.map(closer => [this.text.indexOf(closer, this.pos), closer]).filter(([index]) => index >= 0);
+          if (ends.length === 0) this.fail();
+          const [end, closer] = ends.sort((a, b) => a[0] - b[0])[0];
+          label = this.text.slice(this.pos, end);
+          this.pos = end + closer.length;
+        }
+        node.shape = open;
+        node.label = label;
+      }
+    }
+
+    const classMatch = this.rest().match(/^:::([\w-]+)/);
+    if (classMatch) {
+      node.classes.push(classMatch[1]);
+      this.pos += classMatch[0].length;
+    }
+    return node;
+  }
+
+  /**
+   * Node references joined by `&`
+   */
+  readNodes() {
+    const nodes = [this.readNode()];
+    for (this.skipSpaces(); this.text[this.pos] === '&'; this.skipSpaces()) {
+      this.pos++;
+      nodes.push(this.readNode());
+    }
+    return nodes;
+  }
+
+  /**
+   * A link with its label, or null at the end of the statement
+   * @returns {{ line: string, start: string, head: string, label?: string }|null}
+   */
+  readLink() {
+    this.skipSpaces();
+    if (this.pos >= this.text.length) return null;
+    const rest = this.rest();
+
+    // Label inside the link: A -- text --> B, A -. text .-> B, A == text ==> B
+    const labelled = [
+      ['solid', /^([<ox]?)--(?![-.>ox])\s*(.+?)\s*-{2,}([>ox]?)/],
+      ['dotted', /^([<ox]?)-\.(?![-.>])\s*(.+?)\s*\.+-([>ox]?)/],
+      ['thick', /^([<ox]?)==(?![=>ox])\s*(.+?)\s*={2,}([>ox]?)/]
+    ];
+    for (const [line, pattern] of labelled) {
+      const match = rest.match(pattern);
+      if (match) {
+        this.pos += match[0].length;
+        return { line, start: match[1], label: unquote(match[2]), head: match[3] };
+      }
+    }
+
+    const match = rest.match(/^([<ox]?)(-{2,}|-\.+-|={2,}|~{3,})([>ox]?)/);
+    if (!match) this.fail();
+    this.pos += match[0].length;
+    const [, start, body, head] = match;
+    const line = body.startsWith('~') ? 'invisible' : body.includes('.') ? 'dotted' : body.startsWith('=') ? 'thick' : 'solid';
+    const link = { line, start, head };
+
+    // Label after the link: A -->|text| B
+    const pipe = this.rest().match(/^\s*\|([^|]*)\|/);
+    if (pipe) {
+      link.label = unquote(pipe[1].trim());
+      this.pos += pipe[0].length;
+    }
+    return link;
+  }
+}
+
+/**
+ * Connection type of a Mermaid link
+ */
+function linkConnectionType(link) {
+  if (link.line === 'thick') return 'sync';
+  if (link.line === 'dotted') return 'async';
+  if (link.head === 'o') return 'query';
+  if (link.head === '>') return 'http';
+  return 'none';
+}
+
+/**
+ * Parse Mermaid flowchart source into nodes, edges, subgraphs and styles
+ * Nodes and subgraphs record the order they first appear in
+ */
+function parseMermaidGraph(source) {
+  const graph = {
+    direction: 'TB',
+    nodes: new Map(),
+    edges: [],
+    subgraphs: new Map(),
+    classDefs: {},
+    styles: {},
+    linkStyles: {}
+  };
+  const openSubgraphs = [];
+  let order = 0;
+  let header = false;
+
+  const currentSubgraph = () => openSubgraphs[openSubgraphs.length - 1] ?? null;
+
+  const isAncestor = (ancestorId, subgraphId) => {
+    for (let current = graph.subgraphs.get(subgraphId)?.parentId; current; current = graph.subgraphs.get(current)?.parentId) {
+      if (current === ancestorId) return true;
+    }
+    return false;
+  };
+
+  // Like Mermaid, a node mentioned inside a subgraph moves into it, into the innermost one if nested
+  const addNode = reference => {
+    let node = graph.nodes.get(reference.id);
+    if (!node) {
+      node = { id: reference.id, classes: [], subgraph: null, order: order++ };
+      graph.nodes.set(reference.id, node);
+    }
+    const subgraph = currentSubgraph();
+    if (subgraph !== null && (node.subgraph === null || isAncestor(node.subgraph, subgraph))) {
+      node.subgraph = subgraph;
+    }
+    if (reference.label !== undefined) node.label = reference.label;
+    if (reference.shape) node.shape = reference.shape;
+    if (reference.shapeName) node.shapeName = reference.shapeName;
+    node.classes.push(...reference.classes);
+    return node;
+  };
+
+  splitStatements(source).forEach(statement => {
+    if (!header) {
+      const match = statement.match(/^(flowchart|graph)(?:\s+(TB|TD|BT|LR|RL))?\s*$/i);
+      if (!match) {
+        throw new Error(`Not a Mermaid flowchart: expected "flowchart" or "graph", got "${statement}"`);
+      }
+      graph.direction = DIRECTIONS[(match[2] || 'TB').toUpperCase()];
+      header = true;
+      return;
+    }
+
+    const subgraph = statement.match(/^subgraph\b\s*(.*)$/);
+    if (subgraph) {
+      const title = subgraph[1].trim();
+      const withId = title.match(/^([\p{L}\p{N}_-]+)\s*\[\s*(?:"([^"]*)"|([^\]]*))\s*\]$/u);
+      let id, label;
+      if (withId) {
+        id = withId[1];
+        label = withId[2] ?? withId[3];
+      } else {
+        label = unquote(title);
+        id = /^[\p{L}\p{N}_-]+$/u.test(title) ? title : (label.replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || `subgraph_${graph.subgraphs.size + 1}`);
+      }
+      graph.subgraphs.set(id, { id, label: label.trim() || id, parentId: currentSubgraph(), order: order++ });
+      openSubgraphs.push(id);
+      return;
+    }
+    if (statement === 'end') {
+      openSubgraphs.pop();
+      return;
+    }
+    if (/^(direction|click|accTitle|accDescr|title)\b/.test(statement)) {
+      return;
+    }
+
+    const classDef = statement.match(/^classDef\s+(\S+)\s+(.*)$/);
+    if (classDef) {
+      classDef[1].split(',').forEach(name => {
+        graph.classDefs[name] = parseStyle(classDef[2]);
+      });
+      return;
+    }
+    const classStatement = statement.match(/^class\s+(\S+)\s+([\w-]+)$/);
+    if (classStatement) {
+      classStatement[1].split(',').forEach(id => addNode({ id, classes: [classStatement[2]] }));
+      return;
+    }
+    const style = statement.match(/^style\s+(\S+)\s+(.*)$/);
+    if (style) {
+      graph.styles[style[1]] = parseStyle(style[2]);
+      return;
+    }
+    const linkStyle = statement.match(/^linkStyle\s+(\S+)\s+(.*)$/);
+    if (linkStyle) {
+      linkStyle[1].split(',').forEach(index => {
+        graph.linkStyles[index] = parseStyle(linkStyle[2]);
+      });
+      return;
+    }
+
+    // Node declarations and chains of links: A --> B & C -.-> D
+    const reader = new StatementReader(statement);
+    let sources = reader.readNodes().map(addNode);
+    for (let link = reader.readLink(); link; link = reader.readLink()) {
+      const targets = reader.readNodes().map(addNode);
+      sources.forEach(from => targets.forEach(to => {
+        graph.edges.push({ from: from.id, to: to.id, link });
+      }));
+      sources = targets;
+    }
+  });
+
+  if (!header) {
+    throw new Error('Not a Mermaid flowchart: the source is empty');
+  }
+  return graph;
+}
+
+/**
+ * Node type from the fill colour of a style, matched against NODE_STYLES
+ */
+function typeFromFill(style) {
+  const fill = style && style.fill;
+  return fill ? Object.keys(NODE_STYLES).find(type => NODE_STYLES[type].fillColor.toLowerCase() === fill) : undefined;
+}
+
+/**
+ * Best-guess node type: class name or colour, then a distinctive shape, then label keywords
+ */
+function guessNodeType(node, graph, text) {
+  for (const name of [...node.classes].reverse()) {
+    if (NODE_STYLES[name]) return name;
+    const type = typeFromFill(graph.classDefs[name]);
+    if (type) return type;
+  }
+  const styled = typeFromFill(graph.styles[node.id]);
+  if (styled) return styled;
+
+  const shapeType = node.shapeName ? SHAPE_NAME_TYPES[node.shapeName] : !GENERIC_SHAPES.has(node.shape) && SHAPE_TYPES[node.shape];
+  if (shapeType) return shapeType;
+
+  return guessTypeFromText(text) || SHAPE_TYPES[node.shape] || 'service';
+}
+
+/**
+ * Convert a Mermaid flowchart to architecture DSL
+ * Subgraphs become groups, except subgraphs with a node type as their class or that links point at:
+ * those become nodes with sub-components
+ * @param {string} source - Mermaid flowchart source (`flowchart` or `graph`)
+ * @returns {Object} Architecture DSL matching ArchitectureSchema
+ * @throws {Error} - If the source is not a flowchart or cannot be parsed
+ */
+function fromMermaid(source) {
+  const graph = parseMermaidGraph(source);
+
+  const nodes = [...graph.nodes.values()].map(node => {
+    const { label, technologies } = parseNodeLabel(node.label ?? node.id);
+    const type = guessNodeType(node, graph, [label, ...technologies].join(' '));
+    return { id: node.id, type, label, technologies, parent: node.subgraph, order: node.order };
+  });
+  const containers = [...graph.subgraphs.values()].map(subgraph => {
+    const { label, technologies } = parseNodeLabel(subgraph.label);
+    // `class` statements naming a subgraph are recorded on a node of the same id
+    const classes = graph.nodes.get(subgraph.id)?.classes || [];
+    const type = guessNodeType({ id: subgraph.id, classes }, graph, [label, ...technologies].join(' '));
+    const node = classes.some(name => NODE_STYLES[name]);
+    return { id: subgraph.id, label, node, type, technologies, parent: subgraph.parentId, order: subgraph.order };
+  });
+
+  const connections = [];
+  graph.edges.forEach(({ from, to, link }, index) => {
+    if (link.line === 'invisible') return;
+    const stroke = graph.linkStyles[index]?.stroke || graph.linkStyles.default?.stroke;
+    const styledType = stroke && Object.keys(CONNECTION_STYLES).find(type => CONNECTION_STYLES[type].strokeColor.toLowerCase() === stroke);
+    const connection = { from, to, type: styledType || linkConnectionType(link) };
+    if (link.label) connection.label = unescapeLabel(link.label);
+    if (link.start && link.head) connection.bidirectional = true;
+    connections.push(connection);
+  });
+
+  return graphToDSL({ nodes, containers, connections, layout: { direction: graph.direction } });
+}
+
+module.exports = {
+  NODE_SHAPES,
+  CONNECTION_ARROWS,
+  toMermaid,
+  fromMermaid,
+  extractMermaidBlocks
+};
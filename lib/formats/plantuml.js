@@ -0,0 +1,517 @@
+const { ArchitectureSchema, NODE_STYLES, CONNECTION_STYLES } = require('../core/schema');
+const { buildGroupTree } = require('../core/groups');
+const { guessTypeFromText, guessConnectionTypeFromText, createIdMapper, unquote, graphToDSL } = require('./common');
+
+/**
+ * PlantUML - Semantic DSL to C4-PlantUML and back
+ * Node types map onto the C4 element macros (Person, ContainerDb, ContainerQueue, ...), with element tags
+ * for the types sharing the Container macro; groups become boundaries and connections Rel/BiRel with a type tag.
+ * Nodes with sub-components become Container_Boundary blocks tagged with their type. Technologies without
+ * a macro argument (Person, boundaries) are written as a last "[Tech, Tech]" line of the description,
+ * and RL/BT directions, which C4 has no layout for, as a `' direction:` comment.
+ * The importer also reads plain PlantUML component diagrams (actor, database, queue, package { }, A --> B : label).
+ */
+
+const C4_INCLUDE = '!include <C4/C4_Container>';
+
+// Element macro for each node type: [top-level container, sub-component]
+const ELEMENT_MACROS = {
+  actor: ['Person', 'Person'],
+  service: ['Container', 'Component'],
+  database: ['ContainerDb', 'ComponentDb'],
+  queue: ['ContainerQueue', 'ComponentQueue'],
+  cache: ['Container', 'Component'],
+  gateway: ['Container', 'Component'],
+  ui: ['Container', 'Component'],
+  external: ['Container_Ext', 'Component_Ext']
+};
+
+// Element tags for the node types sharing the Container macro, with their shape; services keep the box
+const ELEMENT_TAG_SHAPES = {
+  service: null,
+  cache: 'RoundedBoxShape()',
+  gateway: 'EightSidedShape()',
+  ui: 'RoundedBoxShape()'
+};
+
+// Line styles of the relationship tags; http, data_flow and none keep the default line
+const REL_TAG_LINES = {
+  async: 'DashedLine()',
+  query: 'DottedLine()',
+  sync: 'BoldLine()'
+};
+
+// PlantUML keywords that cannot be used as aliases
+const RESERVED_IDS = [
+  'actor', 'agent', 'artifact', 'boundary', 'card', 'circle', 'cloud', 'collections', 'component', 'control',
+  'database', 'entity', 'file', 'folder', 'frame', 'interface', 'label', 'node', 'package', 'queue', 'rectangle',
+  'stack', 'storage', 'usecase', 'person', 'together', 'note', 'title', 'end', 'left', 'right', 'up', 'down', 'as'
+];
+
+const INDENT = '  ';
+
+const ELEMENT_MACRO_PATTERN = /^(Person|System|Container|Component)(Db|Queue)?(_Ext)?$/;
+const BOUNDARY_MACRO_PATTERN = /^(?:(?:Enterprise|System|Container)_)?Boundary$|^(?:Deployment_)?Node(?:_[LR])?$/;
+const REL_MACRO_PATTERN = /^(Bi)?Rel(?:_(Back_Neighbor|Back|Neighbor|U|Up|D|Down|L|Left|R|Right))?$/;
+
+// Plain PlantUML element keywords and the node type they stand for; undefined means "guess from the label"
+const PLAIN_ELEMENTS = {
+  actor: 'actor', person: 'actor', agent: 'actor',
+  database: 'database', storage: 'database',
+  queue: 'queue', collections: 'queue',
+  cloud: 'external',
+  component: undefined, rectangle: undefined, node: undefined, card: undefined, boundary: undefined,
+  control: undefined, entity: undefined, interface: undefined, artifact: undefined, file: undefined,
+  folder: undefined, frame: undefined, package: undefined, stack: undefined, usecase: undefined
+};
+
+/**
+ * Quote a PlantUML string argument; double quotes become single quotes, line breaks \n
+ */
+function quote(text) {
+  return `"${String(text ?? '').replace(/"/g, "'").replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Text of a PlantUML string: quotes removed, \n turned into line breaks
+ */
+function unquoteText(text) {
+  return unquote(String(text).trim()).replace(/\\n/g, '\n').trim();
+}
+
+/**
+ * Description with the technologies as a last "[Tech, Tech]" line, for macros without a technology argument
+ */
+function describe(description, technologies) {
+  const list = technologies && technologies.length > 0 ? `[${technologies.join(', ')}]` : '';
+  return [description, list].filter(Boolean).join('\n');
+}
+
+/**
+ * Description and technologies of a description written by describe
+ */
+function parseDescription(text) {
+  const lines = String(text || '').split('\n');
+  const match = lines[lines.length - 1].trim().match(/^\[([^\]]*)\]$/);
+  if (!match) return { description: text || undefined, technologies: [] };
+  return {
+    description: lines.slice(0, -1).join('\n').trim() || undefined,
+    technologies: match[1].split(',').map(item => item.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Macro argument list without trailing empty arguments
+ */
+function macroArguments(positional, named = {}) {
+  const args = [...positional];
+  while (args.length > 2 && (args[args.length - 1] === undefined || args[args.length - 1] === '""')) args.pop();
+  Object.entries(named).filter(([, value]) => value).forEach(([name, value]) => args.push(`$${name}=${value}`));
+  return args.map(arg => arg ?? '""').join(', ');
+}
+
+/**
+ * Convert an architecture DSL document to C4-PlantUML
+ * @param {Object} dsl - Architecture DSL matching ArchitectureSchema
+ * @param {Object} [options]
+ * @param {string} [options.include] - Include line for the C4 library, the PlantUML standard library by default
+ * @returns {string} PlantUML source
+ * @throws {ZodError} - If the DSL does not match ArchitectureSchema
+ */
+function toC4PlantUML(dsl, options = {}) {
+  const { include = C4_INCLUDE } = options;
+  const architecture = ArchitectureSchema.parse(dsl);
+  const { groups, nodeGroup } = buildGroupTree(architecture.groups, architecture.nodes);
+  const alias = createIdMapper(RESERVED_IDS);
+  const usedNodeTags = new Set();
+  const elements = [];
+
+  const writeNode = (node, depth, nested) => {
+    const indent = INDENT.repeat(depth);
+    const children = node.nodes || [];
+    if (children.length > 0) {
+      const description = describe(node.description, node.technologies);
+      const named = { tags: quote(node.type), descr: description && quote(description) };
+      elements.push(`${indent}Container_Boundary(${macroArguments([alias(node.id), quote(node.label)], named)}) {`);
+      children.forEach(child => writeNode(child, depth + 1, true));
+      elements.push(`${indent}}`);
+      return;
+    }
+
+    const macro = ELEMENT_MACROS[node.type][nested ? 1 : 0];
+    const tag = node.type in ELEMENT_TAG_SHAPES ? node.type : undefined;
+    if (tag) usedNodeTags.add(tag);
+    const positional = macro === 'Person'
+      ? [alias(node.id), quote(node.label), quote(describe(node.description, node.technologies))]
+      : [alias(node.id), quote(node.label), quote((node.technologies || []).join(', ')), quote(node.description)];
+    elements.push(`${indent}${macro}(${macroArguments(positional, { tags: tag && quote(tag) })})`);
+  };
+
+  const writeGroup = (group, depth) => {
+    const indent = INDENT.repeat(depth);
+    const macro = group.type === 'boundary'
+      ? `System_Boundary(${alias(group.id)}, ${quote(group.label)})`
+      : `Boundary(${alias(group.id)}, ${quote(group.label)}, ${quote(group.type)})`;
+    elements.push(`${indent}${macro} {`);
+    groups.filter(child => child.parentId === group.id).forEach(child => writeGroup(child, depth + 1));
+    architecture.nodes.filter(node => nodeGroup[node.id] === group.id).forEach(node => writeNode(node, depth + 1, false));
+    elements.push(`${indent}}`);
+  };
+
+  groups.filter(group => group.parentId === null).forEach(group => writeGroup(group, 0));
+  architecture.nodes.filter(node => nodeGroup[node.id] === undefined).forEach(node => writeNode(node, 0, false));
+
+  const relations = architecture.connections.map(connection => {
+    const macro = connection.bidirectional ? 'BiRel' : 'Rel';
+    const positional = [alias(connection.from), alias(connection.to), quote(connection.label)];
+    return `${macro}(${positional.join(', ')}, $tags=${quote(connection.type)})`;
+  });
+  const usedRelTags = new Set(architecture.connections.map(connection => connection.type));
+
+  const tags = [
+    ...Object.keys(NODE_STYLES).filter(type => usedNodeTags.has(type))
+      .map(type => `AddElementTag(${quote(type)}, ${ELEMENT_TAG_SHAPES[type] ? `$shape=${ELEMENT_TAG_SHAPES[type]}, ` : ''}$legendText=${quote(type)})`),
+    ...Object.keys(CONNECTION_STYLES).filter(type => usedRelTags.has(type))
+      .map(type => `AddRelTag(${quote(type)}, ${REL_TAG_LINES[type] ? `$lineStyle=${REL_TAG_LINES[type]}, ` : ''}$legendText=${quote(type)})`)
+  ];
+
+  const direction = architecture.layout?.direction;
+  const lines = [
+    '@startuml',
+    include,
+    ...(direction === 'RL' || direction === 'BT' ? [`' direction: ${direction}`] : []),
+    direction === 'LR' || direction === 'RL' ? 'LAYOUT_LEFT_RIGHT()' : 'LAYOUT_TOP_DOWN()',
+    ...(tags.length > 0 ? ['', ...tags] : []),
+    '',
+    ...elements,
+    ...(relations.length > 0 ? ['', ...relations] : []),
+    ...(architecture.layout?.legend ? ['', 'SHOW_LEGEND()'] : []),
+    '@enduml'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * PlantUML diagrams of a file: @startuml ... @enduml sections or ```plantuml Markdown blocks
+ * @returns {string[]}
+ */
+function extractPlantUMLBlocks(text) {
+  const fenced = [...text.matchAll(/^[ \t]*(`{3,}|~{3,})[ \t]*(?:plantuml|puml)[^\n]*\n([\s\S]*?)^[ \t]*\1/gm)].map(match => match[2]);
+  const source = fenced.length > 0 ? fenced.join('\n') : text;
+  const blocks = [...source.matchAll(/@startuml[^\n]*\n([\s\S]*?)@enduml/g)].map(match => match[1]);
+  return blocks.length > 0 ? blocks : fenced.length > 0 ? fenced : [text];
+}
+
+/**
+ * Split macro arguments on commas outside quotes and parentheses
+ * @returns {{ positional: string[], named: Object }} Values with quotes removed
+ */
+function parseArguments(text) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim() || parts.length > 0) parts.push(current);
+
+  const positional = [];
+  const named = {};
+  parts.map(part => part.trim()).forEach(part => {
+    const match = part.match(/^\$(\w+)\s*=\s*([\s\S]*)$/);
+    if (match) {
+      named[match[1]] = unquoteText(match[2]);
+    } else {
+      positional.push(unquoteText(part));
+    }
+  });
+  return { positional, named };
+}
+
+/**
+ * Statements of a PlantUML diagram, comments removed
+ * A macro call spanning several lines is joined into one statement once its parentheses and quotes balance
+ */
+function splitStatements(source) {
+  const lines = source
+    .replace(/\/'[\s\S]*?'\//g, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("'"));
+
+  const statements = [];
+  let pending = null;
+  lines.forEach(line => {
+    if (pending === null && !/^\w+\s*\(/.test(line)) {
+      statements.push(line);
+      return;
+    }
+    pending = pending === null ? line : `${pending} ${line}`;
+    if (isBalanced(pending)) {
+      statements.push(pending);
+      pending = null;
+    }
+  });
+  if (pending !== null) statements.push(pending);
+  return statements;
+}
+
+/**
+ * Whether every quote is closed and every parenthesis outside quotes is matched
+ */
+function isBalanced(text) {
+  let depth = 0;
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char === '(') depth++;
+    else if (!quoted && char === ')') depth--;
+  }
+  return !quoted && depth <= 0;
+}
+
+/**
+ * Node type and technologies of a C4 element macro call
+ */
+function c4Element(name, args) {
+  const [, kind, variant, external] = name.match(ELEMENT_MACRO_PATTERN);
+  const { positional, named } = args;
+  const [id, label = id] = positional;
+  const hasTechnology = kind === 'Container' || kind === 'Component';
+  const technology = named.techn ?? (hasTechnology ? positional[2] : undefined);
+  let description = named.descr ?? (hasTechnology ? positional[3] : positional[2]);
+  let technologies = (technology || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (!hasTechnology) ({ description, technologies } = parseDescription(description));
+  const tags = (named.tags || '').split('+').map(tag => tag.trim());
+
+  let type = tags.find(tag => NODE_STYLES[tag]);
+  if (!type) {
+    if (kind === 'Person') type = 'actor';
+    else if (variant === 'Db') type = 'database';
+    else if (variant === 'Queue') type = 'queue';
+    else if (external) type = 'external';
+    else {
+      const guess = guessTypeFromText([label, ...technologies].join(' '));
+      type = guess && guess !== 'actor' ? guess : 'service';
+    }
+  }
+  return { id, label: named.label ?? label, type, technologies, description };
+}
+
+/**
+ * Connection type of a C4 relationship: type tag, technology keywords, the target type, then http
+ */
+function c4ConnectionType(args, targetType) {
+  const { positional, named } = args;
+  const tags = (named.tags || '').split('+').map(tag => tag.trim());
+  const tagged = tags.find(tag => CONNECTION_STYLES[tag]);
+  if (tagged) return tagged;
+  const technology = named.techn ?? positional[3] ?? '';
+  const guess = guessConnectionTypeFromText(technology) || guessConnectionTypeFromText(named.label ?? positional[2] ?? '');
+  if (guess) return guess;
+  if (targetType === 'database') return 'query';
+  if (targetType === 'queue') return 'async';
+  return 'http';
+}
+
+/**
+ * Element of a plain PlantUML declaration such as `database "Orders DB" as db` or `[API] as api`
+ * @returns {{ id: string, label: string }}
+ */
+function parseDeclaration(text) {
+  const cleaned = text.replace(/<<[^>]*>>/g, '').replace(/\s#\S+/g, '').trim();
+  let match = cleaned.match(/^("[^"]*"|\[[^\]]*\])\s+as\s+([\w.]+)$/);
+  if (match) return { id: match[2], label: unquoteText(match[1].replace(/^\[|\]$/g, '')) };
+  match = cleaned.match(/^([\w.]+)\s+as\s+("[^"]*"|\[[^\]]*\])$/);
+  if (match) return { id: match[1], label: unquoteText(match[2].replace(/^\[|\]$/g, '')) };
+  match = cleaned.match(/^("[^"]*"|\[[^\]]*\])$/);
+  if (match) {
+    const label = unquoteText(match[1].replace(/^\[|\]$/g, ''));
+    return { id: label.replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'node', label };
+  }
+  match = cleaned.match(/^([\w.]+)$/);
+  if (match) return { id: match[1], label: match[1] };
+  return null;
+}
+
+/**
+ * Convert C4-PlantUML (or a plain PlantUML component diagram) to architecture DSL
+ * Person is an actor, *Db a database, *Queue a queue, *_Ext an external system; other elements are guessed
+ * from their tags, label and technology. Boundaries become groups, or nodes with sub-components when
+ * tagged with a node type or when relationships point at them.
+ * @param {string} source - PlantUML source, with or without @startuml/@enduml
+ * @returns {Object} Architecture DSL matching ArchitectureSchema
+ * @throws {Error} - If the diagram has no elements
+ */
+function fromPlantUML(source) {
+  const nodes = new Map();
+  const containers = new Map();
+  const relations = [];
+  const openContainers = [];
+  const layout = { direction: 'TB' };
+  // RL and BT only survive in the comment toC4PlantUML writes for them
+  const directionComment = source.match(/^\s*'\s*direction:\s*(TB|BT|LR|RL)\s*$/m);
+  let pendingContainer = null;
+  let order = 0;
+
+  const currentContainer = () => openContainers[openContainers.length - 1] ?? null;
+
+  // `[Order Service]` refers to the component declared with that label, whatever its alias
+  const labelIds = new Map();
+  const resolveReference = reference => {
+    const element = parseDeclaration(reference);
+    const declared = reference.startsWith('[') && labelIds.get(element.label);
+    if (declared) return declared;
+    if (containers.has(element.id)) return element.id;
+    return addNode({ ...element, type: guessTypeFromText(element.label) || 'service' }, false).id;
+  };
+
+  const addNode = (element, explicit) => {
+    let node = nodes.get(element.id);
+    if (!node) {
+      node = { id: element.id, label: element.label, type: element.type, parent: currentContainer(), order: order++ };
+      nodes.set(element.id, node);
+    } else if (explicit) {
+      Object.assign(node, { label: element.label, type: element.type, parent: currentContainer() });
+    }
+    if (element.technologies?.length) node.technologies = element.technologies;
+    if (element.description) node.description = element.description;
+    return node;
+  };
+
+  const openContainer = container => {
+    containers.set(container.id, { ...container, parent: currentContainer(), order: order++ });
+    openContainers.push(container.id);
+  };
+
+  splitStatements(source).forEach(statement => {
+    if (/^(@start|@end|!|skinparam|hide|show|title|legend|left to right|top to bottom|caption|header|footer|note)\b/i.test(statement)) {
+      if (/^left to right direction/i.test(statement)) layout.direction = 'LR';
+      return;
+    }
+    if (statement === '{' && pendingContainer) {
+      openContainer(pendingContainer);
+      pendingContainer = null;
+      return;
+    }
+    if (statement === '}') {
+      openContainers.pop();
+      return;
+    }
+
+    // C4 macro calls
+    const call = statement.match(/^(\w+)\s*\(([\s\S]*)\)\s*(\{)?$/);
+    if (call) {
+      const [, name, argumentText, brace] = call;
+      const args = parseArguments(argumentText);
+
+      if (ELEMENT_MACRO_PATTERN.test(name)) {
+        addNode(c4Element(name, args), true);
+      } else if (BOUNDARY_MACRO_PATTERN.test(name)) {
+        const [id, label = id, boundaryType] = args.positional;
+        const groupType = ['layer', 'cluster', 'boundary'].includes(args.named.type ?? boundaryType) ? (args.named.type ?? boundaryType) : undefined;
+        const container = { id, label: args.named.label ?? label, groupType };
+        const type = (args.named.tags || '').split('+').map(tag => tag.trim()).find(tag => NODE_STYLES[tag]);
+        if (type) {
+          Object.assign(container, { node: true, type, ...parseDescription(args.named.descr) });
+        }
+        if (brace) openContainer(container);
+        else pendingContainer = container;
+      } else if (REL_MACRO_PATTERN.test(name)) {
+        const [, bidirectional, direction] = name.match(REL_MACRO_PATTERN);
+        const [first, second, label] = args.positional;
+        const [from, to] = direction && direction.startsWith('Back') ? [second, first] : [first, second];
+        relations.push({ from, to, label: args.named.label ?? label, args, bidirectional: Boolean(bidirectional) });
+      } else if (/^LAYOUT_(LEFT_RIGHT|LANDSCAPE)$/.test(name)) {
+        layout.direction = 'LR';
+      } else if (name === 'LAYOUT_TOP_DOWN') {
+        layout.direction = 'TB';
+      } else if (/^(SHOW_LEGEND|SHOW_FLOATING_LEGEND|LAYOUT_WITH_LEGEND)$/.test(name)) {
+        layout.legend = true;
+      }
+      return;
+    }
+
+    // Plain PlantUML relationship: A --> B : label, or pointing left as in B <-- A : label
+    const arrow = statement.match(/^(\[[^\]]+\]|"[^"]+"|[\w.]+)\s*([<o*]?)([-.=]+(?:\[[^\]]*\])?(?:(?:up|down|left|right|u|d|l|r)[-.=]*)?)([>o*]?)\s*(\[[^\]]+\]|"[^"]+"|[\w.]+)\s*(?::\s*(.*))?$/i);
+    if (arrow) {
+      const [, left, start, line, head, right, label] = arrow;
+      const pointsLeft = Boolean(start) && !head;
+      const [from, to] = (pointsLeft ? [right, left] : [left, right]).map(resolveReference);
+      const tip = head || start;
+      const dotted = line.includes('.') || /dashed|dotted/.test(line);
+      const lineType = dotted ? 'async' : line.includes('=') ? 'sync' : tip === 'o' ? 'query' : tip ? 'http' : 'none';
+      relations.push({
+        from,
+        to,
+        label,
+        plainType: lineType === 'http' ? guessConnectionTypeFromText(label || '') || 'http' : lineType,
+        bidirectional: Boolean(start && head)
+      });
+      return;
+    }
+
+    // Plain PlantUML element or container: database "Orders DB" as db, [API] as api, package "Backend" {
+    const element = statement.match(/^(?:(\w+)\s+)?([\s\S]*?)\s*(\{)?$/);
+    const keyword = element[1] ? element[1].toLowerCase() : (statement.startsWith('[') ? 'component' : undefined);
+    if (keyword in PLAIN_ELEMENTS) {
+      const declaration = parseDeclaration(element[1] ? element[2] : statement.replace(/\s*\{$/, ''));
+      if (!declaration) return;
+      if (element[3]) {
+        openContainer({ id: declaration.id, label: declaration.label });
+        return;
+      }
+      const type = PLAIN_ELEMENTS[keyword] || guessTypeFromText(declaration.label) || 'service';
+      addNode({ ...declaration, type }, true);
+      labelIds.set(declaration.label, declaration.id);
+    } else if (element[3]) {
+      // Blocks that are not containers (together { ... }) keep the enclosing container
+      openContainers.push(currentContainer());
+    }
+  });
+
+  if (nodes.size === 0 && containers.size === 0) {
+    throw new Error('No PlantUML elements found');
+  }
+  if (directionComment) layout.direction = directionComment[1];
+
+  // Relationship ends that were never declared
+  relations.forEach(relation => [relation.from, relation.to]
+    .filter(id => !nodes.has(id) && !containers.has(id))
+    .forEach(id => addNode({ id, label: id, type: guessTypeFromText(id) || 'service' }, false)));
+
+  const connections = relations.map(relation => {
+    const target = nodes.get(relation.to);
+    const connection = {
+      from: relation.from,
+      to: relation.to,
+      type: relation.plainType || c4ConnectionType(relation.args, target?.type)
+    };
+    if (relation.label) connection.label = relation.label;
+    if (relation.bidirectional) connection.bidirectional = true;
+    return connection;
+  });
+
+  return graphToDSL({
+    nodes: [...nodes.values()],
+    containers: [...containers.values()],
+    connections,
+    layout
+  });
+}
+
+module.exports = {
+  ELEMENT_MACROS,
+  toC4PlantUML,
+  fromPlantUML,
+  extractPlantUMLBlocks
+};
@@ -0,0 +1,26 @@
+const path = require('path');
+
+/**
+ * Built-in icons, shipped as SVG files in ./assets so diagrams render offline
+ * Aliases are the technology names that pick the icon, compared after normalizeIconKey
+ */
+
+const ASSETS_DIRECTORY = path.join(__dirname, 'assets');
+
+const BUILTIN_ICONS = [
+  { name: 'redis', aliases: ['elasticache', 'redis cluster', 'valkey'] },
+  { name: 'postgresql', aliases: ['postgres', 'pg', 'aurora postgresql', 'rds postgresql'] },
+  { name: 'mysql', aliases: ['mariadb', 'aurora mysql', 'rds mysql'] },
+  { name: 'mongodb', aliases: ['mongo', 'documentdb'] },
+  { name: 'kafka', aliases: ['apache kafka', 'msk', 'confluent'] },
+  { name: 'rabbitmq', aliases: ['rabbit', 'amqp'] },
+  { name: 'kubernetes', aliases: ['k8s', 'eks', 'gke', 'aks'] },
+  { name: 'docker', aliases: ['container', 'docker compose'] },
+  { name: 's3', aliases: ['amazon s3', 'aws s3', 'object storage'] },
+  { name: 'lambda', aliases: ['aws lambda', 'amazon lambda'] },
+  { name: 'nginx', aliases: [] },
+  { name: 'nodejs', aliases: ['node', 'express'] },
+  { name: 'react', aliases: ['reactjs', 'react native', 'nextjs'] }
+].map(icon => ({ ...icon, file: path.join(ASSETS_DIRECTORY, `${icon.name}.svg`) }));
+
+module.exports = { ASSETS_DIRECTORY, BUILTIN_ICONS };
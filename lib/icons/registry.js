@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { z } = require('zod');
+const { BUILTIN_ICONS } = require('./builtin');
+
+/**
+ * Icon Registry - SVG icons matched against node technologies or metadata.icon
+ * Icons are embedded in the diagram as data URLs, so nothing is fetched at render time
+ */
+
+const IconDefinitionSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Icon names use lowercase letters, digits and dashes'),
+  aliases: z.array(z.string()).optional().default([]),
+  svg: z.string().optional(),
+  file: z.string().optional()
+}).refine(icon => icon.svg || icon.file, {
+  message: 'Icon must define either `svg` markup or an SVG `file`'
+});
+
+// Optional file in an icon directory mapping icon names to extra aliases
+const ALIASES_FILE = 'icons.json';
+
+/**
+ * Comparable form of an icon name or technology, e.g. "Node.js 20" -> "nodejs", "Amazon S3" -> "amazon s3"
+ */
+function normalizeIconKey(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/\bv?\d+(\.\d+)*\b/g, ' ')
+    .replace(/[.'_-]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+class IconRegistry {
+  constructor() {
+    this.icons = new Map();
+    // Normalized name or alias -> icon name
+    this.keys = new Map();
+  }
+
+  /**
+   * Register an icon, replacing any icon with the same name
+   * @param {Object} icon - { name, svg | file, aliases }
+   * @returns {Object} Registered icon with its Excalidraw file id and data URL
+   */
+  register(icon) {
+    const validated = IconDefinitionSchema.parse(icon);
+    const svg = validated.svg || fs.readFileSync(validated.file, 'utf8');
+    if (!/<svg[\s>]/.test(svg)) {
+      throw new Error(`Icon '${validated.name}' is not SVG markup`);
+    }
+
+    const registered = {
+      name: validated.name,
+      aliases: validated.aliases,
+      mimeType: 'image/svg+xml',
+      // Content hash, so the same icon keeps the same file id across diagrams
+      fileId: crypto.createHash('sha1').update(svg).digest('hex'),
+      dataURL: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
+    };
+    this.icons.set(registered.name, registered);
+    [registered.name, ...registered.aliases].forEach(key => {
+      this.keys.set(normalizeIconKey(key), registered.name);
+    });
+    return registered;
+  }
+
+  /**
+   * Register every .svg file in a directory, named after the file
+   * An icons.json file may add aliases: { "grafana": ["grafana cloud"] }
+   * @param {string} directory - Directory containing SVG icons
+   * @returns {string[]} Names of the registered icons
+   */
+  loadDirectory(directory) {
+    const resolved = path.resolve(directory);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Icon directory not found: ${directory}`);
+    }
+
+    let aliases = {};
+    const aliasesFile = path.join(resolved, ALIASES_FILE);
+    if (fs.existsSync(aliasesFile)) {
+      try {
+        aliases = JSON.parse(fs.readFileSync(aliasesFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid ${ALIASES_FILE} in ${resolved}: ${error.message}`);
+      }
+    }
+
+    return fs.readdirSync(resolved)
+      .filter(file => path.extname(file).toLowerCase() === '.svg')
+      .sort()
+      .map(file => {
+        const filePath = path.join(resolved, file);
+        const name = path.basename(file, path.extname(file)).toLowerCase();
+        try {
+          return this.register({ name, aliases: [].concat(aliases[name] || []), file: filePath }).name;
+        } catch (error) {
+          throw new Error(`Invalid icon in ${filePath}: ${error.message}`);
+        }
+      });
+  }
+
+  has(name) {
+    return this.keys.has(normalizeIconKey(name));
+  }
+
+  /**
+   * Icon for a name or alias, or null
+   */
+  get(name) {
+    const iconName = this.keys.get(normalizeIconKey(name));
+    return iconName ? this.icons.get(iconName) : null;
+  }
+
+  names() {
+    return [...this.icons.keys()];
+  }
+
+  list() {
+    return [...this.icons.values()].map(({ name, aliases }) => ({ name, aliases }));
+  }
+
+  /**
+   * Icon for a node: metadata.icon when set (false turns icons off), otherwise the first
+   * technology that names an icon, either as a whole ("Amazon S3") or by one of its words ("Redis Cluster")
+   * @returns {Object|null}
+   */
+  resolve(node) {
+    const explicit = node.metadata && node.metadata.icon;
+    if (explicit === false) return null;
+    if (explicit) {
+      const icon = this.get(explicit);
+      if (!icon) console.warn(`Node ${node.id} references unknown icon: ${explicit}`);
+      return icon;
+    }
+
+    for (const technology of node.technologies || []) {
+      const key = normalizeIconKey(technology);
+      const icon = this.get(key) || key.split(' ').map(word => this.get(word)).find(Boolean);
+      if (icon) return icon;
+    }
+    return null;
+  }
+}
+
+/**
+ * Entry of the Excalidraw `files` map for an icon
+ */
+function toExcalidrawFile(icon, timestamp = Date.now()) {
+  return {
+    id: icon.fileId,
+    mimeType: icon.mimeType,
+    dataURL: icon.dataURL,
+    created: timestamp,
+    lastRetrieved: timestamp
+  };
+}
+
+/**
+ * Create a registry pre-populated with the built-in icons
+ */
+function createIconRegistry() {
+  const registry = new IconRegistry();
+  BUILTIN_ICONS.forEach(icon => registry.register(icon));
+  return registry;
+}
+
+// Shared registry used by the layout engine and the CLI
+const iconRegistry = createIconRegistry();
+
+module.exports = {
+  IconRegistry,
+  IconDefinitionSchema,
+  normalizeIconKey,
+  toExcalidrawFile,
+  createIconRegistry,
+  iconRegistry
+};
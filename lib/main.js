@@ -1,4 +1,13 @@
 const { executeArchitectureWorkflow } = require('./workflow/graph');
+const { ArchitectureSchema } = require('./core/schema');
+const { LayoutEngine } = require('./core/layout');
+const { ExcalidrawRenderer } = require('./core/renderer');
+const { DrawioRenderer } = require('./core/drawio');
+const { templateRegistry } = require('./templates/registry');
+const { iconRegistry } = require('./icons/registry');
+const { themeRegistry } = require('./themes/registry');
+const { getFormat } = require('./formats');
+const { classifyNodeTypes } = require('./workflow/nodes');
 
 
 /**
@@ -10,6 +19,116 @@ async function generateArchitectureDiagram(description) {
   return await executeArchitectureWorkflow(description);
 }
 
+// Final rendering stages of the shared layout
+const RENDERERS = {
+  excalidraw: ExcalidrawRenderer,
+  drawio: DrawioRenderer
+};
+
+/**
+ * Renders a semantic DSL document directly, without calling the LLM
+ * @param {Object} dsl - Architecture DSL matching ArchitectureSchema
+ * @param {Object} [options]
+ * @param {string|Object} [options.theme] - Theme name, JSON theme file or theme object; overrides layout.theme of the DSL
+ * @param {boolean} [options.legend] - Add a legend of the types in use; overrides layout.legend of the DSL
+ * @param {boolean} [options.deterministic=true] - Same DSL, same file: ids from DSL ids, hashed seeds, fixed timestamps
+ * @param {number|Date} [options.timestamp] - Time written to the elements, 0 by default in deterministic mode
+ * @param {string} [options.renderer='excalidraw'] - 'excalidraw', or 'drawio' for a draw.io page (mxGraphModel XML)
+ * @returns {Object|string} - Excalidraw diagram data, or draw.io page XML for toDrawioFile
+ * @throws {ZodError} - If the DSL does not match ArchitectureSchema
+ */
+function renderFromDSL(dsl, options = {}) {
+  const architecture = ArchitectureSchema.parse(dsl);
+  // Theme files come from the caller only, the DSL can name registered themes or inline objects
+  const theme = options.theme !== undefined && options.theme !== null
+    ? themeRegistry.resolve(options.theme, { files: true })
+    : themeRegistry.resolve(architecture.layout?.theme);
+  const layout = new LayoutEngine({ fontFamily: theme.fontFamily }).generateLayout(architecture);
+  const legend = options.legend ?? architecture.layout?.legend;
+  const { deterministic = true, timestamp, renderer = 'excalidraw' } = options;
+  const Renderer = RENDERERS[renderer];
+  if (!Renderer) {
+    throw new Error(`Unknown renderer '${renderer}'. Available renderers: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+  return new Renderer({ theme, legend, deterministic, timestamp }).render(layout);
+}
+
+/**
+ * Generates an architecture diagram from a semantic DSL document
+ * @param {Object} architecture - Architecture DSL matching ArchitectureSchema
+ * @param {Object} [options] - Render options, see renderFromDSL
+ * @returns {Promise<Object>} - Excalidraw diagram data
+ */
+async function generateArchitectureDiagramSemantic(architecture, options = {}) {
+  return renderFromDSL(architecture, options);
+}
+
+/**
+ * Generates an architecture diagram from a registered template
+ * @param {string} templateName - Template name, e.g. 'microservices'
+ * @param {Object} params - Template parameters, e.g. { frontend: 'React App' }
+ * @param {Object} [options] - Render options, see renderFromDSL
+ * @returns {Promise<Object>} - Excalidraw diagram data
+ */
+async function generateArchitectureDiagramFromTemplate(templateName, params = {}, options = {}) {
+  return renderFromDSL(templateRegistry.instantiate(templateName, params), options);
+}
+
+/**
+ * Registers every template found in a directory (.json or .js files)
+ * @param {string} directory - Directory containing template definitions
+ * @returns {string[]} - Names of the registered templates
+ */
+function registerTemplates(directory) {
+  return templateRegistry.loadDirectory(directory);
+}
+
+/**
+ * Registers every SVG icon found in a directory, see IconRegistry.loadDirectory
+ * @param {string} directory - Directory containing .svg files and an optional icons.json of aliases
+ * @returns {string[]} - Names of the registered icons
+ */
+function registerIcons(directory) {
+  return iconRegistry.loadDirectory(directory);
+}
+
+/**
+ * Registers a theme from a definition object or a JSON theme file
+ * @param {Object|string} theme - Theme definition (with a name) or path to a JSON theme file
+ * @returns {Object} - The complete theme, usable by name afterwards
+ */
+function registerTheme(theme) {
+  return typeof theme === 'string' ? themeRegistry.loadFile(theme) : themeRegistry.register(theme);
+}
+
+/**
+ * Imports a diagram of another format as semantic DSL, ready for renderFromDSL
+ * @param {string} format - Format name: 'mermaid', 'plantuml' (alias 'c4'), 'dot' (alias 'graphviz') or 'excalidraw'
+ * @param {string|Object} source - Diagram source; Excalidraw files can also be passed parsed
+ * @param {Object} [options]
+ * @param {boolean} [options.classify=false] - Let the LLM refine the node types guessed from shapes and labels
+ * @returns {Promise<Object>} - Architecture DSL
+ */
+async function importDiagram(format, source, options = {}) {
+  const dsl = getFormat(format).import(source);
+  return options.classify ? classifyNodeTypes(dsl) : dsl;
+}
+
+/**
+ * Imports a Mermaid flowchart as semantic DSL, see importDiagram
+ */
+async function importMermaid(source, options = {}) {
+  return importDiagram('mermaid', source, options);
+}
+
 module.exports = { 
   generateArchitectureDiagram,
+  generateArchitectureDiagramSemantic,
+  generateArchitectureDiagramFromTemplate,
+  renderFromDSL,
+  registerTemplates,
+  registerIcons,
+  registerTheme,
+  importDiagram,
+  importMermaid,
 };
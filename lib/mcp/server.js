@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { executeArchitectureWorkflow } = require('../workflow/graph');
+const { renderFromDSL } = require('../main');
+const { ArchitectureSchema } = require('../core/schema');
+const { convertToSvg } = require('../core/svg');
+const packageInfo = require('../../package.json');
+
+/**
+ * MCP Server - Exposes diagram generation as Model Context Protocol tools
+ * Tools: generate_diagram (natural language), render_dsl (semantic DSL), validate_dsl
+ */
+
+const DslInputSchema = z.union([z.string(), z.record(z.any())])
+  .describe('ArchitectureSchema document, as a JSON object or a JSON string');
+
+const OutputOptionsShape = {
+  includeSvg: z.boolean().optional().default(true).describe('Also convert the diagram to SVG'),
+  outputFile: z.string().optional().describe('Optional output path; the .excalidraw and .svg files are written with its name')
+};
+
+/**
+ * Convert Zod issues into a serializable list of validation errors
+ */
+function formatValidationIssues(zodError) {
+  return zodError.issues.map(issue => ({
+    path: issue.path.join('.'),
+    code: issue.code,
+    message: issue.message
+  }));
+}
+
+/**
+ * Build a structured tool error result
+ */
+function toolError(code, message, details = {}) {
+  const error = { error: code, message, ...details };
+  return {
+    isError: true,
+    content: [{ type: 'text', text: JSON.stringify(error, null, 2) }],
+    structuredContent: error
+  };
+}
+
+/**
+ * Parse and validate a DSL document passed as an object or JSON string
+ * @returns {{ success: boolean, data?: Object, error?: Object }}
+ */
+function parseDsl(dsl) {
+  let input = dsl;
+  if (typeof dsl === 'string') {
+    try {
+      input = JSON.parse(dsl);
+    } catch (error) {
+      return {
+        success: false,
+        error: toolError('invalid_json', `DSL is not valid JSON: ${error.message}`)
+      };
+    }
+  }
+
+  const result = ArchitectureSchema.safeParse(input);
+  if (!result.success) {
+    return {
+      success: false,
+      error: toolError('validation_failed', 'DSL does not match ArchitectureSchema', {
+        issues: formatValidationIssues(result.error)
+      })
+    };
+  }
+
+  return { success: true, data: result.data };
+}
+
+/**
+ * The .excalidraw and .svg files written for an output path; its .svg or .excalidraw extension is replaced,
+ * any other name gets both extensions appended
+ * @returns {{ excalidrawFile: string, svgFile: string }}
+ */
+function outputPaths(outputFile) {
+  const { dir, name, ext } = path.parse(outputFile);
+  const stem = ['.svg', '.excalidraw'].includes(ext.toLowerCase()) ? path.join(dir, name) : outputFile;
+  return { excalidrawFile: `${stem}.excalidraw`, svgFile: `${stem}.svg` };
+}
+
+/**
+ * Build the tool result for a rendered diagram, optionally converting to SVG and saving files
+ */
+async function diagramResult(excalidrawData, { includeSvg, outputFile }) {
+  const content = [
+    { type: 'text', text: JSON.stringify(excalidrawData, null, 2) }
+  ];
+
+  let svgData = null;
+  if (includeSvg || outputFile) {
+    try {
+      svgData = await convertToSvg(excalidrawData);
+      content.push({ type: 'text', text: svgData });
+    } catch (error) {
+      content.push({ type: 'text', text: `SVG conversion failed: ${error.message}` });
+    }
+  }
+
+  if (outputFile) {
+    const { excalidrawFile, svgFile } = outputPaths(outputFile);
+    fs.writeFileSync(excalidrawFile, JSON.stringify(excalidrawData, null, 2));
+    const saved = [excalidrawFile];
+    if (svgData) {
+      fs.writeFileSync(svgFile, svgData);
+      saved.push(svgFile);
+    }
+    content.push({ type: 'text', text: `Saved: ${saved.join(', ')}` });
+  }
+
+  return { content };
+}
+
+/**
+ * Create an MCP server with all diagram tools registered
+ * @returns {McpServer}
+ */
+function createMcpServer() {
+  const server = new McpServer({
+    name: packageInfo.name,
+    version: packageInfo.version
+  });
+
+  server.registerTool('generate_diagram', {
+    title: 'Generate architecture diagram',
+    description: 'Generate an Excalidraw architecture diagram from a natural language description. ' +
+      'Returns the .excalidraw JSON followed by the SVG. Requires an LLM (API_KEY, MODEL, BASE_URL).',
+    inputSchema: {
+      description: z.string().min(1).describe('Natural language description of the architecture'),
+      ...OutputOptionsShape
+    }
+  }, async ({ description, ...options }) => {
+    try {
+      const excalidrawData = await executeArchitectureWorkflow(description);
+      return await diagramResult(excalidrawData, options);
+    } catch (error) {
+      return toolError('generation_failed', error.message);
+    }
+  });
+
+  server.registerTool('render_dsl', {
+    title: 'Render architecture DSL',
+    description: 'Render an ArchitectureSchema DSL document (nodes, connections, groups, layout) ' +
+      'to Excalidraw without calling the LLM. Returns the .excalidraw JSON followed by the SVG.',
+    inputSchema: {
+      dsl: DslInputSchema,
+      ...OutputOptionsShape
+    }
+  }, async ({ dsl, ...options }) => {
+    const parsed = parseDsl(dsl);
+    if (!parsed.success) return parsed.error;
+
+    try {
+      const excalidrawData = renderFromDSL(parsed.data);
+      return await diagramResult(excalidrawData, options);
+    } catch (error) {
+      return toolError('render_failed', error.message);
+    }
+  });
+
+  server.registerTool('validate_dsl', {
+    title: 'Validate architecture DSL',
+    description: 'Validate an ArchitectureSchema DSL document and report schema errors without rendering.',
+    inputSchema: {
+      dsl: DslInputSchema
+    },
+    annotations: { readOnlyHint: true }
+  }, async ({ dsl }) => {
+    const parsed = parseDsl(dsl);
+    if (!parsed.success) return parsed.error;
+
+    const summary = {
+      valid: true,
+      nodes: parsed.data.nodes.length,
+      connections: parsed.data.connections.length,
+      groups: parsed.data.groups.length
+    };
+    return {
+      content: [{ type: 'text', text: JSON.stringify(summary, null, 2) }],
+      structuredContent: summary
+    };
+  });
+
+  return server;
+}
+
+/**
+ * Start the MCP server on stdio
+ */
+async function startMcpServer() {
+  const server = createMcpServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  return server;
+}
+
+module.exports = {
+  outputPaths,
+  createMcpServer,
+  startMcpServer
+};
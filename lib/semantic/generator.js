@@ -0,0 +1,66 @@
+const { ArchitectureSchema } = require('../core/schema');
+const { renderFromDSL } = require('../main');
+const { templateRegistry } = require('../templates/registry');
+
+/**
+ * Semantic Architecture Generator - Generates diagrams from semantic DSL or templates
+ * Skips the LLM workflow entirely: DSL / Template -> Layout -> Excalidraw Elements
+ */
+class SemanticArchitectureGenerator {
+  /**
+   * @param {Object} options
+   * @param {TemplateRegistry} [options.registry] - Template registry, defaults to the shared registry
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || templateRegistry;
+  }
+
+  /**
+   * Generate a diagram from a semantic DSL document
+   * @param {Object} architecture - Architecture DSL matching ArchitectureSchema
+   * @returns {Promise<Object>} Excalidraw diagram data
+   */
+  async generateDiagram(architecture) {
+    return renderFromDSL(architecture);
+  }
+
+  /**
+   * Generate a diagram from a registered template
+   * @param {string} templateName - Template name
+   * @param {Object} params - Template parameters
+   * @returns {Promise<Object>} Excalidraw diagram data
+   */
+  async generateFromTemplate(templateName, params = {}) {
+    return renderFromDSL(this.buildFromTemplate(templateName, params));
+  }
+
+  /**
+   * Instantiate a template to validated semantic DSL without rendering
+   * @param {string} templateName - Template name
+   * @param {Object} params - Template parameters
+   * @returns {Object} Architecture DSL
+   */
+  buildFromTemplate(templateName, params = {}) {
+    return ArchitectureSchema.parse(this.registry.instantiate(templateName, params));
+  }
+
+  /**
+   * Register a single template definition
+   */
+  registerTemplate(template) {
+    return this.registry.register(template);
+  }
+
+  /**
+   * Register all templates in a directory
+   */
+  loadTemplates(directory) {
+    return this.registry.loadDirectory(directory);
+  }
+
+  listTemplates() {
+    return this.registry.list();
+  }
+}
+
+module.exports = { SemanticArchitectureGenerator };
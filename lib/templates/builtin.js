@@ -0,0 +1,228 @@
+/**
+ * Built-in architecture templates
+ * Each template declares its parameters and builds a semantic DSL matching ArchitectureSchema
+ */
+
+/**
+ * Turn a label into a stable node id, e.g. "Order Service" -> "order_service"
+ */
+function slug(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+}
+
+/**
+ * Build list nodes with unique ids
+ */
+function listNodes(labels, type, prefix) {
+  const used = new Set();
+  return labels.map(label => {
+    let id = `${prefix}_${slug(label)}`;
+    for (let i = 2; used.has(id); i++) id = `${prefix}_${slug(label)}_${i}`;
+    used.add(id);
+    return { id, type, label };
+  });
+}
+
+const threeTier = {
+  name: 'three-tier',
+  description: 'Classic presentation / application / data tiers',
+  parameters: {
+    client: { description: 'End user or client', default: 'User' },
+    frontend: { description: 'Presentation tier', default: 'Web App' },
+    backend: { description: 'Application tier', default: 'API Server' },
+    database: { description: 'Data tier', default: 'PostgreSQL' }
+  },
+  build(params) {
+    const nodes = [
+      { id: 'client', type: 'actor', label: params.client },
+      { id: 'frontend', type: 'ui', label: params.frontend },
+      { id: 'backend', type: 'service', label: params.backend },
+      { id: 'database', type: 'database', label: params.database }
+    ];
+    const [client, frontend, backend, database] = nodes;
+
+    return {
+      nodes,
+      connections: [
+        { from: client.id, to: frontend.id, type: 'http', label: 'Browse' },
+        { from: frontend.id, to: backend.id, type: 'http', label: 'REST API' },
+        { from: backend.id, to: database.id, type: 'query', label: 'SQL' }
+      ],
+      groups: [
+        { id: 'presentation', label: 'Presentation Tier', type: 'layer', contains: [frontend.id] },
+        { id: 'application', label: 'Application Tier', type: 'layer', contains: [backend.id] },
+        { id: 'data', label: 'Data Tier', type: 'layer', contains: [database.id] }
+      ],
+      layout: { type: 'hierarchical', direction: 'TB' }
+    };
+  }
+};
+
+const microservices = {
+  name: 'microservices',
+  description: 'Frontend behind an API gateway routing to independent services',
+  parameters: {
+    frontend: { description: 'Client application', default: 'Web App' },
+    gateway: { description: 'API gateway', default: 'API Gateway' },
+    services: {
+      description: 'Comma-separated list of services',
+      type: 'list',
+      default: ['User Service', 'Order Service', 'Payment Service']
+    },
+    database: { description: 'Database shared by the services', default: 'PostgreSQL' },
+    broker: { description: 'Message broker for async events (empty to omit)', default: 'Message Broker' }
+  },
+  build(params) {
+    const frontend = { id: 'frontend', type: 'ui', label: params.frontend };
+    const gateway = { id: 'gateway', type: 'gateway', label: params.gateway };
+    const services = listNodes(params.services, 'service', 'svc');
+    const database = { id: 'database', type: 'database', label: params.database };
+    const broker = params.broker ? { id: 'broker', type: 'queue', label: params.broker } : null;
+
+    const connections = [
+      { from: frontend.id, to: gateway.id, type: 'http', label: 'HTTPS' }
+    ];
+    services.forEach(service => {
+      connections.push({ from: gateway.id, to: service.id, type: 'http' });
+      connections.push({ from: service.id, to: database.id, type: 'query' });
+      if (broker) {
+        connections.push({ from: service.id, to: broker.id, type: 'async', label: 'Events' });
+      }
+    });
+
+    return {
+      nodes: [frontend, gateway, ...services, database, ...(broker ? [broker] : [])],
+      connections,
+      groups: [
+        { id: 'services', label: 'Microservices', type: 'cluster', contains: services.map(node => node.id) }
+      ],
+      layout: { type: 'hierarchical', direction: 'TB' }
+    };
+  }
+};
+
+const eventDriven = {
+  name: 'event-driven',
+  description: 'Producer publishing events to a broker consumed by independent handlers',
+  parameters: {
+    producer: { description: 'Service emitting events', default: 'Order Service' },
+    broker: { description: 'Event bus or message broker', default: 'Event Bus' },
+    consumers: {
+      description: 'Comma-separated list of consuming services',
+      type: 'list',
+      default: ['Payment Service', 'Inventory Service', 'Notification Service']
+    },
+    store: { description: 'Event store (empty to omit)', default: 'Event Store' }
+  },
+  build(params) {
+    const producer = { id: 'producer', type: 'service', label: params.producer };
+    const broker = { id: 'broker', type: 'queue', label: params.broker };
+    const consumers = listNodes(params.consumers, 'service', 'consumer');
+    const store = params.store ? { id: 'store', type: 'database', label: params.store } : null;
+
+    const connections = [
+      { from: producer.id, to: broker.id, type: 'async', label: 'Publish' },
+      ...consumers.map(consumer => ({ from: broker.id, to: consumer.id, type: 'async', label: 'Subscribe' }))
+    ];
+    if (store) {
+      connections.push({ from: broker.id, to: store.id, type: 'data_flow', label: 'Persist' });
+    }
+
+    return {
+      nodes: [producer, broker, ...consumers, ...(store ? [store] : [])],
+      connections,
+      groups: [
+        { id: 'consumers', label: 'Consumers', type: 'cluster', contains: consumers.map(node => node.id) }
+      ],
+      layout: { type: 'hierarchical', direction: 'LR' }
+    };
+  }
+};
+
+const serverless = {
+  name: 'serverless',
+  description: 'API gateway invoking functions backed by managed storage',
+  parameters: {
+    client: { description: 'Client application', default: 'Mobile App' },
+    gateway: { description: 'API gateway', default: 'API Gateway' },
+    functions: {
+      description: 'Comma-separated list of functions',
+      type: 'list',
+      default: ['Auth Function', 'Orders Function']
+    },
+    database: { description: 'Managed database', default: 'DynamoDB' },
+    storage: { description: 'Object storage (empty to omit)', default: 'S3 Bucket' }
+  },
+  build(params) {
+    const client = { id: 'client', type: 'ui', label: params.client };
+    const gateway = { id: 'gateway', type: 'gateway', label: params.gateway };
+    const functions = listNodes(params.functions, 'service', 'fn');
+    const database = { id: 'database', type: 'database', label: params.database };
+    const storage = params.storage ? { id: 'storage', type: 'database', label: params.storage } : null;
+
+    const connections = [
+      { from: client.id, to: gateway.id, type: 'http', label: 'HTTPS' }
+    ];
+    functions.forEach(fn => {
+      connections.push({ from: gateway.id, to: fn.id, type: 'sync', label: 'Invoke' });
+      connections.push({ from: fn.id, to: database.id, type: 'query' });
+      if (storage) {
+        connections.push({ from: fn.id, to: storage.id, type: 'data_flow' });
+      }
+    });
+
+    return {
+      nodes: [client, gateway, ...functions, database, ...(storage ? [storage] : [])],
+      connections,
+      groups: [
+        { id: 'functions', label: 'Functions', type: 'cluster', contains: functions.map(node => node.id) }
+      ],
+      layout: { type: 'hierarchical', direction: 'TB' }
+    };
+  }
+};
+
+const dataPipeline = {
+  name: 'data-pipeline',
+  description: 'Sources flowing through ingestion and processing into storage and dashboards',
+  parameters: {
+    sources: {
+      description: 'Comma-separated list of data sources',
+      type: 'list',
+      default: ['Application DB', 'Clickstream']
+    },
+    ingestion: { description: 'Ingestion / streaming layer', default: 'Kafka' },
+    processing: { description: 'Processing engine', default: 'Spark' },
+    storage: { description: 'Raw storage', default: 'Data Lake' },
+    warehouse: { description: 'Analytical warehouse', default: 'Data Warehouse' },
+    dashboard: { description: 'Consumer of the data', default: 'BI Dashboard' }
+  },
+  build(params) {
+    const sources = listNodes(params.sources, 'external', 'source');
+    const ingestion = { id: 'ingestion', type: 'queue', label: params.ingestion };
+    const processing = { id: 'processing', type: 'service', label: params.processing };
+    const storage = { id: 'storage', type: 'database', label: params.storage };
+    const warehouse = { id: 'warehouse', type: 'database', label: params.warehouse };
+    const dashboard = { id: 'dashboard', type: 'ui', label: params.dashboard };
+
+    return {
+      nodes: [...sources, ingestion, processing, storage, warehouse, dashboard],
+      connections: [
+        ...sources.map(source => ({ from: source.id, to: ingestion.id, type: 'data_flow', label: 'Ingest' })),
+        { from: ingestion.id, to: processing.id, type: 'data_flow', label: 'Stream' },
+        { from: processing.id, to: storage.id, type: 'data_flow', label: 'Raw' },
+        { from: processing.id, to: warehouse.id, type: 'data_flow', label: 'Curated' },
+        { from: dashboard.id, to: warehouse.id, type: 'query', label: 'SQL' }
+      ],
+      groups: [
+        { id: 'sources', label: 'Sources', type: 'layer', contains: sources.map(node => node.id) },
+        { id: 'storage_layer', label: 'Storage', type: 'layer', contains: [storage.id, warehouse.id] }
+      ],
+      layout: { type: 'hierarchical', direction: 'LR' }
+    };
+  }
+};
+
+const BUILTIN_TEMPLATES = [threeTier, microservices, eventDriven, serverless, dataPipeline];
+
+module.exports = { BUILTIN_TEMPLATES };
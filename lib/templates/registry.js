@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { BUILTIN_TEMPLATES } = require('./builtin');
+
+/**
+ * Template Registry - Parameterized architecture templates that produce semantic DSL
+ * Templates are either declarative (`dsl` with {{param}} placeholders) or programmatic (`build(params)`)
+ */
+
+const TemplateParameterSchema = z.object({
+  description: z.string().optional(),
+  type: z.enum(['string', 'list']).optional().default('string'),
+  default: z.union([z.string(), z.array(z.string())]).optional()
+});
+
+const TemplateDefinitionSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Template names use lowercase letters, digits and dashes'),
+  description: z.string().optional().default(''),
+  parameters: z.record(TemplateParameterSchema).optional().default({}),
+  dsl: z.record(z.any()).optional(),
+  build: z.function().optional()
+}).refine(template => template.dsl || template.build, {
+  message: 'Template must define either `dsl` or `build(params)`'
+});
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+class TemplateRegistry {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  /**
+   * Register a template definition, replacing any template with the same name
+   * @param {Object} template - Template definition
+   * @returns {Object} Validated template
+   */
+  register(template) {
+    const validated = TemplateDefinitionSchema.parse(template);
+    this.templates.set(validated.name, validated);
+    return validated;
+  }
+
+  /**
+   * Load every .json and .js template in a directory
+   * @param {string} directory - Directory containing template files
+   * @returns {string[]} Names of the registered templates
+   */
+  loadDirectory(directory) {
+    const resolved = path.resolve(directory);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Template directory not found: ${directory}`);
+    }
+
+    const registered = [];
+    fs.readdirSync(resolved).sort().forEach(file => {
+      const filePath = path.join(resolved, file);
+      const ext = path.extname(file);
+      let definitions;
+
+      if (ext === '.json') {
+        definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } else if (ext === '.js') {
+        definitions = require(filePath);
+      } else {
+        return;
+      }
+
+      [].concat(definitions).forEach(definition => {
+        try {
+          registered.push(this.register(definition).name);
+        } catch (error) {
+          throw new Error(`Invalid template in ${filePath}: ${error.message}`);
+        }
+      });
+    });
+
+    return registered;
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  get(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown template '${name}'. Available templates: ${this.names().join(', ')}`);
+    }
+    return template;
+  }
+
+  names() {
+    return [...this.templates.keys()];
+  }
+
+  /**
+   * List templates with their parameters for help output
+   */
+  list() {
+    return [...this.templates.values()].map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Resolve user-supplied values against the template parameter definitions
+   */
+  resolveParameters(template, values = {}) {
+    const unknown = Object.keys(values).filter(key => !template.parameters[key]);
+    if (unknown.length > 0) {
+      const available = Object.keys(template.parameters).join(', ') || 'none';
+      throw new Error(`Unknown parameter(s) for template '${template.name}': ${unknown.join(', ')}. Available: ${available}`);
+    }
+
+    const params = {};
+    Object.entries(template.parameters).forEach(([key, definition]) => {
+      const value = values[key] !== undefined ? values[key] : definition.default;
+      if (value === undefined) {
+        throw new Error(`Missing required parameter '${key}' for template '${template.name}'`);
+      }
+
+      if (definition.type === 'list') {
+        params[key] = Array.isArray(value)
+          ? value
+          : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      } else {
+        params[key] = Array.isArray(value) ? value.join(', ') : String(value);
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * Produce the semantic DSL for a template
+   * @param {string} name - Template name
+   * @param {Object} values - Parameter values, e.g. { frontend: 'React App' }
+   * @returns {Object} Architecture DSL (not yet validated)
+   */
+  instantiate(name, values = {}) {
+    const template = this.get(name);
+    const params = this.resolveParameters(template, values);
+
+    if (template.build) {
+      return template.build(params);
+    }
+    return substitutePlaceholders(template.dsl, params);
+  }
+}
+
+/**
+ * Replace {{param}} placeholders in every string of a declarative template
+ */
+function substitutePlaceholders(value, params) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      if (params[key] === undefined) return match;
+      return Array.isArray(params[key]) ? params[key].join(', ') : params[key];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitutePlaceholders(item, params));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substitutePlaceholders(item, params)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Create a registry pre-populated with the built-in templates
+ */
+function createTemplateRegistry() {
+  const registry = new TemplateRegistry();
+  BUILTIN_TEMPLATES.forEach(template => registry.register(template));
+  return registry;
+}
+
+// Shared registry used by the library functions and the CLI
+const templateRegistry = createTemplateRegistry();
+
+module.exports = {
+  TemplateRegistry,
+  TemplateDefinitionSchema,
+  createTemplateRegistry,
+  templateRegistry
+};
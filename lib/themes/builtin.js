@@ -0,0 +1,127 @@
+const { NODE_STYLES, CONNECTION_STYLES } = require('../core/schema');
+
+/**
+ * Built-in themes
+ * Themes only choose colours and drawing styles; shapes and sizes stay in NODE_STYLES.
+ * Every theme except default extends another one and lists only what it changes.
+ */
+
+/**
+ * Pick the colour fields of a style map, e.g. NODE_STYLES -> { actor: { fillColor, strokeColor } }
+ */
+function pickColors(styles, fields) {
+  return Object.fromEntries(
+    Object.entries(styles).map(([type, style]) => [type, Object.fromEntries(fields.map(field => [field, style[field]]))])
+  );
+}
+
+/**
+ * Same style for every node or connection type
+ */
+function uniform(types, style) {
+  return Object.fromEntries(Object.keys(types).map(type => [type, { ...style }]));
+}
+
+const defaultTheme = {
+  name: 'default',
+  description: 'Hand-drawn pastel style',
+  background: '#ffffff',
+  fontFamily: 1,
+  roughness: 1,
+  strokeWidth: 2,
+  strokeSharpness: 'sharp',
+  text: { color: '#000000' },
+  nodes: pickColors(NODE_STYLES, ['fillColor', 'strokeColor']),
+  connections: pickColors(CONNECTION_STYLES, ['strokeColor', 'strokeStyle']),
+  connectionLabels: { color: '#000000', backgroundColor: '#ffffff' },
+  groups: {
+    strokeColor: '#cccccc',
+    backgroundColor: 'transparent',
+    strokeStyle: 'dashed',
+    strokeWidth: 1,
+    opacity: 50,
+    labelColor: '#666666'
+  },
+  badges: { backgroundColor: '#ffffff' }
+};
+
+const dark = {
+  name: 'dark',
+  extends: 'default',
+  description: 'Light strokes on a dark canvas',
+  background: '#121212',
+  text: { color: '#e0e0e0' },
+  nodes: {
+    actor: { fillColor: '#0d3a52', strokeColor: '#4fc3f7' },
+    service: { fillColor: '#3a1f4a', strokeColor: '#ce93d8' },
+    database: { fillColor: '#1b3d1f', strokeColor: '#81c784' },
+    queue: { fillColor: '#4a2e0a', strokeColor: '#ffb74d' },
+    cache: { fillColor: '#4a1529', strokeColor: '#f48fb1' },
+    gateway: { fillColor: '#0f3b37', strokeColor: '#4db6ac' },
+    ui: { fillColor: '#10304f', strokeColor: '#64b5f6' },
+    external: { fillColor: '#2c2c2c', strokeColor: '#bdbdbd' }
+  },
+  connections: {
+    http: { strokeColor: '#e0e0e0' },
+    async: { strokeColor: '#4fc3f7' },
+    query: { strokeColor: '#81c784' },
+    sync: { strokeColor: '#ce93d8' },
+    data_flow: { strokeColor: '#ffb74d' },
+    none: { strokeColor: '#9e9e9e' }
+  },
+  connectionLabels: { color: '#e0e0e0', backgroundColor: '#121212' },
+  groups: { strokeColor: '#616161', labelColor: '#9e9e9e' },
+  badges: { backgroundColor: '#1e1e1e' }
+};
+
+const monochrome = {
+  name: 'monochrome',
+  extends: 'default',
+  aliases: ['print'],
+  description: 'Black and white for printing; connection types differ by line style',
+  nodes: uniform(NODE_STYLES, { fillColor: '#ffffff', strokeColor: '#000000' }),
+  connections: {
+    http: { strokeColor: '#000000', strokeStyle: 'solid' },
+    async: { strokeColor: '#000000', strokeStyle: 'dashed' },
+    query: { strokeColor: '#000000', strokeStyle: 'dotted' },
+    sync: { strokeColor: '#000000', strokeStyle: 'solid' },
+    data_flow: { strokeColor: '#000000', strokeStyle: 'dashed' },
+    none: { strokeColor: '#757575', strokeStyle: 'solid' }
+  },
+  groups: { strokeColor: '#757575', opacity: 100, labelColor: '#424242' }
+};
+
+const highContrast = {
+  name: 'high-contrast',
+  extends: 'default',
+  description: 'Bold black outlines on saturated fills for low-vision readers and projectors',
+  strokeWidth: 4,
+  nodes: {
+    ...uniform(NODE_STYLES, { strokeColor: '#000000' }),
+    actor: { fillColor: '#ffff00', strokeColor: '#000000' },
+    service: { fillColor: '#ffffff', strokeColor: '#000000' },
+    database: { fillColor: '#00e5ff', strokeColor: '#000000' },
+    queue: { fillColor: '#ffab00', strokeColor: '#000000' },
+    cache: { fillColor: '#ff80ab', strokeColor: '#000000' },
+    gateway: { fillColor: '#76ff03', strokeColor: '#000000' },
+    ui: { fillColor: '#ffffff', strokeColor: '#000000' },
+    external: { fillColor: '#e0e0e0', strokeColor: '#000000' }
+  },
+  connections: uniform(CONNECTION_STYLES, { strokeColor: '#000000' }),
+  groups: { strokeColor: '#000000', strokeWidth: 2, opacity: 100, labelColor: '#000000' },
+  badges: { backgroundColor: '#ffffff' }
+};
+
+const clean = {
+  name: 'clean',
+  extends: 'default',
+  description: 'Straight lines, rounded corners and a sans-serif font',
+  fontFamily: 2,
+  roughness: 0,
+  strokeSharpness: 'round',
+  groups: { strokeColor: '#bdbdbd', opacity: 100 }
+};
+
+const BUILTIN_THEMES = [defaultTheme, dark, monochrome, highContrast, clean];
+
+module.exports = { BUILTIN_THEMES };
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { BUILTIN_THEMES } = require('./builtin');
+
+/**
+ * Theme Registry - Colours and drawing styles applied by the renderer
+ * A theme extends another one (default unless stated) and overrides only the fields it sets,
+ * so a corporate theme file can be as small as a few node colours
+ */
+
+const ColorSchema = z.string();
+
+const NodeColorsSchema = z.object({
+  fillColor: ColorSchema.optional(),
+  strokeColor: ColorSchema.optional(),
+  textColor: ColorSchema.optional()
+});
+
+const ConnectionStyleSchema = z.object({
+  strokeColor: ColorSchema.optional(),
+  strokeStyle: z.enum(['solid', 'dashed', 'dotted']).optional()
+});
+
+const ThemeDefinitionSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Theme names use lowercase letters, digits and dashes'),
+  extends: z.string().optional(),
+  aliases: z.array(z.string()).optional(),
+  description: z.string().optional(),
+  background: ColorSchema.optional(),
+  fontFamily: z.union([z.literal(1), z.literal(2), z.literal(3)]).optional().describe('Excalidraw font: 1 Virgil, 2 Helvetica, 3 Cascadia'),
+  roughness: z.number().min(0).max(2).optional().describe('0 straight lines, 1 sketchy, 2 very sketchy'),
+  strokeWidth: z.number().positive().optional(),
+  strokeSharpness: z.enum(['sharp', 'round']).optional(),
+  text: z.object({ color: ColorSchema.optional() }).optional(),
+  nodes: z.record(NodeColorsSchema).optional(),
+  connections: z.record(ConnectionStyleSchema).optional(),
+  connectionLabels: z.object({
+    color: ColorSchema.optional(),
+    backgroundColor: ColorSchema.optional()
+  }).optional(),
+  groups: z.object({
+    strokeColor: ColorSchema.optional(),
+    backgroundColor: ColorSchema.optional(),
+    strokeStyle: z.enum(['solid', 'dashed', 'dotted']).optional(),
+    strokeWidth: z.number().positive().optional(),
+    opacity: z.number().min(0).max(100).optional(),
+    labelColor: ColorSchema.optional()
+  }).optional(),
+  badges: z.object({ backgroundColor: ColorSchema.optional() }).optional()
+});
+
+// Inline themes in the DSL or passed to the API do not need a name
+const InlineThemeSchema = ThemeDefinitionSchema.extend({ name: ThemeDefinitionSchema.shape.name.optional() });
+
+/**
+ * Deep merge of plain objects; arrays and values from override replace those of base
+ */
+function mergeTheme(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    const current = merged[key];
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) && current && typeof current === 'object'
+      ? mergeTheme(current, value)
+      : value;
+  });
+  return merged;
+}
+
+class ThemeRegistry {
+  constructor() {
+    this.themes = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register a theme definition, replacing any theme with the same name
+   * The definition is resolved against the theme it extends right away
+   * @param {Object} theme - Theme definition
+   * @returns {Object} Complete theme
+   */
+  register(theme) {
+    const validated = ThemeDefinitionSchema.parse(theme);
+    const resolved = this.resolveDefinition(validated);
+    this.themes.set(resolved.name, resolved);
+    (validated.aliases || []).forEach(alias => this.aliases.set(alias, resolved.name));
+    return resolved;
+  }
+
+  /**
+   * Register a theme from a JSON file, named after the file unless it sets a name
+   * @param {string} file - Path to a JSON theme definition
+   * @returns {Object} Complete theme
+   */
+  loadFile(file) {
+    return this.register(this.readFile(file));
+  }
+
+  /**
+   * Read and validate a JSON theme file without registering it
+   * @returns {Object} Theme definition
+   */
+  readFile(file) {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Theme file not found: ${file}`);
+    }
+
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid theme file ${file}: ${error.message}`);
+    }
+
+    try {
+      return ThemeDefinitionSchema.parse({ name: path.basename(resolved, path.extname(resolved)).toLowerCase(), ...definition });
+    } catch (error) {
+      throw new Error(`Invalid theme in ${file}: ${error.message}`);
+    }
+  }
+
+  has(name) {
+    return this.themes.has(name) || this.aliases.has(name);
+  }
+
+  get(name) {
+    const theme = this.themes.get(this.aliases.get(name) || name);
+    if (!theme) {
+      throw new Error(`Unknown theme '${name}'. Available themes: ${this.names().join(', ')}`);
+    }
+    return theme;
+  }
+
+  names() {
+    return [...this.themes.keys()];
+  }
+
+  list() {
+    return [...this.themes.values()].map(({ name, description }) => ({ name, description }));
+  }
+
+  /**
+   * Complete theme for a theme name, a .json theme file or an inline theme object
+   * Files and inline objects are used for this diagram only, not registered.
+   * Files are only read when the caller allows it: a theme named in a DSL document, which may come
+   * from an MCP client, must not read files from disk.
+   * @param {string|Object} [theme] - Defaults to the default theme
+   * @param {Object} [options]
+   * @param {boolean} [options.files=false] - Read a .json theme file, for the CLI --theme flag and API options
+   * @returns {Object}
+   * @throws {Error} - If the theme is unknown, or a file that may not be read
+   */
+  resolve(theme, { files = false } = {}) {
+    if (theme === undefined || theme === null) {
+      return this.get('default');
+    }
+    if (typeof theme === 'string') {
+      if (!this.has(theme) && path.extname(theme).toLowerCase() === '.json') {
+        if (!files) {
+          throw new Error(`Theme file '${theme}' cannot be named in the DSL; pass it with --theme, the theme option or registerTheme`);
+        }
+        return this.resolveDefinition(this.readFile(theme));
+      }
+      return this.get(theme);
+    }
+    return this.resolveDefinition(InlineThemeSchema.parse(theme));
+  }
+
+  /**
+   * Merge a definition onto the theme it extends
+   */
+  resolveDefinition(definition) {
+    const { extends: baseName, aliases, ...overrides } = definition;
+    if (!baseName && this.themes.size === 0) {
+      return overrides;
+    }
+    const base = this.get(baseName || 'default');
+    return mergeTheme(base, { name: base.name, ...overrides });
+  }
+}
+
+/**
+ * Create a registry pre-populated with the built-in themes
+ */
+function createThemeRegistry() {
+  const registry = new ThemeRegistry();
+  BUILTIN_THEMES.forEach(theme => registry.register(theme));
+  return registry;
+}
+
+// Shared registry used by the library functions and the CLI
+const themeRegistry = createThemeRegistry();
+
+module.exports = {
+  ThemeRegistry,
+  ThemeDefinitionSchema,
+  createThemeRegistry,
+  themeRegistry
+};
@@ -1,7 +1,8 @@
 const { ChatOpenAI } = require('@langchain/openai');
-const { ArchitectureSchema, LLMAnalysisSchema, LLMComponentsSchema, LLMRelationshipsSchema } = require('../core/schema');
+const { ArchitectureSchema, LLMAnalysisSchema, LLMComponentsSchema, LLMRelationshipsSchema, LLMNodeTypesSchema } = require('../core/schema');
 const { LayoutEngine } = require('../core/layout');
 const { ExcalidrawRenderer } = require('../core/renderer');
+const { themeRegistry } = require('../themes/registry');
 
 /**
  * Initialize LLM for workflow nodes
@@ -15,6 +16,16 @@ const llm = new ChatOpenAI({
   temperature: 0.7,
 });
 
+const NODE_TYPE_GUIDELINES = `Component type guidelines:
+- actor: Users, external systems, clients
+- service: APIs, microservices, business logic
+- database: SQL/NoSQL databases, data stores
+- queue: Message queues, event buses
+- cache: Redis, memcached, caching layers
+- gateway: API gateways, load balancers
+- ui: Web frontends, mobile apps
+- external: Third-party services, external APIs`;
+
 /**
  * Architecture analysis node
  * Analyzes the input description to determine architecture type, complexity, and domain
@@ -75,15 +86,7 @@ async function identifyComponents(state) {
 Identify all components/services in this architecture description:
 "${state.description}"
 
-Component type guidelines:
-- actor: Users, external systems, clients
-- service: APIs, microservices, business logic
-- database: SQL/NoSQL databases, data stores
-- queue: Message queues, event buses
-- cache: Redis, memcached, caching layers
-- gateway: API gateways, load balancers
-- ui: Web frontends, mobile apps
-- external: Third-party services, external APIs`;
+${NODE_TYPE_GUIDELINES}`;
 
   try {
     const components = await structuredLlm.invoke(prompt);
@@ -250,13 +253,14 @@ async function renderDiagram(state) {
 
     // Step 2: Generate layout
     console.log('Step 2: Generating layout...');
-    const layoutEngine = new LayoutEngine();
+    const theme = themeRegistry.resolve(validatedArchitecture.layout?.theme);
+    const layoutEngine = new LayoutEngine({ fontFamily: theme.fontFamily });
     const layout = layoutEngine.generateLayout(validatedArchitecture);
     console.log(`✓ Generated layout with bounds: ${layout.bounds.width}x${layout.bounds.height}`);
 
     // Step 3: Render to Excalidraw
     console.log('Step 3: Rendering to Excalidraw format...');
-    const renderer = new ExcalidrawRenderer();
+    const renderer = new ExcalidrawRenderer({ theme, legend: validatedArchitecture.layout?.legend });
     const excalidrawData = renderer.render(layout);
     console.log(`✓ Generated ${excalidrawData.elements.length} Excalidraw elements`);
     
@@ -277,6 +281,53 @@ async function renderDiagram(state) {
   }
 }
 
+/**
+ * Node type classification for imported diagrams
+ * Importers guess node types from shapes and labels; the LLM refines the guesses from the labels,
+ * technologies and the connections around each node. Keeps the guesses if the LLM call fails.
+ * Progress goes to stderr, as the CLI may be writing the DSL to stdout.
+ * @param {Object} dsl - Architecture DSL
+ * @returns {Promise<Object>} The DSL with updated node types
+ */
+async function classifyNodeTypes(dsl) {
+  console.error('🏷️ Classifying node types...');
+
+  const flatten = nodes => nodes.flatMap(node => [node, ...flatten(node.nodes || [])]);
+  const nodes = flatten(dsl.nodes);
+  const nodeList = nodes.map(node => {
+    const technologies = node.technologies?.length ? ` [${node.technologies.join(', ')}]` : '';
+    return `- ${node.id}: "${node.label}"${technologies} (guess: ${node.type})`;
+  }).join('\n');
+  const connectionList = dsl.connections.map(c => `- ${c.from} -> ${c.to}${c.label ? ` (${c.label})` : ''}`).join('\n');
+
+  const prompt = `These components were imported from an existing diagram. Assign each one the component type that fits it best.
+The guess comes from the shapes and labels of the original diagram and may be wrong.
+
+Components:
+${nodeList}
+
+Connections:
+${connectionList || '(none)'}
+
+${NODE_TYPE_GUIDELINES}`;
+
+  try {
+    const result = await llm.withStructuredOutput(LLMNodeTypesSchema).invoke(prompt);
+    const types = Object.fromEntries(result.nodes.map(node => [node.id, node.type]));
+    const classify = node => ({
+      ...node,
+      type: types[node.id] || node.type,
+      ...(node.nodes ? { nodes: node.nodes.map(classify) } : {})
+    });
+    const changed = nodes.filter(node => types[node.id] && types[node.id] !== node.type).length;
+    console.error(`✓ Classified ${nodes.length} nodes, ${changed} type(s) changed`);
+    return { ...dsl, nodes: dsl.nodes.map(classify) };
+  } catch (error) {
+    console.error('⚠️ Node type classification failed, keeping the guessed types:', error.message);
+    return dsl;
+  }
+}
+
 /**
  * Error handling node
  * Handles errors and determines retry strategy
@@ -308,5 +359,6 @@ module.exports = {
   selectLayout,
   generateDSL,
   renderDiagram,
-  handleError
+  handleError,
+  classifyNodeTypes
 };
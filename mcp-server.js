@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// stdout carries the MCP protocol; route all progress logs to stderr
+console.log = console.error;
+
+require('dotenv').config({ override: true, path: ['.env.local', '.env'] });
+const { startMcpServer } = require('./lib/mcp/server');
+
+startMcpServer()
+  .then(() => console.error('draw-arch MCP server running on stdio'))
+  .catch(error => {
+    console.error('❌ Failed to start MCP server:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SaxesParser } = require('saxes');
+const { LayoutEngine } = require('../lib/core/layout');
+const { ArchitectureSchema } = require('../lib/core/schema');
+const { DrawioRenderer, toDrawioFile } = require('../lib/core/drawio');
+const { renderFromDSL } = require('../lib/main');
+const { randomArchitecture } = require('./helpers');
+
+const DIRECTIONS = ['TB', 'LR', 'RL', 'BT'];
+
+/**
+ * Random architectures with groups and sub-components, each direction in turn
+ */
+function architectures(count) {
+  return Array.from({ length: count }, (_, index) =>
+    randomArchitecture(index + 1, { direction: DIRECTIONS[index % DIRECTIONS.length] }, { groups: true, subComponents: true })
+  );
+}
+
+/**
+ * Parse XML into { name, attributes, children } elements; throws on malformed XML
+ */
+function parseXml(xml) {
+  const root = { children: [] };
+  const stack = [root];
+  const parser = new SaxesParser();
+  parser.on('opentag', tag => {
+    const element = { name: tag.name, attributes: tag.attributes, children: [] };
+    stack[stack.length - 1].children.push(element);
+    stack.push(element);
+  });
+  parser.on('closetag', () => stack.pop());
+  parser.write(xml).close();
+  return root.children[0];
+}
+
+/**
+ * Cells of an mxGraphModel by id; a UserObject gives the id and label of the mxCell it wraps
+ */
+function cellsOf(model) {
+  const [root] = model.children;
+  const cells = new Map();
+  root.children.forEach(element => {
+    const cell = element.name === 'UserObject' ? element.children[0] : element;
+    const id = element.attributes.id;
+    assert.ok(!cells.has(id), `duplicate cell id ${id}`);
+    const geometry = cell.children.find(child => child.name === 'mxGeometry');
+    cells.set(id, {
+      ...cell.attributes,
+      id,
+      value: element.name === 'UserObject' ? element.attributes.label : cell.attributes.value,
+      tooltip: element.attributes.tooltip,
+      geometry: geometry && geometry.attributes
+    });
+  });
+  return cells;
+}
+
+/**
+ * Absolute position of a vertex: its geometry plus that of every container above it
+ */
+function absolutePosition(cells, id) {
+  let x = 0;
+  let y = 0;
+  for (let cell = cells.get(id); cell && cell.geometry && cell.vertex; cell = cells.get(cell.parent)) {
+    x += Number(cell.geometry.x);
+    y += Number(cell.geometry.y);
+  }
+  return { x, y };
+}
+
+test('draw.io pages are well-formed XML whose parents, sources and targets are existing cells', () => {
+  const pages = architectures(20).map((dsl, index) => renderFromDSL(dsl, { renderer: 'drawio', legend: index % 2 === 0 }));
+  const file = parseXml(toDrawioFile(pages));
+  assert.strictEqual(file.name, 'mxfile');
+  assert.strictEqual(file.children.length, pages.length);
+
+  file.children.forEach(diagram => {
+    const cells = cellsOf(diagram.children[0]);
+    cells.forEach(cell => {
+      if (cell.id !== '0') assert.ok(cells.has(cell.parent), `${cell.id}: parent ${cell.parent} does not exist`);
+      if (cell.source) assert.ok(cells.get(cell.source)?.vertex, `${cell.id}: source ${cell.source} is not a vertex`);
+      if (cell.target) assert.ok(cells.get(cell.target)?.vertex, `${cell.id}: target ${cell.target} is not a vertex`);
+    });
+  });
+});
+
+test('draw.io members of groups and sub-components are placed relative to their container', () => {
+  architectures(20).forEach((dsl, index) => {
+    const layout = new LayoutEngine().generateLayout(ArchitectureSchema.parse(dsl));
+    const cells = cellsOf(parseXml(new DrawioRenderer().render(layout)));
+
+    (layout.groups || []).forEach(group => {
+      const position = absolutePosition(cells, `group_${group.id}`);
+      assert.ok(Math.abs(position.x - group.x) <= 1 && Math.abs(position.y - group.y) <= 1, `architecture ${index + 1}: group ${group.id}`);
+    });
+    // Actors are drawn as a smaller figure above their label, unless they hold sub-components
+    const checkNodes = (nodes, parentCell) => nodes.forEach(node => {
+      const cell = cells.get(`node_${node.id}`);
+      if (parentCell) assert.strictEqual(cell.parent, parentCell, `architecture ${index + 1}: ${node.id} is not inside its parent`);
+      if (node.type !== 'actor' || node.nodes?.length > 0) {
+        const position = absolutePosition(cells, cell.id);
+        assert.ok(Math.abs(position.x - node.x) <= 1 && Math.abs(position.y - node.y) <= 1, `architecture ${index + 1}: node ${node.id}`);
+      }
+      checkNodes(node.nodes || [], cell.id);
+    });
+    checkNodes(layout.nodes);
+  });
+});
+
+test('draw.io labels and tooltips with markup characters are escaped', () => {
+  const dsl = {
+    nodes: [
+      { id: 'api', type: 'service', label: 'Orders <API> & "Jobs"', technologies: ['C&C'], description: 'Reads "orders" & <items>' },
+      { id: 'db', type: 'database', label: 'DB' }
+    ],
+    connections: [{ from: 'api', to: 'db', type: 'query', label: 'a < b & "c"' }],
+    groups: [{ id: 'core', label: 'R&D <core>', contains: ['api', 'db'] }]
+  };
+  const cells = cellsOf(parseXml(renderFromDSL(dsl, { renderer: 'drawio' })));
+
+  const api = cells.get('node_api');
+  assert.ok(api.value.startsWith('Orders &lt;API&gt; &amp; "Jobs"<br>'), api.value);
+  assert.ok(api.value.includes('C&amp;C'), api.value);
+  assert.strictEqual(api.tooltip, 'Reads "orders" & <items>');
+  assert.strictEqual(cells.get('group_core').value, 'R&amp;D &lt;core&gt;');
+  assert.strictEqual(cells.get('edge_api_db').value, 'a &lt; b &amp; "c"');
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchitectureSchema } = require('../lib/core/schema');
+const { toMermaid, fromMermaid } = require('../lib/formats/mermaid');
+const { toC4PlantUML, fromPlantUML } = require('../lib/formats/plantuml');
+const { toDot, fromDot } = require('../lib/formats/dot');
+const { fromExcalidraw } = require('../lib/formats/excalidraw');
+const { renderFromDSL } = require('../lib/main');
+const { randomArchitecture, comparableDSL } = require('./helpers');
+
+const DIRECTIONS = ['TB', 'LR', 'RL', 'BT'];
+
+/**
+ * Random architectures with groups and sub-components, each direction in turn
+ */
+function architectures(count) {
+  return Array.from({ length: count }, (_, index) =>
+    randomArchitecture(index + 1, { direction: DIRECTIONS[index % DIRECTIONS.length] }, { groups: true, subComponents: true })
+  );
+}
+
+function assertRoundTrip(dsl, convert) {
+  assert.deepStrictEqual(comparableDSL(convert(dsl)), comparableDSL(ArchitectureSchema.parse(dsl)));
+}
+
+test('Mermaid round-trip keeps ids, types, technologies, groups and direction', () => {
+  architectures(40).forEach(dsl => assertRoundTrip(dsl, architecture => fromMermaid(toMermaid(architecture))));
+});
+
+test('Mermaid round-trip without styles keeps nodes with sub-components', () => {
+  const dsl = {
+    nodes: [
+      {
+        id: 'edge',
+        type: 'gateway',
+        label: 'Edge',
+        technologies: ['Kong'],
+        nodes: [{ id: 'auth', type: 'service', label: 'Auth' }, { id: 'limits', type: 'cache', label: 'Limits' }]
+      },
+      { id: 'db', type: 'database', label: 'Orders DB' }
+    ],
+    connections: [{ from: 'auth', to: 'db', type: 'query' }],
+    layout: { direction: 'LR' }
+  };
+  assertRoundTrip(dsl, architecture => fromMermaid(toMermaid(architecture, { styles: false })));
+});
+
+test('C4-PlantUML round-trip keeps ids, types, technologies, groups and direction', () => {
+  architectures(40).forEach(dsl => assertRoundTrip(dsl, architecture => fromPlantUML(toC4PlantUML(architecture))));
+});
+
+test('C4-PlantUML round-trip keeps services whose technologies name other types', () => {
+  const dsl = {
+    nodes: [
+      { id: 'user', type: 'actor', label: 'Customer', technologies: ['iOS'], description: 'Places orders' },
+      { id: 'orders', type: 'service', label: 'Orders', technologies: ['PostgreSQL 15', 'Redis'] }
+    ],
+    connections: [{ from: 'user', to: 'orders', type: 'http' }],
+    layout: { direction: 'RL' }
+  };
+  const imported = fromPlantUML(toC4PlantUML(dsl));
+  assertRoundTrip(dsl, () => imported);
+  assert.strictEqual(imported.nodes[0].description, 'Places orders');
+});
+
+test('PlantUML import reads left-pointing arrows and macro calls over several lines', () => {
+  const dsl = fromPlantUML([
+    '@startuml',
+    'database "Orders DB" as db',
+    '[API] as api',
+    '[Web] as web',
+    'queue "Events" as events',
+    'Container(worker, "Worker",',
+    '  "Node.js", "Handles (queued) jobs")',
+    'db <-- api : reads',
+    'events <.. worker',
+    'web <--> api',
+    'Rel(worker, db,',
+    '    "writes")',
+    '@enduml'
+  ].join('\n'));
+
+  assert.deepStrictEqual(dsl.nodes.map(({ id, type }) => [id, type]), [['db', 'database'], ['api', 'service'], ['web', 'service'], ['events', 'queue'], ['worker', 'service']]);
+  assert.strictEqual(dsl.nodes[4].description, 'Handles (queued) jobs');
+  assert.deepStrictEqual(dsl.connections.map(({ from, to, type, bidirectional }) => [from, to, type, Boolean(bidirectional)]), [
+    ['api', 'db', 'query', false],
+    ['worker', 'events', 'async', false],
+    ['web', 'api', 'http', true],
+    ['worker', 'db', 'query', false]
+  ]);
+});
+
+test('DOT round-trip keeps ids, types, technologies, groups and direction', () => {
+  architectures(40).forEach(dsl => assertRoundTrip(dsl, architecture => fromDot(toDot(architecture))));
+});
+
+test('DOT round-trip with layout positions keeps the graph', () => {
+  architectures(10).forEach(dsl => assertRoundTrip(dsl, architecture => fromDot(toDot(architecture, { positions: true }))));
+});
+
+test('DOT import reads hand-written graphs', () => {
+  const dsl = fromDot([
+    '// dependencies',
+    'digraph deps {',
+    '  rankdir=RL;',
+    '  node [shape=box];',
+    '  db [shape=cylinder, label="Orders DB"];',
+    '  api -> {db cache} [style=dashed];',
+    '  subgraph cluster_core { label="Core"; api; db }',
+    '}'
+  ].join('\n'));
+
+  assert.deepStrictEqual(dsl.nodes.map(({ id, type }) => [id, type]), [['db', 'database'], ['api', 'service'], ['cache', 'cache']]);
+  assert.deepStrictEqual(dsl.connections.map(({ from, to, type }) => [from, to, type]), [['api', 'db', 'async'], ['api', 'cache', 'async']]);
+  assert.deepStrictEqual(dsl.groups, [{ id: 'core', label: 'Core', contains: ['db', 'api'] }]);
+  assert.strictEqual(dsl.layout.direction, 'RL');
+});
+
+test('DOT import points dir=back edges from head to tail', () => {
+  const dsl = fromDot([
+    'digraph {',
+    '  db [shape=cylinder];',
+    '  db -> api [dir=back, label="reads"];',
+    '  queue -> worker [dir=back, arrowtail=none];',
+    '  a -> b [dir=both];',
+    '}'
+  ].join('\n'));
+
+  assert.deepStrictEqual(dsl.connections.map(({ from, to, type, bidirectional }) => [from, to, type, Boolean(bidirectional)]), [
+    ['api', 'db', 'query', false],
+    ['worker', 'queue', 'none', false],
+    ['a', 'b', 'http', true]
+  ]);
+});
+
+test('Excalidraw round-trip keeps ids, types, technologies, groups and direction', () => {
+  architectures(40).forEach(dsl => assertRoundTrip(dsl, architecture => fromExcalidraw(JSON.stringify(renderFromDSL(architecture)))));
+});
+
+test('Excalidraw import renders to the same file again', () => {
+  architectures(10).forEach(dsl => {
+    const rendered = renderFromDSL(dsl);
+    assert.deepStrictEqual(renderFromDSL(fromExcalidraw(rendered)), rendered);
+  });
+});
+
+test('Excalidraw import of a hand-drawn file infers nodes, connections and direction', () => {
+  const box = (id, x, label) => [
+    { id, type: 'rectangle', x, y: 100, width: 120, height: 60, strokeColor: '#1e1e1e', backgroundColor: 'transparent', boundElements: [{ id: `${id}-text`, type: 'text' }] },
+    { id: `${id}-text`, type: 'text', x: x + 10, y: 120, width: 100, height: 20, text: label, containerId: id }
+  ];
+  const arrow = (id, from, to, x, length) => ({
+    id, type: 'arrow', x, y: 130, width: Math.abs(length), height: 0, points: [[0, 0], [length, 0]],
+    strokeColor: '#1e1e1e', strokeStyle: 'solid', endArrowhead: 'arrow',
+    startBinding: { elementId: from }, endBinding: { elementId: to }
+  });
+  const file = {
+    type: 'excalidraw',
+    elements: [
+      ...box('a', 400, 'Orders API'),
+      ...box('b', 100, 'Orders DB'),
+      arrow('ab', 'a', 'b', 395, -170)
+    ]
+  };
+
+  const dsl = fromExcalidraw(file);
+  assert.deepStrictEqual(dsl.nodes.map(node => node.label), ['Orders API', 'Orders DB']);
+  assert.deepStrictEqual(dsl.connections.map(({ from, to }) => [from, to]), [['orders-api', 'orders-db']]);
+  assert.strictEqual(dsl.layout.direction, 'RL');
+});
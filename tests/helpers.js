@@ -0,0 +1,138 @@
+/**
+ * Test helpers - Seeded random architectures and geometry checks shared by the test files
+ */
+
+const NODE_TYPES = ['actor', 'service', 'database', 'queue', 'cache', 'gateway', 'ui', 'external'];
+const CONNECTION_TYPES = ['http', 'async', 'query', 'sync', 'data_flow', 'none'];
+const LABELS = ['Web App', 'Orders API', 'Auth Service', 'Payments', 'Event Bus', 'Customer', 'Reporting Worker', 'Search'];
+const TECHNOLOGIES = ['Node.js', 'PostgreSQL 15', 'Redis', 'Kafka', 'React', 'Go'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32), the same one the layout uses
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random architecture DSL; labels, technologies and descriptions vary so node sizes do too
+ * @param {number} seed
+ * @param {Object} [layout] - layout settings of the DSL
+ * @param {Object} [options]
+ * @param {boolean} [options.groups] - Put some nodes into groups, one of them nested
+ * @param {boolean} [options.subComponents] - Give some nodes sub-components
+ * @returns {Object} Architecture DSL
+ */
+function randomArchitecture(seed, layout = {}, options = {}) {
+  const random = seededRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const count = 3 + Math.floor(random() * 8);
+
+  const nodes = Array.from({ length: count }, (_, index) => {
+    const node = { id: `n${index}`, type: pick(NODE_TYPES), label: `${pick(LABELS)} ${index}` };
+    if (random() < 0.5) node.technologies = [pick(TECHNOLOGIES), pick(TECHNOLOGIES)].slice(0, 1 + Math.floor(random() * 2));
+    if (random() < 0.3) node.description = 'Handles requests from the other services';
+    if (options.subComponents && random() < 0.25) {
+      node.nodes = [1, 2].map(part => ({ id: `n${index}_${part}`, type: pick(NODE_TYPES), label: `Part ${part}` }));
+    }
+    return node;
+  });
+
+  const connections = [];
+  for (let k = 0; k < count * 1.3; k++) {
+    const from = Math.floor(random() * count);
+    const to = Math.floor(random() * count);
+    if (from === to) continue;
+    const connection = { from: `n${from}`, to: `n${to}`, type: pick(CONNECTION_TYPES) };
+    if (random() < 0.2) connection.bidirectional = true;
+    connections.push(connection);
+  }
+
+  const architecture = { nodes, connections, layout: { ...layout, seed: layout.seed ?? seed } };
+  if (options.groups && count >= 4) {
+    // Two groups over disjoint runs of nodes, the second one nested in an outer group
+    const split = 1 + Math.floor(random() * (count - 2));
+    architecture.groups = [
+      { id: 'g1', label: 'Group 1', contains: nodes.slice(0, split).map(node => node.id) },
+      { id: 'g2', label: 'Group 2', contains: nodes.slice(split, count - 1).map(node => node.id) },
+      { id: 'outer', label: 'Outer', contains: ['g2'] }
+    ];
+  }
+  return architecture;
+}
+
+/**
+ * What a format round-trip has to preserve: ids, types, labels, technologies, sub-components,
+ * connections, groups and direction; group order is not significant
+ */
+function comparableDSL(dsl) {
+  const node = item => {
+    const result = { id: item.id, type: item.type, label: item.label };
+    if (item.technologies && item.technologies.length > 0) result.technologies = item.technologies;
+    if (item.nodes && item.nodes.length > 0) result.nodes = item.nodes.map(node);
+    return result;
+  };
+  const connection = item => {
+    const result = { from: item.from, to: item.to, type: item.type };
+    if (item.label) result.label = item.label;
+    if (item.bidirectional) result.bidirectional = true;
+    return result;
+  };
+  return {
+    nodes: dsl.nodes.map(node),
+    connections: dsl.connections.map(connection),
+    groups: (dsl.groups || [])
+      .map(group => ({ id: group.id, label: group.label, contains: group.contains }))
+      .sort((a, b) => a.id.localeCompare(b.id)),
+    direction: (dsl.layout && dsl.layout.direction) || 'TB'
+  };
+}
+
+/**
+ * Whether an axis-aligned segment passes through the interior of a box
+ */
+function segmentCrossesBox(a, b, box) {
+  const left = box.x;
+  const top = box.y;
+  const right = box.x + box.width;
+  const bottom = box.y + box.height;
+  if (a.y === b.y) {
+    return a.y > top && a.y < bottom && Math.max(Math.min(a.x, b.x), left) < Math.min(Math.max(a.x, b.x), right);
+  }
+  return a.x > left && a.x < right && Math.max(Math.min(a.y, b.y), top) < Math.min(Math.max(a.y, b.y), bottom);
+}
+
+/**
+ * Whether two boxes share some area; touching edges do not count
+ */
+function boxesOverlap(a, b) {
+  return Math.min(a.x + a.width, b.x + b.width) > Math.max(a.x, b.x)
+    && Math.min(a.y + a.height, b.y + b.height) > Math.max(a.y, b.y);
+}
+
+/**
+ * Whether box inner lies inside box outer
+ */
+function boxContains(outer, inner) {
+  return inner.x >= outer.x && inner.y >= outer.y
+    && inner.x + inner.width <= outer.x + outer.width
+    && inner.y + inner.height <= outer.y + outer.height;
+}
+
+module.exports = {
+  NODE_TYPES,
+  CONNECTION_TYPES,
+  seededRandom,
+  randomArchitecture,
+  comparableDSL,
+  segmentCrossesBox,
+  boxesOverlap,
+  boxContains
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LayoutEngine } = require('../lib/core/layout');
+const { ArchitectureSchema } = require('../lib/core/schema');
+const { randomArchitecture, boxesOverlap, boxContains } = require('./helpers');
+
+function layoutOf(seed, layout, options = { groups: true, subComponents: true }) {
+  return new LayoutEngine().generateLayout(ArchitectureSchema.parse(randomArchitecture(seed, layout, options)));
+}
+
+/**
+ * Nodes never overlap their siblings, sub-components stay inside their parent
+ */
+function assertNoOverlaps(nodes, context) {
+  nodes.forEach((node, index) => {
+    nodes.slice(index + 1).forEach(other => {
+      assert.ok(!boxesOverlap(node, other), `${context}: ${node.id} overlaps ${other.id}`);
+    });
+    if (node.nodes && node.nodes.length > 0) {
+      node.nodes.forEach(child => assert.ok(boxContains(node, child), `${context}: ${child.id} outside ${node.id}`));
+      assertNoOverlaps(node.nodes, context);
+    }
+  });
+}
+
+/**
+ * Group boxes enclose their member nodes and nested groups, and no other node
+ */
+function assertGroupsContainMembers(layout, context) {
+  const nodeMap = new Map(layout.nodes.map(node => [node.id, node]));
+  const groupMap = new Map(layout.groups.map(group => [group.id, group]));
+  layout.groups.forEach(group => {
+    group.memberIds.filter(id => nodeMap.has(id)).forEach(id => {
+      assert.ok(boxContains(group, nodeMap.get(id)), `${context}: ${id} outside group ${group.id}`);
+    });
+    (group.childGroupIds || []).forEach(id => {
+      assert.ok(boxContains(group, groupMap.get(id)), `${context}: group ${id} outside group ${group.id}`);
+    });
+    layout.nodes.filter(node => !group.memberIds.includes(node.id)).forEach(node => {
+      assert.ok(!boxesOverlap(group, node), `${context}: group ${group.id} overlaps ${node.id}`);
+    });
+  });
+}
+
+test('force layout places nodes without overlaps', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const layout = layoutOf(seed, { type: 'force' });
+    assertNoOverlaps(layout.nodes, `seed ${seed}`);
+    assertGroupsContainMembers(layout, `seed ${seed}`);
+  }
+});
+
+test('force layout is the same for the same seed', () => {
+  for (let seed = 1; seed <= 5; seed++) {
+    assert.deepStrictEqual(layoutOf(seed, { type: 'force' }), layoutOf(seed, { type: 'force' }));
+  }
+});
+
+test('force layout seed changes the placement', () => {
+  const architecture = randomArchitecture(3, { type: 'force' }, {});
+  const positions = seed => new LayoutEngine()
+    .generateLayout(ArchitectureSchema.parse({ ...architecture, layout: { type: 'force', seed } }))
+    .nodes.map(node => [node.x, node.y]);
+  assert.notDeepStrictEqual(positions(1), positions(2));
+});
+
+test('hierarchical layout places nodes without overlaps in every direction', () => {
+  ['TB', 'LR', 'RL', 'BT'].forEach(direction => {
+    for (let seed = 1; seed <= 15; seed++) {
+      const layout = layoutOf(seed, { type: 'hierarchical', direction });
+      assertNoOverlaps(layout.nodes, `${direction} seed ${seed}`);
+      assertGroupsContainMembers(layout, `${direction} seed ${seed}`);
+    }
+  });
+});
+
+test('hierarchical layout ranks connections along the direction', () => {
+  // Acyclic: every connection goes from a lower to a higher node index
+  const nodes = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, type: 'service', label: id.toUpperCase() }));
+  const connections = [['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'd'], ['d', 'e'], ['a', 'e']]
+    .map(([from, to]) => ({ from, to, type: 'http' }));
+  const centre = node => ({ x: node.x + node.width / 2, y: node.y + node.height / 2 });
+  const ahead = {
+    TB: (from, to) => to.y > from.y,
+    BT: (from, to) => to.y < from.y,
+    LR: (from, to) => to.x > from.x,
+    RL: (from, to) => to.x < from.x
+  };
+
+  Object.entries(ahead).forEach(([direction, isAhead]) => {
+    const layout = new LayoutEngine().generateLayout(ArchitectureSchema.parse({
+      nodes, connections, layout: { type: 'hierarchical', direction }
+    }));
+    const nodeMap = new Map(layout.nodes.map(node => [node.id, centre(node)]));
+    connections.forEach(({ from, to }) => {
+      assert.ok(isAhead(nodeMap.get(from), nodeMap.get(to)), `${direction}: ${to} not after ${from}`);
+    });
+  });
+});
+
+test('hierarchical layout orders layers to avoid crossings', () => {
+  // Declared in crossing order: a-c and b-d only run side by side once c and d swap places
+  const nodes = ['a', 'b', 'd', 'c'].map(id => ({ id, type: 'service', label: id.toUpperCase() }));
+  const connections = [{ from: 'a', to: 'c', type: 'http' }, { from: 'b', to: 'd', type: 'http' }];
+  const layout = new LayoutEngine().generateLayout(ArchitectureSchema.parse({
+    nodes, connections, layout: { type: 'hierarchical', direction: 'TB' }
+  }));
+  const x = new Map(layout.nodes.map(node => [node.id, node.x]));
+  assert.strictEqual(x.get('a') < x.get('b'), x.get('c') < x.get('d'));
+});
+
+test('hierarchical layout is the same for the same input', () => {
+  for (let seed = 1; seed <= 5; seed++) {
+    assert.deepStrictEqual(layoutOf(seed, { type: 'hierarchical' }), layoutOf(seed, { type: 'hierarchical' }));
+  }
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createMcpServer, outputPaths } = require('../lib/mcp/server');
+const { renderFromDSL } = require('../lib/main');
+
+const DSL = {
+  nodes: [
+    { id: 'web', type: 'ui', label: 'Web App' },
+    { id: 'api', type: 'service', label: 'Orders API' }
+  ],
+  connections: [{ from: 'web', to: 'api', type: 'http' }]
+};
+
+/**
+ * Client connected to a fresh server over an in-memory transport
+ */
+async function connect() {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = createMcpServer();
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return { client, close: () => Promise.all([client.close(), server.close()]) };
+}
+
+test('validate_dsl summarises a valid document and lists the issues of an invalid one', async () => {
+  const { client, close } = await connect();
+  try {
+    const valid = await client.callTool({ name: 'validate_dsl', arguments: { dsl: JSON.stringify(DSL) } });
+    assert.deepStrictEqual(valid.structuredContent, { valid: true, nodes: 2, connections: 1, groups: 0 });
+
+    const invalid = await client.callTool({
+      name: 'validate_dsl',
+      arguments: { dsl: { ...DSL, nodes: [{ id: 'web', type: 'browser', label: 'Web App' }] } }
+    });
+    assert.strictEqual(invalid.isError, true);
+    assert.strictEqual(invalid.structuredContent.error, 'validation_failed');
+    assert.ok(invalid.structuredContent.issues.some(issue => issue.path === 'nodes.0.type'));
+
+    const broken = await client.callTool({ name: 'validate_dsl', arguments: { dsl: '{ nodes: ' } });
+    assert.strictEqual(broken.structuredContent.error, 'invalid_json');
+  } finally {
+    await close();
+  }
+});
+
+test('render_dsl returns the Excalidraw file of the DSL', async () => {
+  const { client, close } = await connect();
+  try {
+    const result = await client.callTool({ name: 'render_dsl', arguments: { dsl: DSL, includeSvg: false } });
+    assert.ok(!result.isError);
+    const diagram = JSON.parse(result.content[0].text);
+    assert.strictEqual(diagram.type, 'excalidraw');
+    assert.ok(diagram.elements.some(element => element.id === 'node_api'));
+  } finally {
+    await close();
+  }
+});
+
+test('render_dsl does not read theme files named in the DSL, the theme option does', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'draw-arch-theme-'));
+  const themeFile = path.join(directory, 'corporate.json');
+  fs.writeFileSync(themeFile, JSON.stringify({ extends: 'dark', background: '#102030' }));
+  const { client, close } = await connect();
+  try {
+    const dsl = { ...DSL, layout: { theme: themeFile } };
+    const result = await client.callTool({ name: 'render_dsl', arguments: { dsl, includeSvg: false } });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent.error, 'render_failed');
+    assert.match(result.structuredContent.message, /cannot be named in the DSL/);
+
+    const inline = await client.callTool({ name: 'render_dsl', arguments: { dsl: { ...DSL, layout: { theme: { background: '#102030' } } }, includeSvg: false } });
+    assert.strictEqual(JSON.parse(inline.content[0].text).appState.viewBackgroundColor, '#102030');
+    assert.strictEqual(renderFromDSL(DSL, { theme: themeFile }).appState.viewBackgroundColor, '#102030');
+  } finally {
+    await close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('output paths never write the SVG over the Excalidraw file', () => {
+  const expected = { excalidrawFile: path.join('out', 'diagram.excalidraw'), svgFile: path.join('out', 'diagram.svg') };
+  assert.deepStrictEqual(outputPaths('out/diagram.svg'), expected);
+  assert.deepStrictEqual(outputPaths('out/diagram.excalidraw'), expected);
+  assert.deepStrictEqual(outputPaths('out/diagram'), expected);
+  assert.deepStrictEqual(outputPaths('out/diagram.v2'), {
+    excalidrawFile: path.join('out', 'diagram.v2.excalidraw'),
+    svgFile: path.join('out', 'diagram.v2.svg')
+  });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EdgeRouter } = require('../lib/core/router');
+const { LayoutEngine } = require('../lib/core/layout');
+const { ArchitectureSchema } = require('../lib/core/schema');
+const { randomArchitecture, segmentCrossesBox } = require('./helpers');
+
+const LAYOUTS = ['hierarchical', 'grid', 'force', 'layered'];
+const DIRECTIONS = ['TB', 'LR', 'RL', 'BT'];
+
+/**
+ * Leaf nodes a connection's route passes through, other than its own ends
+ */
+function crossedNodes(layout) {
+  const leaves = [];
+  const collect = node => {
+    if (node.nodes && node.nodes.length > 0) node.nodes.forEach(collect);
+    else leaves.push(node);
+  };
+  layout.nodes.forEach(collect);
+
+  return layout.connections.flatMap(conn => {
+    const path = conn.path || [];
+    return leaves
+      .filter(node => node.id !== conn.from && node.id !== conn.to)
+      .filter(node => path.some((point, index) => index > 0 && segmentCrossesBox(path[index - 1], point, node)))
+      .map(node => `${conn.from}->${conn.to} through ${node.id}`);
+  });
+}
+
+function assertOrthogonal(path) {
+  path.slice(1).forEach((point, index) => {
+    assert.ok(point.x === path[index].x || point.y === path[index].y, `diagonal segment in ${JSON.stringify(path)}`);
+  });
+}
+
+test('routes go around nodes with fractional coordinates', () => {
+  const layout = {
+    nodes: [
+      { id: 'a', x: 50.5, y: 50.5, width: 100, height: 60 },
+      { id: 'b', x: 300.5, y: 50.5, width: 100, height: 60 },
+      { id: 'c', x: 175.5, y: 45.5, width: 60, height: 70 }
+    ],
+    connections: [{ from: 'a', to: 'b' }],
+    groups: []
+  };
+  const routed = new EdgeRouter().route(layout, { direction: 'LR' });
+  assertOrthogonal(routed.connections[0].path);
+  assert.deepStrictEqual(crossedNodes(routed), []);
+});
+
+test('routes avoid every node other than their ends', () => {
+  LAYOUTS.forEach(type => DIRECTIONS.forEach(direction => {
+    for (let seed = 1; seed <= 8; seed++) {
+      const architecture = ArchitectureSchema.parse(randomArchitecture(seed, { type, direction }));
+      const layout = new LayoutEngine().generateLayout(architecture);
+      layout.connections.filter(conn => conn.from !== conn.to).forEach(conn => assertOrthogonal(conn.path));
+      assert.deepStrictEqual(crossedNodes(layout), [], `${type} ${direction} seed ${seed}`);
+    }
+  }));
+});
+
+test('routes avoid nodes after positions are moved off the pixel grid', () => {
+  const router = new EdgeRouter();
+  for (let seed = 1; seed <= 16; seed++) {
+    const architecture = ArchitectureSchema.parse(randomArchitecture(seed, { type: 'grid', direction: 'RL' }));
+    const layout = new LayoutEngine().generateLayout(architecture);
+    const nodes = layout.nodes.map((node, index) => ({ ...node, x: node.x + (index % 3) * 0.3, y: node.y + 0.5 }));
+    const routed = router.route({ ...layout, nodes }, { direction: 'RL' });
+    assert.deepStrictEqual(crossedNodes(routed), [], `seed ${seed}`);
+  }
+});
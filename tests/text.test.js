@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { measureText, layoutText } = require('../lib/core/text');
+
+test('Long Latin labels are sized like the hand-drawn font and wrapped at spaces', () => {
+  const label = 'Payment Processing Service with Retries';
+  // Advance width of the label at 16px in Excalifont, and within 1px in Virgil
+  const fontWidth = 317;
+  const { width, height } = measureText(label, 16);
+  assert.ok(Math.abs(width - fontWidth) / fontWidth < 0.05, `width ${width}, expected about ${fontWidth}`);
+  assert.strictEqual(height, 20);
+
+  const wrapped = layoutText(label, { maxWidth: 140, fontSize: 16 });
+  const lines = wrapped.text.split('\n');
+  assert.ok(lines.length >= 3, wrapped.text);
+  assert.strictEqual(lines.join(' '), label);
+  assert.ok(wrapped.width <= 140, `width ${wrapped.width}`);
+  assert.strictEqual(wrapped.height, lines.length * 20);
+});
+
+test('CJK labels take a full em per character and break between any two', () => {
+  const label = '订单服务数据库';
+  assert.deepStrictEqual(measureText(label, 16), { width: 112, height: 20 });
+
+  const wrapped = layoutText(label, { maxWidth: 50, fontSize: 16 });
+  assert.deepStrictEqual(wrapped.text.split('\n'), ['订单服', '务数据', '库']);
+  assert.deepStrictEqual([wrapped.width, wrapped.height], [48, 60]);
+});